@@ -30,7 +30,7 @@ define( require => {
   function BuildAnAtomScreen( tandem ) {
     Screen.call(
       this,
-      function() { return new BuildAnAtomModel( tandem.createTandem( 'model' ) ); },
+      function() { return new BuildAnAtomModel( tandem.createTandem( 'model' ), BuildAnAtomModel.getQueryParameterOptions() ); },
       function( model ) { return new BuildAnAtomView( model, tandem.createTandem( 'view' ) ); },
       {
         name: atomString,
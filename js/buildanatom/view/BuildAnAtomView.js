@@ -8,19 +8,27 @@ define( require => {
 
   // modules
   const AccordionBox = require( 'SUN/AccordionBox' );
+  const AtomDescriber = require( 'BUILD_AN_ATOM/common/view/AtomDescriber' );
   const AtomView = require( 'BUILD_AN_ATOM/common/view/AtomView' );
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const BuildAnAtomModel = require( 'BUILD_AN_ATOM/common/model/BuildAnAtomModel' );
   const ChargeComparisonDisplay = require( 'BUILD_AN_ATOM/buildanatom/view/ChargeComparisonDisplay' );
   const ChargeMeter = require( 'BUILD_AN_ATOM/common/view/ChargeMeter' );
+  const ElectronConfigurationDisplay = require( 'BUILD_AN_ATOM/common/view/ElectronConfigurationDisplay' );
   const HBox = require( 'SCENERY/nodes/HBox' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const IsotopeInfoDisplay = require( 'BUILD_AN_ATOM/buildanatom/view/IsotopeInfoDisplay' );
   const MassNumberDisplay = require( 'BUILD_AN_ATOM/buildanatom/view/MassNumberDisplay' );
   const merge = require( 'PHET_CORE/merge' );
+  const Property = require( 'AXON/Property' );
   const ShredConstants = require( 'SHRED/ShredConstants' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
 
   // strings
+  const electronConfigurationString = require( 'string!BUILD_AN_ATOM/electronConfiguration' );
+  const isotopeString = require( 'string!BUILD_AN_ATOM/isotope' );
   const massNumberString = require( 'string!BUILD_AN_ATOM/massNumber' );
   const netChargeString = require( 'string!BUILD_AN_ATOM/netCharge' );
 
@@ -45,6 +53,12 @@ define( require => {
     this.massNumberAccordionBoxExpandedProperty = new BooleanProperty( false, {
       tandem: tandem.createTandem( 'massNumberAccordionBoxExpandedProperty' )
     } );
+    this.isotopeAccordionBoxExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'isotopeAccordionBoxExpandedProperty' )
+    } );
+    this.electronConfigurationAccordionBoxExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'electronConfigurationAccordionBoxExpandedProperty' )
+    } );
 
     // options that are common to all of the accordion boxes in this view
     const commonAccordionBoxOptions = {
@@ -63,11 +77,19 @@ define( require => {
     // Add the charge meter and charge comparison display inside of an accordion box.
     const netChargeAccordionBoxContents = new HBox( {
       children: [
-        new ChargeMeter( model.particleAtom, tandem.createTandem( 'chargeMeter' ) ),
+        new ChargeMeter( model.particleAtom, tandem.createTandem( 'chargeMeter' ), {
+          maxCharge: model.maxCharge
+        } ),
         new ChargeComparisonDisplay(
           model.particleAtom,
           tandem.createTandem( 'chargeComparisonDisplay' ),
-          { pickable: false }
+          {
+            maxCharge: model.maxCharge,
+
+            // shrink the display when there are more symbols than the default so that the box width stays the same
+            scale: Math.min( 1, BuildAnAtomModel.MAX_CHARGE / model.maxCharge ),
+            pickable: false
+          }
         )
       ],
       spacing: 5,
@@ -75,9 +97,8 @@ define( require => {
       pickable: false,
       tandem: tandem.createTandem( 'netChargeAccordionBoxContents' ),
 
-      // a11y
-      tagName: 'h6',
-      innerContent: 'Net Charge Content' // TODO: export to a11y strings file
+      // a11y - content is set below
+      tagName: 'p'
     } );
     const netChargeAccordionBox = new AccordionBox(
       netChargeAccordionBoxContents,
@@ -96,7 +117,6 @@ define( require => {
         labelContent: netChargeString
       }, commonAccordionBoxOptions )
     );
-    this.controlPanelLayer.addChild( netChargeAccordionBox );
 
     // Add the mass indicator inside of an accordion box.
     const massNumberDisplay = new MassNumberDisplay(
@@ -106,9 +126,8 @@ define( require => {
         pickable: false,
         scale: 0.85, // empirically determined to make the control panels all fit on the screen
 
-        // a11y
-        tagName: 'h6',
-        innerContent: 'Mass Number Content' // TODO: export to a11y strings file
+        // a11y - content is set below
+        tagName: 'p'
       }
     );
     const massNumberAccordionBox = new AccordionBox(
@@ -128,16 +147,106 @@ define( require => {
         labelContent: massNumberString
       }, commonAccordionBoxOptions )
     );
-    this.controlPanelLayer.addChild( massNumberAccordionBox );
 
-    // Do the layout.
-    netChargeAccordionBox.right = this.periodicTableAccordionBox.right;
-    netChargeAccordionBox.top = this.periodicTableAccordionBox.bottom + INTER_BOX_SPACING;
-    massNumberAccordionBox.right = this.periodicTableAccordionBox.right;
-    massNumberAccordionBox.top = netChargeAccordionBox.top + netChargeAccordionBox.height + INTER_BOX_SPACING;
+    // Add the isotope mass and abundance information inside of an accordion box.
+    const isotopeInfoDisplay = new IsotopeInfoDisplay(
+      model.particleAtom,
+      tandem.createTandem( 'isotopeInfoDisplay' ),
+      {
+        pickable: false,
+        scale: 0.85 // matches the other displays
+      }
+    );
+    const isotopeAccordionBox = new AccordionBox(
+      isotopeInfoDisplay,
+      merge( {}, {
+        titleNode: new Text( isotopeString, {
+          font: ShredConstants.ACCORDION_BOX_TITLE_FONT,
+          maxWidth: ShredConstants.ACCORDION_BOX_TITLE_MAX_WIDTH,
+          tandem: tandem.createTandem( 'isotopeAccordionBoxTitle' )
+        } ),
+        expandedProperty: this.isotopeAccordionBoxExpandedProperty,
+
+        // phet-io
+        tandem: tandem.createTandem( 'isotopeAccordionBox' ),
+
+        // a11y
+        labelContent: isotopeString
+      }, commonAccordionBoxOptions )
+    );
+
+    // Add the electron configuration inside of an accordion box.
+    const electronConfigurationDisplay = new ElectronConfigurationDisplay(
+      model.particleAtom,
+      tandem.createTandem( 'electronConfigurationDisplay' ),
+      {
+        pickable: false,
+        scale: 0.85 // matches the other displays
+      }
+    );
+    const electronConfigurationAccordionBox = new AccordionBox(
+      electronConfigurationDisplay,
+      merge( {}, {
+        titleNode: new Text( electronConfigurationString, {
+          font: ShredConstants.ACCORDION_BOX_TITLE_FONT,
+          maxWidth: ShredConstants.ACCORDION_BOX_TITLE_MAX_WIDTH,
+          tandem: tandem.createTandem( 'electronConfigurationAccordionBoxTitle' )
+        } ),
+        expandedProperty: this.electronConfigurationAccordionBoxExpandedProperty,
+
+        // phet-io
+        tandem: tandem.createTandem( 'electronConfigurationAccordionBox' ),
+
+        // a11y
+        labelContent: electronConfigurationString
+      }, commonAccordionBoxOptions )
+    );
+
+    // Stack the accordion boxes below the periodic table.  The stack grows and shrinks as the boxes are expanded and
+    // collapsed, and it's scaled down when the expanded boxes don't fit above the controls at the bottom of the screen.
+    const accordionBoxStack = new VBox( {
+      children: [
+        netChargeAccordionBox,
+        massNumberAccordionBox,
+        isotopeAccordionBox,
+        electronConfigurationAccordionBox
+      ],
+      align: 'right',
+      spacing: INTER_BOX_SPACING,
+      maxHeight: this.controlPanelsMaxY - this.periodicTableAccordionBox.bottom - INTER_BOX_SPACING
+    } );
+    this.controlPanelLayer.addChild( accordionBoxStack );
+
+    // Do the layout, again whenever the stack is resized.
+    const periodicTableAccordionBox = this.periodicTableAccordionBox;
+    Property.multilink( [
+      this.netChargeAccordionBoxExpandedProperty,
+      this.massNumberAccordionBoxExpandedProperty,
+      this.isotopeAccordionBoxExpandedProperty,
+      this.electronConfigurationAccordionBoxExpandedProperty
+    ], function() {
+      accordionBoxStack.right = periodicTableAccordionBox.right;
+      accordionBoxStack.top = periodicTableAccordionBox.bottom + INTER_BOX_SPACING;
+    } );
+
+    // a11y - describe the values shown in the net charge and mass number displays
+    const particleAtom = model.particleAtom;
+    Property.multilink(
+      [ particleAtom.protonCountProperty, particleAtom.neutronCountProperty, particleAtom.electronCountProperty ],
+      function() {
+        netChargeAccordionBoxContents.innerContent = AtomDescriber.getNetChargeDescription( particleAtom );
+        massNumberDisplay.innerContent = AtomDescriber.getMassNumberDescription( particleAtom );
+      }
+    );
 
     // a11y - set navigation order for the Atom screen view
-    this.pdomPlayAreaNode.accessibleOrder = [ this.periodicTableAccordionBox, netChargeAccordionBox, massNumberAccordionBox ];
+    this.pdomPlayAreaNode.accessibleOrder = [
+      this.periodicTableAccordionBox,
+      netChargeAccordionBox,
+      massNumberAccordionBox,
+      isotopeAccordionBox,
+      electronConfigurationAccordionBox
+    ];
   }
 
   buildAnAtom.register( 'BuildAnAtomView', BuildAnAtomView );
@@ -151,6 +260,8 @@ define( require => {
       AtomView.prototype.reset.call( this );
       this.netChargeAccordionBoxExpandedProperty.reset();
       this.massNumberAccordionBoxExpandedProperty.reset();
+      this.isotopeAccordionBoxExpandedProperty.reset();
+      this.electronConfigurationAccordionBoxExpandedProperty.reset();
     }
   } );
 } );
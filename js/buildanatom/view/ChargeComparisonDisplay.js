@@ -12,6 +12,7 @@ define( require => {
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
   const BuildAnAtomModel = require( 'BUILD_AN_ATOM/common/model/BuildAnAtomModel' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
   const Node = require( 'SCENERY/nodes/Node' );
   const Path = require( 'SCENERY/nodes/Path' );
   const PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
@@ -27,14 +28,20 @@ define( require => {
   /**
    * @param {NumberAtom} numberAtom - model representation of the atom
    * @param {Tandem} tandem
-   * @param {Object} options
+   * @param {Object} [options]
    * @constructor
    */
   function ChargeComparisonDisplay( numberAtom, tandem, options ) {
 
+    options = merge( {
+
+      // {number} - number of plus and minus symbols that can be shown
+      maxCharge: BuildAnAtomModel.MAX_CHARGE
+    }, options );
+
     Node.call( this, { tandem: tandem } );
 
-    const MAX_CHARGE = BuildAnAtomModel.MAX_CHARGE;
+    const MAX_CHARGE = options.maxCharge;
     let i;
 
     // Parent node for all symbols.
@@ -0,0 +1,103 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Type that portrays information about the isotope that the user has built, specifically the actual mass of the
+ * isotope in atomic mass units, its natural abundance, and the standard atomic weight of the element.  This is intended
+ * to help bridge the gap between the mass number, which is a count, and the mass of the atom.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AtomIdentifier = require( 'SHRED/AtomIdentifier' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Property = require( 'AXON/Property' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const amuPatternString = require( 'string!BUILD_AN_ATOM/amuPattern' );
+  const atomicMassPatternString = require( 'string!BUILD_AN_ATOM/atomicMassPattern' );
+  const naturalAbundancePatternString = require( 'string!BUILD_AN_ATOM/naturalAbundancePattern' );
+  const percentPatternString = require( 'string!BUILD_AN_ATOM/percentPattern' );
+  const standardAtomicWeightPatternString = require( 'string!BUILD_AN_ATOM/standardAtomicWeightPattern' );
+  const syntheticString = require( 'string!BUILD_AN_ATOM/synthetic' );
+  const traceString = require( 'string!BUILD_AN_ATOM/trace' );
+
+  // constants
+  const FONT = new PhetFont( 14 );
+  const MAX_TEXT_WIDTH = 230; // empirically determined to fit in the accordion boxes on the Atom screen
+  const NO_VALUE = '—'; // em dash, shown when a value doesn't apply to the current configuration
+  const ISOTOPE_MASS_DECIMAL_PLACES = 5;
+  const ABUNDANCE_DECIMAL_PLACES = 6; // as a proportion, so the percentage has two fewer
+  const STANDARD_ATOMIC_WEIGHT_DECIMAL_PLACES = 3;
+
+  /**
+   * @param {NumberAtom} numberAtom
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function IsotopeInfoDisplay( numberAtom, tandem, options ) {
+
+    Node.call( this, { tandem: tandem } );
+
+    const textOptions = { font: FONT, maxWidth: MAX_TEXT_WIDTH };
+    const atomicMassText = new Text( '', merge( { tandem: tandem.createTandem( 'atomicMassText' ) }, textOptions ) );
+    const naturalAbundanceText = new Text( '', merge( { tandem: tandem.createTandem( 'naturalAbundanceText' ) }, textOptions ) );
+    const standardAtomicWeightText = new Text( '', merge( { tandem: tandem.createTandem( 'standardAtomicWeightText' ) }, textOptions ) );
+    this.addChild( new VBox( {
+      children: [ atomicMassText, naturalAbundanceText, standardAtomicWeightText ],
+      align: 'left',
+      spacing: 6
+    } ) );
+
+    // Update the text when the nucleus changes.  Electrons don't affect any of these values, since the masses are for
+    // neutral atoms.
+    Property.multilink(
+      [ numberAtom.protonCountProperty, numberAtom.neutronCountProperty ],
+      function( protonCount, neutronCount ) {
+        let atomicMass = NO_VALUE;
+        let naturalAbundance = NO_VALUE;
+        let standardAtomicWeight = NO_VALUE;
+        if ( protonCount > 0 ) {
+          const isotopeMass = AtomIdentifier.getIsotopeAtomicMass( protonCount, neutronCount );
+          const abundance = AtomIdentifier.getNaturalAbundance( numberAtom, ABUNDANCE_DECIMAL_PLACES );
+          if ( isotopeMass > 0 ) {
+            atomicMass = StringUtils.format( amuPatternString, isotopeMass.toFixed( ISOTOPE_MASS_DECIMAL_PLACES ) );
+          }
+          if ( abundance > 0 ) {
+            const percentage = parseFloat( ( abundance * 100 ).toFixed( ABUNDANCE_DECIMAL_PLACES - 2 ) );
+            naturalAbundance = StringUtils.format( percentPatternString, percentage );
+          }
+          else if ( AtomIdentifier.existsInTraceAmounts( protonCount, neutronCount ) ) {
+            naturalAbundance = traceString;
+          }
+          else if ( isotopeMass > 0 ) {
+
+            // the isotope is known, but doesn't occur in nature
+            naturalAbundance = syntheticString;
+          }
+          standardAtomicWeight = AtomIdentifier.getStandardAtomicMass( protonCount ).toFixed(
+            STANDARD_ATOMIC_WEIGHT_DECIMAL_PLACES
+          );
+        }
+        atomicMassText.text = StringUtils.format( atomicMassPatternString, atomicMass );
+        naturalAbundanceText.text = StringUtils.format( naturalAbundancePatternString, naturalAbundance );
+        standardAtomicWeightText.text = StringUtils.format( standardAtomicWeightPatternString, standardAtomicWeight );
+      }
+    );
+
+    this.mutate( options );
+  }
+
+  buildAnAtom.register( 'IsotopeInfoDisplay', IsotopeInfoDisplay );
+
+  // Inherit from Node.
+  return inherit( Node, IsotopeInfoDisplay );
+} );
@@ -0,0 +1,133 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Single location of all accessibility strings used in Build an Atom.  These strings are not yet translatable, see
+ * https://github.com/phetsims/chipper/issues/511.  Strings that contain '{{name}}' placeholders are filled in with
+ * StringUtils.fillIn.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+
+  const BAAA11yStrings = {
+
+    //------------------------------------------------------------------------
+    // particles
+    //------------------------------------------------------------------------
+    proton: {
+      value: 'proton'
+    },
+    neutron: {
+      value: 'neutron'
+    },
+    electron: {
+      value: 'electron'
+    },
+    protons: {
+      value: 'protons'
+    },
+    neutrons: {
+      value: 'neutrons'
+    },
+    electrons: {
+      value: 'electrons'
+    },
+
+    //------------------------------------------------------------------------
+    // buckets and atom
+    //------------------------------------------------------------------------
+    bucketLabelPattern: {
+      value: '{{particles}} bucket'
+    },
+    bucketHelpTextPattern: {
+      value: 'Press Enter or Space to move a {{particle}} into the atom, press Delete or Backspace to return one to ' +
+             'the bucket.'
+    },
+    atom: {
+      value: 'Atom'
+    },
+    atomHelpText: {
+      value: 'Press P, N or E to add a proton, neutron or electron to the atom. Hold Shift to remove one instead.'
+    },
+    bucketEmptyPattern: {
+      value: 'The {{particles}} bucket is empty.'
+    },
+    noParticlesInAtomPattern: {
+      value: 'There are no {{particles}} in the atom.'
+    },
+
+    //------------------------------------------------------------------------
+    // atom summary
+    //------------------------------------------------------------------------
+    atomSummaryPattern: {
+      value: '{{element}}, charge {{charge}}, mass number {{massNumber}}.'
+    },
+    noElement: {
+      value: 'No element'
+    },
+
+    //------------------------------------------------------------------------
+    // screen summary
+    //------------------------------------------------------------------------
+    screenSummaryPlayArea: {
+      value: 'In the Play Area, there is an atom and buckets of protons, neutrons and electrons. Particles can be ' +
+             'dragged into the atom, or moved with the keyboard once the atom or a bucket has focus.'
+    },
+    emptyAtomState: {
+      value: 'The atom is empty.'
+    },
+    neutralAtomStatePattern: {
+      value: 'You have built a neutral {{element}}-{{massNumber}} atom with {{protons}}, {{neutrons}} and {{electrons}}.'
+    },
+    ionStatePattern: {
+      value: 'You have built a {{element}}-{{massNumber}} {{ionType}} with {{protons}}, {{neutrons}} and {{electrons}}.'
+    },
+    noProtonsStatePattern: {
+      value: 'There are no protons, so this is not an element. It has {{neutrons}} and {{electrons}}.'
+    },
+    positiveIon: {
+      value: 'positive ion'
+    },
+    negativeIon: {
+      value: 'negative ion'
+    },
+    particleCountPattern: {
+      value: '{{count}} {{particles}}'
+    },
+
+    //------------------------------------------------------------------------
+    // context responses
+    //------------------------------------------------------------------------
+    particleAddedPattern: {
+      value: 'Added {{particle}}. {{summary}}'
+    },
+    particleRemovedPattern: {
+      value: 'Removed {{particle}}. {{summary}}'
+    },
+
+    //------------------------------------------------------------------------
+    // net charge and mass number
+    //------------------------------------------------------------------------
+    netChargeDescriptionPattern: {
+      value: 'Net charge is {{charge}}, from {{protons}} and {{electrons}}.'
+    },
+    massNumberDescriptionPattern: {
+      value: 'Mass number is {{massNumber}}, from {{protons}} and {{neutrons}}.'
+    }
+  };
+
+  if ( phet.chipper.queryParameters.stringTest === 'xss' ) {
+    for ( const key in BAAA11yStrings ) {
+      BAAA11yStrings[ key ].value += '<img src=\'dummyImageURL\' onerror="if (!window.alerted) { alert(\'XSS! from a11y string: ' + key + '\'); window.alerted = true; }"></img>';
+    }
+  }
+
+  // verify that object is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( BAAA11yStrings ); }
+
+  buildAnAtom.register( 'BAAA11yStrings', BAAA11yStrings );
+
+  return BAAA11yStrings;
+} );
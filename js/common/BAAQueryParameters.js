@@ -9,8 +9,15 @@ define( require => {
   'use strict';
 
   // modules
+  const AtomConfigurationSerializer = require( 'BUILD_AN_ATOM/common/model/AtomConfigurationSerializer' );
+  const BAASharedConstants = require( 'BUILD_AN_ATOM/common/BAASharedConstants' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
 
+  // constants
+  const MAX_PROTONS = 20;
+  const MAX_NEUTRONS = 26;
+  const MAX_ELECTRONS = 20;
+
   const BAAQueryParameters = QueryStringMachine.getAll( {
 
     // shows the game reward regardless of score
@@ -19,10 +26,153 @@ define( require => {
     challengesPerLevel: {
       type: 'number',
       defaultValue: 5
+    },
+
+    // seed for the random numbers used to generate the game's challenges, so that a given seed and level always produce
+    // the same challenges, e.g. to reproduce a reported problem or to give a class the same quiz
+    challengeSeed: {
+      type: 'number',
+      defaultValue: null,
+      isValidValue: value => value === null || Number.isInteger( value )
+    },
+
+    // whether the game adapts the challenges to the player's performance, see ChallengeSetFactory.generate
+    adaptiveDifficulty: {
+      type: 'boolean',
+      defaultValue: false
+    },
+
+    // number of attempts allowed for each game challenge, either a single value for all levels or one per level, e.g.
+    // maxAttempts=3 or maxAttempts=2,2,3,3,3
+    maxAttempts: {
+      type: 'array',
+      elementSchema: {
+        type: 'number',
+        isValidValue: value => Number.isInteger( value ) && value > 0
+      },
+      defaultValue: [ 2 ],
+      isValidValue: array => array.length === 1 || array.length === BAASharedConstants.LEVEL_NAMES.length
+    },
+
+    // points for a correct answer to a game challenge on the first attempt, the second attempt, and so on, the same on
+    // all levels.  Attempts past the end of the list are worth no points.
+    pointsPerAttempt: {
+      type: 'array',
+      elementSchema: {
+        type: 'number',
+        isValidValue: value => value >= 0
+      },
+      defaultValue: [ 2, 1 ]
+    },
+
+    // whether the answer to a game challenge can be shown after the attempts are used up, either a single value for all
+    // levels or one per level
+    showAnswer: {
+      type: 'array',
+      elementSchema: {
+        type: 'boolean'
+      },
+      defaultValue: [ true ],
+      isValidValue: array => array.length === 1 || array.length === BAASharedConstants.LEVEL_NAMES.length
+    },
+
+    // number of seconds allowed for each game challenge, after which the challenge is marked wrong, or null for no limit.
+    // The countdown is paused while feedback is shown, and doesn't apply in practice mode.
+    challengeTimeLimit: {
+      type: 'number',
+      defaultValue: null,
+      isValidValue: value => value === null || value > 0
+    },
+
+    // whether the game gives partial credit for the correct parts of an answer on the last attempt, see BAAGameChallenge
+    partialCredit: {
+      type: 'boolean',
+      defaultValue: false
+    },
+
+    // whether the game starts in practice mode, where there is no score, wrong answers unlock hints, and each challenge
+    // must be solved before going on to the next, see BAAGameModel.practiceModeProperty
+    practiceMode: {
+      type: 'boolean',
+      defaultValue: false
+    },
+
+    // URL of a JSON file with a custom challenge set for the game, see CustomChallengeParser for the format.  Relative
+    // URLs are relative to the sim's HTML file, and the file must be served from the same origin as the sim.
+    customChallenges: {
+      type: 'string',
+      defaultValue: null
+    },
+
+    // number of protons available in the bucket on the Atom and Symbol screens, e.g. 18 to allow building up to argon
+    protons: {
+      type: 'number',
+      defaultValue: 10,
+      isValidValue: value => Number.isInteger( value ) && value > 0 && value <= MAX_PROTONS
+    },
+
+    // number of neutrons available in the bucket on the Atom and Symbol screens
+    neutrons: {
+      type: 'number',
+      defaultValue: 13,
+      isValidValue: value => Number.isInteger( value ) && value > 0 && value <= MAX_NEUTRONS
+    },
+
+    // number of electrons available in the bucket on the Atom and Symbol screens
+    electrons: {
+      type: 'number',
+      defaultValue: 10,
+      isValidValue: value => Number.isInteger( value ) && value > 0 && value <= MAX_ELECTRONS
+    },
+
+    // atom that is initially assembled on the Atom and Symbol screens, specified either as particle counts in the order
+    // protons,neutrons,electrons (e.g. 6,6,6) or as symbol-massNumber followed by an optional charge (e.g. C-12+0, or
+    // C-12 0 since a + in a query string is decoded as a space).  The particle supply is increased if needed to build
+    // the atom.
+    atom: {
+      type: 'string',
+      defaultValue: null,
+      isValidValue: value => {
+        if ( value === null ) {
+          return true;
+        }
+        const configuration = AtomConfigurationSerializer.parse( value );
+        return configuration !== null &&
+               configuration.protonCount <= MAX_PROTONS &&
+               configuration.neutronCount <= MAX_NEUTRONS &&
+               configuration.electronCount <= MAX_ELECTRONS;
+      }
+    },
+
+    // initial state of the label visibility checkboxes on the Atom and Symbol screens
+    showElementName: {
+      type: 'boolean',
+      defaultValue: true
+    },
+    showNeutralOrIon: {
+      type: 'boolean',
+      defaultValue: true
+    },
+    showStableOrUnstable: {
+      type: 'boolean',
+      defaultValue: false
+    },
+
+    // initial depiction of the electrons on the Atom and Symbol screens
+    electronModel: {
+      type: 'string',
+      defaultValue: 'orbits',
+      validValues: [ 'orbits', 'cloud' ]
+    },
+
+    // initial state of the "Allow Decay" checkbox on the Atom and Symbol screens, see BuildAnAtomModel
+    allowDecay: {
+      type: 'boolean',
+      defaultValue: false
     }
   } );
 
   buildAnAtom.register('BAAQueryParameters', BAAQueryParameters);
 
   return BAAQueryParameters;
-} );
\ No newline at end of file
+} );
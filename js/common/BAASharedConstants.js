@@ -13,7 +13,10 @@ define( require => {
 
   const BAASharedConstants = {
     RESET_BUTTON_RADIUS: 20,
-    MAX_CHALLENGE_ATTEMPTS: 2 // Note: Attempt is the same as a submission in BAAGameChallenge.
+    MAX_CHALLENGE_ATTEMPTS: 2, // Note: Attempt is the same as a submission in BAAGameChallenge.
+
+    // names of the game levels, in order, used in the PhET-iO API
+    LEVEL_NAMES: [ 'periodic-table-game', 'mass-and-charge-game', 'symbol-game', 'advanced-symbol-game', 'expert-game' ]
   };
 
   buildAnAtom.register( 'BAASharedConstants', BAASharedConstants );
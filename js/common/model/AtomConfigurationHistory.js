@@ -0,0 +1,113 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Type that records the sequence of configurations that an atom has been through so that the user can step backwards
+ * and forwards through them.  Configurations are stored as simple particle counts, and restoring them is left to the
+ * client, since that involves moving particles between the atom and the buckets.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+
+  /**
+   * @param {NumberAtom} numberAtom - the atom whose configuration is being tracked, a ParticleAtom works too
+   * @constructor
+   */
+  function AtomConfigurationHistory( numberAtom ) {
+
+    // @private
+    this.numberAtom = numberAtom;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.currentConfiguration = this.getAtomConfiguration();
+
+    // @public (read-only) {BooleanProperty} - whether there is anything to undo or redo, used to enable buttons
+    this.canUndoProperty = new BooleanProperty( false );
+    this.canRedoProperty = new BooleanProperty( false );
+  }
+
+  buildAnAtom.register( 'AtomConfigurationHistory', AtomConfigurationHistory );
+
+  return inherit( Object, AtomConfigurationHistory, {
+
+    /**
+     * Record the current configuration of the atom if it differs from the last one recorded.  This clears anything that
+     * was available to redo.
+     * @public
+     */
+    record: function() {
+      const configuration = this.getAtomConfiguration();
+      if ( !_.isEqual( configuration, this.currentConfiguration ) ) {
+        this.undoStack.push( this.currentConfiguration );
+        this.currentConfiguration = configuration;
+        this.redoStack.length = 0;
+        this.updateAvailability();
+      }
+    },
+
+    /**
+     * Step back to the previously recorded configuration.
+     * @returns {{protonCount: number, neutronCount: number, electronCount: number}} - configuration to restore
+     * @public
+     */
+    undo: function() {
+      assert && assert( this.undoStack.length > 0, 'nothing to undo' );
+      this.redoStack.push( this.currentConfiguration );
+      this.currentConfiguration = this.undoStack.pop();
+      this.updateAvailability();
+      return this.currentConfiguration;
+    },
+
+    /**
+     * Step forward to the configuration that was most recently undone.
+     * @returns {{protonCount: number, neutronCount: number, electronCount: number}} - configuration to restore
+     * @public
+     */
+    redo: function() {
+      assert && assert( this.redoStack.length > 0, 'nothing to redo' );
+      this.undoStack.push( this.currentConfiguration );
+      this.currentConfiguration = this.redoStack.pop();
+      this.updateAvailability();
+      return this.currentConfiguration;
+    },
+
+    /**
+     * Clear all history and start over from the atom's current configuration.
+     * @public
+     */
+    reset: function() {
+      this.undoStack.length = 0;
+      this.redoStack.length = 0;
+      this.currentConfiguration = this.getAtomConfiguration();
+      this.updateAvailability();
+    },
+
+    // @public
+    dispose: function() {
+      this.canUndoProperty.dispose();
+      this.canRedoProperty.dispose();
+    },
+
+    /**
+     * @returns {{protonCount: number, neutronCount: number, electronCount: number}}
+     * @private
+     */
+    getAtomConfiguration: function() {
+      return {
+        protonCount: this.numberAtom.protonCountProperty.get(),
+        neutronCount: this.numberAtom.neutronCountProperty.get(),
+        electronCount: this.numberAtom.electronCountProperty.get()
+      };
+    },
+
+    // @private
+    updateAvailability: function() {
+      this.canUndoProperty.set( this.undoStack.length > 0 );
+      this.canRedoProperty.set( this.redoStack.length > 0 );
+    }
+  } );
+} );
@@ -0,0 +1,95 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Static functions for converting atom configurations to and from the strings used in the 'atom' query parameter.  Two
+ * forms are supported:
+ *
+ * counts form - protons, neutrons and electrons separated by commas, e.g. '6,6,6'
+ * symbol form - element symbol, mass number and charge, e.g. 'C-12+0', 'O-16-2', or 'Li-7' for a neutral atom.
+ * QueryStringMachine keeps a '+' as it is, but tools that read or rewrite URLs as form data (e.g. URLSearchParams)
+ * turn it into a space, so a space is also accepted as the plus sign, e.g. 'Li-7 1'.
+ *
+ * Configurations are represented as {{protonCount: number, neutronCount: number, electronCount: number}}.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AtomIdentifier = require( 'SHRED/AtomIdentifier' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+
+  // constants
+  const COUNTS_FORM_REGEX = /^(\d+),(\d+),(\d+)$/;
+  const SYMBOL_FORM_REGEX = /^([A-Z][a-z]?)-(\d+)(?:([+ ])(\d+)|-(\d+))?$/;
+  const MAX_ATOMIC_NUMBER = 118;
+
+  // No constructor, not meant to be instantiated.
+  const AtomConfigurationSerializer = {
+
+    /**
+     * Parse a string in either the counts form or the symbol form.
+     * @param {string} string
+     * @returns {{protonCount: number, neutronCount: number, electronCount: number}|null} - null if not parsable
+     * @public
+     */
+    parse: function( string ) {
+      let configuration = null;
+      const countsMatch = string.match( COUNTS_FORM_REGEX );
+      const symbolMatch = string.match( SYMBOL_FORM_REGEX );
+      if ( countsMatch ) {
+        configuration = {
+          protonCount: parseInt( countsMatch[ 1 ], 10 ),
+          neutronCount: parseInt( countsMatch[ 2 ], 10 ),
+          electronCount: parseInt( countsMatch[ 3 ], 10 )
+        };
+      }
+      else if ( symbolMatch ) {
+        const protonCount = AtomConfigurationSerializer.getProtonCountForSymbol( symbolMatch[ 1 ] );
+        const massNumber = parseInt( symbolMatch[ 2 ], 10 );
+        const charge = symbolMatch[ 3 ] ? parseInt( symbolMatch[ 4 ], 10 ) :
+                       symbolMatch[ 5 ] ? -parseInt( symbolMatch[ 5 ], 10 ) :
+                       0;
+        if ( protonCount !== null && massNumber >= protonCount && protonCount - charge >= 0 ) {
+          configuration = {
+            protonCount: protonCount,
+            neutronCount: massNumber - protonCount,
+            electronCount: protonCount - charge
+          };
+        }
+      }
+      return configuration;
+    },
+
+    /**
+     * Serialize an atom into the counts form, which can represent any configuration, including empty nuclei.
+     * @param {NumberAtom} numberAtom - a ParticleAtom works too
+     * @returns {string}
+     * @public
+     */
+    serialize: function( numberAtom ) {
+      return [
+        numberAtom.protonCountProperty.get(),
+        numberAtom.neutronCountProperty.get(),
+        numberAtom.electronCountProperty.get()
+      ].join( ',' );
+    },
+
+    /**
+     * @param {string} symbol - element symbol, case sensitive, e.g. 'He'
+     * @returns {number|null} - the atomic number, null if the symbol isn't recognized
+     * @private
+     */
+    getProtonCountForSymbol: function( symbol ) {
+      for ( let protonCount = 1; protonCount <= MAX_ATOMIC_NUMBER; protonCount++ ) {
+        if ( AtomIdentifier.getSymbol( protonCount ) === symbol ) {
+          return protonCount;
+        }
+      }
+      return null;
+    }
+  };
+
+  buildAnAtom.register( 'AtomConfigurationSerializer', AtomConfigurationSerializer );
+
+  return AtomConfigurationSerializer;
+} );
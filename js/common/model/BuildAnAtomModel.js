@@ -9,16 +9,23 @@ define( require => {
   'use strict';
 
   // modules
+  const AtomConfigurationHistory = require( 'BUILD_AN_ATOM/common/model/AtomConfigurationHistory' );
+  const AtomConfigurationSerializer = require( 'BUILD_AN_ATOM/common/model/AtomConfigurationSerializer' );
   const AtomIdentifier = require( 'SHRED/AtomIdentifier' );
   const AtomView = require( 'BUILD_AN_ATOM/common/view/AtomView' );
+  const BAAQueryParameters = require( 'BUILD_AN_ATOM/common/BAAQueryParameters' );
   const BooleanIO = require( 'TANDEM/types/BooleanIO' );
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const DecayMode = require( 'BUILD_AN_ATOM/common/model/DecayMode' );
   const DerivedProperty = require( 'AXON/DerivedProperty' );
   const DerivedPropertyIO = require( 'AXON/DerivedPropertyIO' );
   const Dimension2 = require( 'DOT/Dimension2' );
+  const Emitter = require( 'AXON/Emitter' );
   const inherit = require( 'PHET_CORE/inherit' );
   const merge = require( 'PHET_CORE/merge' );
+  const MultiShellParticleAtom = require( 'BUILD_AN_ATOM/common/model/MultiShellParticleAtom' );
+  const NuclideDecayData = require( 'BUILD_AN_ATOM/common/model/NuclideDecayData' );
   const Particle = require( 'SHRED/model/Particle' );
   const ParticleAtom = require( 'SHRED/model/ParticleAtom' );
   const PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
@@ -35,18 +42,28 @@ define( require => {
   const protonsString = require( 'string!BUILD_AN_ATOM/protons' );
 
   // constants
-  const NUM_PROTONS = 10;
-  const NUM_NEUTRONS = 13;
-  const NUM_ELECTRONS = 10;
+  const DEFAULT_NUM_PROTONS = 10;
+  const DEFAULT_NUM_NEUTRONS = 13;
+  const DEFAULT_NUM_ELECTRONS = 10;
   const NUCLEON_CAPTURE_RADIUS = 100;
-  const BUCKET_WIDTH = 120;
-  const BUCKET_HEIGHT = BUCKET_WIDTH * 0.45;
+  const BUCKET_WIDTH = 120; // width of a bucket that holds the default number of neutrons
+  const BUCKET_HEIGHT_PROPORTION = 0.45;
   const BUCKET_Y_OFFSET = -205;
+  const MIN_BUCKET_DISTANCE_FROM_OUTER_SHELL = 50;
+  const ELECTRON_CAPTURE_RADIUS_MULTIPLIER = 1.1;
   const NUCLEUS_JUMP_PERIOD = 0.1; // In seconds
   const MAX_NUCLEUS_JUMP = ShredConstants.NUCLEON_RADIUS * 0.5;
   const JUMP_ANGLES = [ Math.PI * 0.1, Math.PI * 1.6, Math.PI * 0.7, Math.PI * 1.1, Math.PI * 0.3 ];
   const JUMP_DISTANCES = [ MAX_NUCLEUS_JUMP * 0.4, MAX_NUCLEUS_JUMP * 0.8, MAX_NUCLEUS_JUMP * 0.2, MAX_NUCLEUS_JUMP * 0.9 ];
 
+  // Real half-lives span roughly 40 orders of magnitude, so they are mapped logarithmically onto a range of sim times
+  // that students can watch.  Half-lives outside of the range of log values are clamped.
+  const MIN_LOG_HALF_LIFE = -22; // log10 of seconds, shortest lived nuclides such as H-5
+  const MAX_LOG_HALF_LIFE = 17; // log10 of seconds, longest lived nuclides such as K-40
+  const MIN_SCALED_HALF_LIFE = 0.5; // in seconds of sim time
+  const MAX_SCALED_HALF_LIFE = 10; // in seconds of sim time
+  const EMISSION_DISTANCE = 250; // distance from the atom center to which emitted particles travel, in screen coords
+
   /**
    * Constructor for main model object.
    * @param {Tandem} tandem
@@ -58,42 +75,108 @@ define( require => {
     const self = this;
 
     options = merge( {
-      phetioState: true
+      phetioState: true,
+
+      // {number} - quantity of each type of particle that is available to the user in the buckets
+      numProtons: DEFAULT_NUM_PROTONS,
+      numNeutrons: DEFAULT_NUM_NEUTRONS,
+      numElectrons: DEFAULT_NUM_ELECTRONS,
+
+      // {{protonCount: number, neutronCount: number, electronCount: number}|null} - atom that is assembled at startup
+      // and after a reset, null for an empty atom
+      initialAtomConfiguration: null,
+
+      // initial values of the label visibility and electron depiction settings
+      showElementName: true,
+      showNeutralOrIon: true,
+      showStableOrUnstable: false,
+      electronShellDepiction: 'orbits',
+
+      // {boolean} - initial value of the setting that allows unstable nuclei to decay
+      allowDecay: false
     }, options );
 
+    // @private
+    this.initialAtomConfiguration = options.initialAtomConfiguration;
+
+    // @public (read-only) {number} - values derived from the particle supply, used by the view to size things
+    this.maxCharge = Math.max( options.numProtons, options.numElectrons );
+    this.maxElectrons = options.numElectrons;
+    this.maxParticlesOfOneType = Math.max( options.numProtons, options.numNeutrons, options.numElectrons );
+    this.numNucleonLayers = AtomView.getNumNucleonLayers( options.numProtons + options.numNeutrons );
+
     // Properties that control label visibility in the view.
-    this.showElementNameProperty = new BooleanProperty( true, {
+    this.showElementNameProperty = new BooleanProperty( options.showElementName, {
       tandem: tandem.createTandem( 'showElementNameProperty' ),
       phetioState: options.phetioState
     } );
-    this.showNeutralOrIonProperty = new BooleanProperty( true, {
+    this.showNeutralOrIonProperty = new BooleanProperty( options.showNeutralOrIon, {
       tandem: tandem.createTandem( 'showNeutralOrIonProperty' ),
       phetioState: options.phetioState
     } );
-    this.showStableOrUnstableProperty = new BooleanProperty( false, {
+    this.showStableOrUnstableProperty = new BooleanProperty( options.showStableOrUnstable, {
       tandem: tandem.createTandem( 'showStableOrUnstableProperty' ),
       phetioState: options.phetioState
     } );
 
+    // @public - Property that controls whether unstable nuclei decay.  When true, unstable nuclei decay after a time
+    // that is scaled from their actual half-life, emitting particles that then return to the buckets.
+    this.allowDecayProperty = new BooleanProperty( options.allowDecay, {
+      tandem: tandem.createTandem( 'allowDecayProperty' ),
+      phetioState: options.phetioState
+    } );
+
     // Property that controls electron depiction in the view.
-    this.electronShellDepictionProperty = new Property( 'orbits', {
+    this.electronShellDepictionProperty = new Property( options.electronShellDepiction, {
       tandem: tandem.createTandem( 'electronShellDepictionProperty' ),
       phetioState: options.phetioState,
       phetioType: PropertyIO( StringIO ),
       validValues: [ 'orbits', 'cloud' ]
     } );
 
-    // Create the atom that the user will build, modify, and generally play with.
-    this.particleAtom = new ParticleAtom( {
-      tandem: tandem.createTandem( 'particleAtom' ),
-      phetioState: options.phetioState
-    } );
+    // Create the atom that the user will build, modify, and generally play with.  The standard two-shell atom is used
+    // unless there are enough electrons to fill more shells.
+    const numElectronShells = MultiShellParticleAtom.getNumElectronShellsNeeded( options.numElectrons );
+    if ( numElectronShells > 2 ) {
+      this.particleAtom = new MultiShellParticleAtom( {
+        numElectronShells: numElectronShells,
+        tandem: tandem.createTandem( 'particleAtom' ),
+        phetioState: options.phetioState
+      } );
+    }
+    else {
+      this.particleAtom = new ParticleAtom( {
+        tandem: tandem.createTandem( 'particleAtom' ),
+        phetioState: options.phetioState
+      } );
+    }
+
+    // @public (read-only) {number[]} - radii of the electron shells, innermost first
+    this.electronShellRadii = this.particleAtom.electronShellRadii ||
+                              [ this.particleAtom.innerElectronShellRadius, this.particleAtom.outerElectronShellRadius ];
+
+    // Move the buckets down if needed so that they don't overlap the outermost shell.
+    const bucketYOffset = Math.min(
+      BUCKET_Y_OFFSET,
+      -( _.last( this.electronShellRadii ) + MIN_BUCKET_DISTANCE_FROM_OUTER_SHELL )
+    );
+
+    // The buckets are enlarged when they need to hold more particles than the default neutron bucket does, and are
+    // spaced based on the widest one.
+    const getBucketSize = function( numParticles ) {
+      const width = BUCKET_WIDTH * Math.max( 1, Math.sqrt( numParticles / DEFAULT_NUM_NEUTRONS ) );
+      return new Dimension2( width, width * BUCKET_HEIGHT_PROPORTION );
+    };
+    const protonBucketSize = getBucketSize( options.numProtons );
+    const neutronBucketSize = getBucketSize( options.numNeutrons );
+    const electronBucketSize = getBucketSize( options.numElectrons );
+    const bucketSpacing = Math.max( protonBucketSize.width, neutronBucketSize.width, electronBucketSize.width ) * 1.1;
 
     // Create the buckets that will hold the sub-atomic particles.
     this.buckets = {
       protonBucket: new SphereBucket( {
-        position: new Vector2( -BUCKET_WIDTH * 1.1, BUCKET_Y_OFFSET ),
-        size: new Dimension2( BUCKET_WIDTH, BUCKET_HEIGHT ),
+        position: new Vector2( -bucketSpacing, bucketYOffset ),
+        size: protonBucketSize,
         sphereRadius: ShredConstants.NUCLEON_RADIUS,
         baseColor: PhetColorScheme.RED_COLORBLIND,
         captionText: protonsString,
@@ -102,8 +185,8 @@ define( require => {
         phetioState: options.phetioState
       } ),
       neutronBucket: new SphereBucket( {
-        position: new Vector2( 0, BUCKET_Y_OFFSET ),
-        size: new Dimension2( BUCKET_WIDTH, BUCKET_HEIGHT ),
+        position: new Vector2( 0, bucketYOffset ),
+        size: neutronBucketSize,
         sphereRadius: ShredConstants.NUCLEON_RADIUS,
         baseColor: 'rgb( 100, 100, 100 )',
         captionText: neutronsString,
@@ -112,8 +195,8 @@ define( require => {
         phetioState: options.phetioState
       } ),
       electronBucket: new SphereBucket( {
-        position: new Vector2( BUCKET_WIDTH * 1.1, BUCKET_Y_OFFSET ),
-        size: new Dimension2( BUCKET_WIDTH, BUCKET_HEIGHT ),
+        position: new Vector2( bucketSpacing, bucketYOffset ),
+        size: electronBucketSize,
         sphereRadius: ShredConstants.ELECTRON_RADIUS,
         usableWidthProportion: 0.8,
         baseColor: 'blue',
@@ -142,10 +225,10 @@ define( require => {
     const protonGroupTandem = tandem.createGroupTandem( 'protons' );
     const neutronGroupTandem = tandem.createGroupTandem( 'neutrons' );
     const electronGroupTandem = tandem.createGroupTandem( 'electrons' );
-    _.times( NUM_PROTONS, function() {
+    _.times( options.numProtons, function() {
       const proton = new Particle( 'proton', {
         tandem: protonGroupTandem.createNextTandem(),
-        maxZLayer: AtomView.NUM_NUCLEON_LAYERS - 1
+        maxZLayer: self.numNucleonLayers - 1
       } );
       self.nucleons.push( proton );
       self.buckets.protonBucket.addParticleFirstOpen( proton, false );
@@ -157,10 +240,10 @@ define( require => {
     } );
 
     // Add the neutrons.
-    _.times( NUM_NEUTRONS, function() {
+    _.times( options.numNeutrons, function() {
       const neutron = new Particle( 'neutron', {
         tandem: neutronGroupTandem.createNextTandem(),
-        maxZLayer: AtomView.NUM_NUCLEON_LAYERS - 1
+        maxZLayer: self.numNucleonLayers - 1
       } );
       self.nucleons.push( neutron );
       self.buckets.neutronBucket.addParticleFirstOpen( neutron, false );
@@ -172,16 +255,16 @@ define( require => {
     } );
 
     // Add the electrons.
-    _.times( NUM_ELECTRONS, function() {
+    _.times( options.numElectrons, function() {
       const electron = new Particle( 'electron', {
         tandem: electronGroupTandem.createNextTandem(),
-        maxZLayer: AtomView.NUM_NUCLEON_LAYERS - 1
+        maxZLayer: self.numNucleonLayers - 1
       } );
       self.electrons.push( electron );
       self.buckets.electronBucket.addParticleFirstOpen( electron, false );
       electron.userControlledProperty.link( function( userControlled ) {
         if ( !userControlled && !self.buckets.electronBucket.containsParticle( electron ) ) {
-          if ( electron.positionProperty.get().distance( Vector2.ZERO ) < self.particleAtom.outerElectronShellRadius * 1.1 ) {
+          if ( self.isInElectronCaptureRange( electron.positionProperty.get() ) ) {
             self.particleAtom.addParticle( electron );
           }
           else {
@@ -191,6 +274,40 @@ define( require => {
       } );
     } );
 
+    // @public (read-only) - history of the atom's configurations, used to support undo and redo
+    this.history = new AtomConfigurationHistory( this.particleAtom );
+
+    // @private - set while the model is moving particles itself, so that only the final configuration is recorded
+    this.historyRecordingSuspended = false;
+
+    // @public (read-only) {boolean} - true while the model, rather than the user, is moving particles between the
+    // buckets and the atom, e.g. for reset, undo or redo
+    this.modelChangeInProgress = false;
+
+    // @public - emits after the model has changed the atom to a different configuration, e.g. for undo or redo, but not
+    // for reset
+    this.atomConfigurationSetEmitter = new Emitter();
+
+    // @private {Particle[]} - particles that were emitted by a decaying nucleus and are moving away from the atom
+    this.emittedParticles = [];
+
+    // Record the configuration each time the user releases a particle.  These listeners are added after the ones above
+    // so that the particle has already been placed in the atom or bucket when this is called.
+    this.nucleons.concat( this.electrons ).forEach( function( particle ) {
+      particle.userControlledProperty.lazyLink( function( userControlled ) {
+        if ( !userControlled && !self.historyRecordingSuspended ) {
+          self.history.record();
+        }
+      } );
+
+      // If the user grabs a particle that was emitted by a decaying nucleus, it is no longer returned automatically.
+      particle.userControlledProperty.lazyLink( function( userControlled ) {
+        if ( userControlled ) {
+          _.pull( self.emittedParticles, particle );
+        }
+      } );
+    } );
+
     // Update the stability state and counter on changes.
     this.nucleusStableProperty = new DerivedProperty(
       [ this.particleAtom.protonCountProperty, this.particleAtom.neutronCountProperty ],
@@ -204,6 +321,18 @@ define( require => {
       }
     );
 
+    // @public (read-only) {DerivedProperty.<{halfLife: number, decayMode: string}|null>} - half-life and primary decay
+    // mode of the nucleus, null if the nucleus is empty, stable, or not bound at all
+    this.nucleusDecayInfoProperty = new DerivedProperty(
+      [ this.particleAtom.protonCountProperty, this.particleAtom.neutronCountProperty ],
+      function( protonCount, neutronCount ) {
+        return NuclideDecayData.getDecayInfo( protonCount, neutronCount );
+      }
+    );
+
+    // @public - emits when the nucleus decays, with the DecayMode as a parameter
+    this.nucleusDecayedEmitter = new Emitter( { parameters: [ { validValues: _.values( DecayMode ) } ] } );
+
     // @private - variables used to animate the nucleus when it is unstable
     this.nucleusJumpCountdown = NUCLEUS_JUMP_PERIOD;
     this.nucleusOffset = Vector2.ZERO;
@@ -223,11 +352,53 @@ define( require => {
 
     // add a variable used when making the nucleus jump in order to indicate instability
     this.nucleusJumpCount = 0;
+
+    // Assemble the initial atom, if specified.  This isn't something that the user should be able to undo.
+    if ( this.initialAtomConfiguration ) {
+      this.setParticleCounts( this.initialAtomConfiguration );
+      this.history.reset();
+    }
   }
 
-  // Externally visible constants
-  BuildAnAtomModel.MAX_CHARGE = Math.max( NUM_PROTONS, NUM_ELECTRONS );
-  BuildAnAtomModel.MAX_ELECTRONS = NUM_ELECTRONS;
+  /**
+   * Get the model options that are specified via query parameters, used by the screens where the user builds atoms.
+   * The particle supply is increased if needed so that the initial atom can be assembled.
+   * @returns {Object}
+   * @public
+   */
+  BuildAnAtomModel.getQueryParameterOptions = function() {
+    const initialAtomConfiguration = BAAQueryParameters.atom === null ?
+                                     null :
+                                     AtomConfigurationSerializer.parse( BAAQueryParameters.atom );
+    return {
+      numProtons: Math.max( BAAQueryParameters.protons, initialAtomConfiguration ? initialAtomConfiguration.protonCount : 0 ),
+      numNeutrons: Math.max( BAAQueryParameters.neutrons, initialAtomConfiguration ? initialAtomConfiguration.neutronCount : 0 ),
+      numElectrons: Math.max( BAAQueryParameters.electrons, initialAtomConfiguration ? initialAtomConfiguration.electronCount : 0 ),
+      initialAtomConfiguration: initialAtomConfiguration,
+      showElementName: BAAQueryParameters.showElementName,
+      showNeutralOrIon: BAAQueryParameters.showNeutralOrIon,
+      showStableOrUnstable: BAAQueryParameters.showStableOrUnstable,
+      electronShellDepiction: BAAQueryParameters.electronModel,
+      allowDecay: BAAQueryParameters.allowDecay
+    };
+  };
+
+  /**
+   * Map a real half-life onto the time that it takes in the sim.  The mapping is logarithmic so that the differences
+   * between nuclei remain apparent, e.g. C-14 takes longer to decay than C-15.
+   * @param {number} halfLife - in seconds
+   * @returns {number} - in seconds of sim time
+   * @public
+   */
+  BuildAnAtomModel.getScaledHalfLife = function( halfLife ) {
+    const logHalfLife = Math.min( Math.max( Math.log10( halfLife ), MIN_LOG_HALF_LIFE ), MAX_LOG_HALF_LIFE );
+    const proportion = ( logHalfLife - MIN_LOG_HALF_LIFE ) / ( MAX_LOG_HALF_LIFE - MIN_LOG_HALF_LIFE );
+    return MIN_SCALED_HALF_LIFE + proportion * ( MAX_SCALED_HALF_LIFE - MIN_SCALED_HALF_LIFE );
+  };
+
+  // Externally visible constants, these reflect the default particle supply
+  BuildAnAtomModel.MAX_CHARGE = Math.max( DEFAULT_NUM_PROTONS, DEFAULT_NUM_ELECTRONS );
+  BuildAnAtomModel.MAX_ELECTRONS = DEFAULT_NUM_ELECTRONS;
 
   buildAnAtom.register( 'BuildAnAtomModel', BuildAnAtomModel );
 
@@ -237,12 +408,17 @@ define( require => {
 
       // DerivedProperties should be disposed first, see https://github.com/phetsims/axon/issues/167
       this.nucleusStableProperty.dispose();
+      this.nucleusDecayInfoProperty.dispose();
 
       // next dispose the root (non-derived) properties
       this.showElementNameProperty.dispose();
       this.showNeutralOrIonProperty.dispose();
       this.showStableOrUnstableProperty.dispose();
       this.electronShellDepictionProperty.dispose();
+      this.allowDecayProperty.dispose();
+      this.nucleusDecayedEmitter.dispose();
+      this.atomConfigurationSetEmitter.dispose();
+      this.history.dispose();
 
       // etc...
       this.particleAtom.dispose();
@@ -287,29 +463,167 @@ define( require => {
         // animation is not running, make sure nucleus is in center of atom
         this.particleAtom.nucleusOffsetProperty.set( Vector2.ZERO );
       }
-    },
 
-    // @private
-    _moveParticlesFromAtomToBucket: function( particleCollection, bucket ) {
-      const particlesToRemove = [];
-      // Copy the observable particle collection into a regular array.
-      for ( let i = 0; i < particleCollection.length; i++ ) {
-        particlesToRemove[ i ] = particleCollection.get( i );
-      }
+      // Send emitted particles back to their buckets once they have finished moving away from the atom.
       const self = this;
-      particlesToRemove.forEach( function( particle ) {
-          self.particleAtom.removeParticle( particle );
-          bucket.addParticleFirstOpen( particle );
+      this.emittedParticles.slice().forEach( function( particle ) {
+        if ( particle.positionProperty.get().equals( particle.destinationProperty.get() ) ) {
+          _.pull( self.emittedParticles, particle );
+          self.getBucketForParticle( particle ).addParticleFirstOpen( particle, true );
+        }
+      } );
+
+      // Decay the nucleus at random, with a probability that gives it the scaled half-life.
+      if ( this.allowDecayProperty.get() && !this.nucleusStableProperty.get() ) {
+        const decayInfo = this.nucleusDecayInfoProperty.get();
+        const scaledHalfLife = decayInfo ? BuildAnAtomModel.getScaledHalfLife( decayInfo.halfLife ) : MIN_SCALED_HALF_LIFE;
+        if ( phet.joist.random.nextDouble() < 1 - Math.pow( 0.5, dt / scaledHalfLife ) ) {
+          this.decayNucleus( decayInfo ? decayInfo.decayMode : this.getUnboundDecayMode() );
         }
+      }
+    },
+
+    /**
+     * Decay the nucleus by the specified mode, emitting the resulting particle, if any, and converting nucleons from
+     * one type to the other as needed.  Positrons and neutrinos are not modeled, so beta-plus decay and electron capture
+     * simply convert a proton to a neutron.  If a particle needed for the decay isn't available in the buckets, the
+     * decay doesn't happen.
+     * @param {string} decayMode - a DecayMode value
+     * @public
+     */
+    decayNucleus: function( decayMode ) {
+      const protons = this.particleAtom.protons;
+      const neutrons = this.particleAtom.neutrons;
+      if ( decayMode === DecayMode.ALPHA && protons.length >= 2 && neutrons.length >= 2 ) {
+
+        // the alpha particle leaves as a group, so all four nucleons move in the same direction
+        const direction = this.getRandomEmissionDirection();
+        [ protons.get( 0 ), protons.get( 1 ), neutrons.get( 0 ), neutrons.get( 1 ) ].forEach( nucleon => {
+          this.emitParticle( nucleon, direction );
+        } );
+      }
+      else if ( decayMode === DecayMode.BETA_MINUS && neutrons.length >= 1 &&
+                this.buckets.protonBucket.getParticleList().length > 0 &&
+                this.buckets.electronBucket.getParticleList().length > 0 ) {
+        const position = this.convertNucleon( neutrons.get( neutrons.length - 1 ), this.buckets.protonBucket );
+        const electron = this.buckets.electronBucket.extractClosestParticle( position );
+        electron.setPositionAndDestination( position );
+        this.emitParticle( electron, this.getRandomEmissionDirection() );
+      }
+      else if ( decayMode === DecayMode.BETA_PLUS && protons.length >= 1 &&
+                this.buckets.neutronBucket.getParticleList().length > 0 ) {
+        this.convertNucleon( protons.get( protons.length - 1 ), this.buckets.neutronBucket );
+      }
+      else if ( decayMode === DecayMode.NEUTRON_EMISSION && neutrons.length >= 1 ) {
+        this.emitParticle( neutrons.get( neutrons.length - 1 ), this.getRandomEmissionDirection() );
+      }
+      else if ( decayMode === DecayMode.PROTON_EMISSION && protons.length >= 1 ) {
+        this.emitParticle( protons.get( protons.length - 1 ), this.getRandomEmissionDirection() );
+      }
+      else {
+        return;
+      }
+      this.history.record();
+      this.nucleusDecayedEmitter.emit( decayMode );
+    },
+
+    /**
+     * Replace a nucleon in the atom with one of the other type taken from the specified bucket, putting the original
+     * back in its bucket.
+     * @param {Particle} nucleon - a nucleon that is currently in the atom
+     * @param {SphereBucket} bucket - bucket from which the replacement is taken
+     * @returns {Vector2} - position of the nucleon that was replaced
+     * @private
+     */
+    convertNucleon: function( nucleon, bucket ) {
+      const position = nucleon.positionProperty.get();
+      this.particleAtom.removeParticle( nucleon );
+      this.getBucketForParticle( nucleon ).addParticleFirstOpen( nucleon, false );
+      const replacement = bucket.extractClosestParticle( position );
+      replacement.setPositionAndDestination( position );
+      this.particleAtom.addParticle( replacement );
+      return position;
+    },
+
+    /**
+     * Remove a particle from the atom, if it is in it, and send it moving away from the atom.  It is returned to its
+     * bucket once it gets there, see step.
+     * @param {Particle} particle
+     * @param {Vector2} direction - unit vector
+     * @private
+     */
+    emitParticle: function( particle, direction ) {
+      if ( this.particleAtom.containsParticle( particle ) ) {
+        this.particleAtom.removeParticle( particle );
+      }
+      particle.destinationProperty.set(
+        this.particleAtom.positionProperty.get().plus( direction.timesScalar( EMISSION_DISTANCE ) )
       );
+      this.emittedParticles.push( particle );
+    },
+
+    /**
+     * Move any emitted particles that are still on their way out of the atom directly to their buckets.
+     * @private
+     */
+    returnEmittedParticlesToBuckets: function() {
+      const self = this;
+      this.emittedParticles.forEach( function( particle ) {
+        self.getBucketForParticle( particle ).addParticleFirstOpen( particle, false );
+      } );
+      this.emittedParticles.length = 0;
+    },
+
+    /**
+     * Get the decay mode for a nucleus that isn't bound at all, which sheds whichever type of nucleon it has in excess.
+     * @returns {string} - a DecayMode value
+     * @private
+     */
+    getUnboundDecayMode: function() {
+      return this.particleAtom.neutronCountProperty.get() > this.particleAtom.protonCountProperty.get() ?
+             DecayMode.NEUTRON_EMISSION :
+             DecayMode.PROTON_EMISSION;
+    },
+
+    // @private
+    getRandomEmissionDirection: function() {
+      return Vector2.createPolar( 1, phet.joist.random.nextDouble() * 2 * Math.PI );
+    },
+
+    /**
+     * @param {Particle} particle
+     * @returns {SphereBucket} - the bucket where particles of this type are kept
+     * @private
+     */
+    getBucketForParticle: function( particle ) {
+      return particle.type === 'proton' ? this.buckets.protonBucket :
+             particle.type === 'neutron' ? this.buckets.neutronBucket :
+             this.buckets.electronBucket;
+    },
+
+    /**
+     * Determine whether an electron released at the specified position should be captured by the atom.  The electron
+     * is captured if it is inside of, or just outside of, the electron shell that is closest to it.
+     * @param {Vector2} position
+     * @returns {boolean}
+     * @public
+     */
+    isInElectronCaptureRange: function( position ) {
+      const distance = position.distance( this.particleAtom.positionProperty.get() );
+      const nearestShellRadius = _.minBy( this.electronShellRadii, function( radius ) {
+        return Math.abs( radius - distance );
+      } );
+      return distance < nearestShellRadius * ELECTRON_CAPTURE_RADIUS_MULTIPLIER;
     },
 
     // @public
     reset: function() {
+      this.modelChangeInProgress = true;
       this.showElementNameProperty.reset();
       this.showNeutralOrIonProperty.reset();
       this.showStableOrUnstableProperty.reset();
       this.electronShellDepictionProperty.reset();
+      this.allowDecayProperty.reset();
 
       // Move any particles that are in transit back to its bucket.
       this.nucleons.forEach( function( nucleon ) {
@@ -323,8 +637,9 @@ define( require => {
         }
       } );
 
-      // Remove all particles from the particle atom.
+      // Remove all particles from the particle atom.  Any emitted particles are returned to the buckets below.
       this.particleAtom.clear();
+      this.emittedParticles.length = 0;
 
       // Remove all particles from the buckets.
       this.buckets.protonBucket.reset();
@@ -345,48 +660,125 @@ define( require => {
       this.electrons.forEach( function( electron ) {
         self.buckets.electronBucket.addParticleFirstOpen( electron, false );
       } );
+
+      // Reassemble the initial atom, if there is one.
+      if ( this.initialAtomConfiguration ) {
+        this.setParticleCounts( this.initialAtomConfiguration );
+      }
+
+      this.history.reset();
+      this.modelChangeInProgress = false;
+    },
+
+    /**
+     * Restore the atom to the configuration it had before the most recent change.
+     * @public
+     */
+    undo: function() {
+      if ( this.history.canUndoProperty.get() ) {
+        this.setParticleCounts( this.history.undo() );
+        this.atomConfigurationSetEmitter.emit();
+      }
+    },
+
+    /**
+     * Reapply the most recently undone change to the atom.
+     * @public
+     */
+    redo: function() {
+      if ( this.history.canRedoProperty.get() ) {
+        this.setParticleCounts( this.history.redo() );
+        this.atomConfigurationSetEmitter.emit();
+      }
+    },
+
+    /**
+     * Move a particle of the specified type from its bucket into the atom.  This is the non-pointer equivalent of
+     * dragging a particle from a bucket and dropping it on the atom, used for keyboard interaction.
+     * @param {string} particleType - 'proton', 'neutron' or 'electron'
+     * @returns {boolean} - false if the bucket was empty
+     * @public
+     */
+    addParticleFromBucket: function( particleType ) {
+      const bucket = this.buckets[ particleType + 'Bucket' ];
+      if ( bucket.getParticleList().length === 0 ) {
+        return false;
+      }
+      this.particleAtom.addParticle( bucket.extractClosestParticle( this.particleAtom.positionProperty.get() ) );
+      this.history.record();
+      return true;
+    },
+
+    /**
+     * Move a particle of the specified type from the atom back to its bucket, the counterpart to addParticleFromBucket.
+     * @param {string} particleType - 'proton', 'neutron' or 'electron'
+     * @returns {boolean} - false if there were no particles of this type in the atom
+     * @public
+     */
+    removeParticleToBucket: function( particleType ) {
+      const particlesInAtom = this.particleAtom[ particleType + 's' ];
+      if ( particlesInAtom.length === 0 ) {
+        return false;
+      }
+      const particle = particlesInAtom.get( particlesInAtom.length - 1 );
+      this.particleAtom.removeParticle( particle );
+      this.buckets[ particleType + 'Bucket' ].addParticleFirstOpen( particle, true );
+      this.history.record();
+      return true;
     },
 
     // @public - set the atom to the specified configuration
     setAtomConfiguration: function( numberAtom ) {
+      this.setParticleCounts( {
+        protonCount: numberAtom.protonCountProperty.get(),
+        neutronCount: numberAtom.neutronCountProperty.get(),
+        electronCount: numberAtom.electronCountProperty.get()
+      } );
+      this.atomConfigurationSetEmitter.emit();
+    },
+
+    /**
+     * Move particles between the buckets and the atom so that the atom contains the specified number of each type.  The
+     * result is recorded in the history as a single change.
+     * @param {{protonCount: number, neutronCount: number, electronCount: number}} particleCounts
+     * @private
+     */
+    setParticleCounts: function( particleCounts ) {
 
-      // Define a function for transferring particles from buckets to atom.
+      // Define a function for transferring particles between the buckets and the atom.
       const atomCenter = this.particleAtom.positionProperty.get();
       const self = this;
-      const moveParticlesToAtom = function( currentCountInAtom, targetCountInAtom, particlesInAtom, bucket ) {
-        while ( currentCountInAtom < targetCountInAtom ) {
+      const moveParticles = function( targetCountInAtom, particlesInAtom, bucket ) {
+        while ( particlesInAtom.length < targetCountInAtom ) {
           const particle = bucket.extractClosestParticle( atomCenter );
           particle.setPositionAndDestination( atomCenter );
-          particle.userControlledProperty.set( false ); // Necessary to make it look like user released particle.
-          currentCountInAtom++;
+          self.particleAtom.addParticle( particle );
         }
-        while ( currentCountInAtom > targetCountInAtom ) {
-          self._moveParticlesFromAtomToBucket( particlesInAtom, bucket );
-          currentCountInAtom--;
+        while ( particlesInAtom.length > targetCountInAtom ) {
+          const particle = particlesInAtom.get( particlesInAtom.length - 1 );
+          self.particleAtom.removeParticle( particle );
+          bucket.addParticleFirstOpen( particle, false );
         }
       };
 
+      this.historyRecordingSuspended = true;
+      const modelChangeInProgress = this.modelChangeInProgress;
+      this.modelChangeInProgress = true;
+
+      // Any particles that are on their way out of the atom need to be in their buckets to be counted.
+      this.returnEmittedParticlesToBuckets();
+
       // Move the particles.
-      moveParticlesToAtom( this.particleAtom.protons.length,
-        numberAtom.protonCountProperty.get(),
-        this.particleAtom.protons,
-        this.buckets.protonBucket
-      );
-      moveParticlesToAtom(
-        this.particleAtom.neutrons.length,
-        numberAtom.neutronCountProperty.get(),
-        this.particleAtom.neutrons,
-        this.buckets.neutronBucket
-      );
-      moveParticlesToAtom(
-        this.particleAtom.electrons.length,
-        numberAtom.electronCountProperty.get(),
-        this.particleAtom.electrons,
-        this.buckets.electronBucket
-      );
+      moveParticles( particleCounts.protonCount, this.particleAtom.protons, this.buckets.protonBucket );
+      moveParticles( particleCounts.neutronCount, this.particleAtom.neutrons, this.buckets.neutronBucket );
+      moveParticles( particleCounts.electronCount, this.particleAtom.electrons, this.buckets.electronBucket );
 
       // Finalize particle positions.
       this.particleAtom.moveAllParticlesToDestination();
+
+      this.historyRecordingSuspended = false;
+      this.modelChangeInProgress = modelChangeInProgress;
+      this.history.record();
     }
   } );
 } );
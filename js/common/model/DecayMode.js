@@ -0,0 +1,26 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Possible modes of radioactive decay for an unstable nucleus.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+
+  const DecayMode = {
+    ALPHA: 'alpha',
+    BETA_MINUS: 'betaMinus',
+    BETA_PLUS: 'betaPlus', // includes electron capture, which changes the nucleus in the same way
+    NEUTRON_EMISSION: 'neutronEmission',
+    PROTON_EMISSION: 'protonEmission'
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( DecayMode ); }
+
+  buildAnAtom.register( 'DecayMode', DecayMode );
+
+  return DecayMode;
+} );
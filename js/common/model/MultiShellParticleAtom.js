@@ -0,0 +1,177 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A ParticleAtom that supports more than the two electron shells provided by the base type, which makes it possible to
+ * model atoms beyond neon.  The shells are filled in the order 2-8-8-2, which is the simplified Bohr model that is
+ * typically taught for the first twenty elements.  Electrons are always moved inward to fill vacancies when an inner
+ * electron is removed.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const ParticleAtom = require( 'SHRED/model/ParticleAtom' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const ELECTRON_SHELL_CAPACITIES = [ 2, 8, 8, 2 ];
+  const ELECTRON_SHELL_RADII = [ 80, 115, 150, 185 ]; // in screen coords, spaced to fit between nucleus and buckets
+
+  /**
+   * @param {Object} [options]
+   * @constructor
+   */
+  function MultiShellParticleAtom( options ) {
+
+    const self = this;
+
+    options = merge( {
+
+      // {number} - number of electron shells to model, from 2 to 4
+      numElectronShells: ELECTRON_SHELL_CAPACITIES.length
+    }, options );
+
+    assert && assert(
+      options.numElectronShells >= 2 && options.numElectronShells <= ELECTRON_SHELL_CAPACITIES.length,
+      'unsupported number of electron shells: ' + options.numElectronShells
+    );
+
+    ParticleAtom.call( this, merge( {
+      innerElectronShellRadius: ELECTRON_SHELL_RADII[ 0 ],
+      outerElectronShellRadius: ELECTRON_SHELL_RADII[ 1 ]
+    }, _.omit( options, 'numElectronShells' ) ) );
+
+    // @public (read-only) {number[]} - radii of all modeled shells, innermost first
+    this.electronShellRadii = ELECTRON_SHELL_RADII.slice( 0, options.numElectronShells );
+
+    // @public (read-only) {number} - the total number of electrons that the shells can hold
+    this.maxElectrons = _.sum( ELECTRON_SHELL_CAPACITIES.slice( 0, options.numElectronShells ) );
+
+    // Replace the electron positions defined by the base type with positions for all of the shells.  Each entry has
+    // the same format as in the base type, with the addition of the index of the shell that contains it.
+    this.electronShellPositions = [];
+    this.electronShellRadii.forEach( function( radius, shellIndex ) {
+      const capacity = ELECTRON_SHELL_CAPACITIES[ shellIndex ];
+
+      // Offset the starting angle of each shell so that the electrons in adjacent shells don't line up.
+      const angleOffset = shellIndex * Math.PI / capacity;
+      for ( let i = 0; i < capacity; i++ ) {
+        self.electronShellPositions.push( {
+          electron: null,
+          position: Vector2.createPolar( radius, angleOffset + i * 2 * Math.PI / capacity ),
+          shellIndex: shellIndex
+        } );
+      }
+    } );
+
+    // When an electron is removed, move electrons from outer shells inward so that there are no gaps in the inner
+    // shells.  The base type only does this for the inner two shells, this handles any number of them.
+    this.electrons.addItemRemovedListener( function() {
+      self.fillElectronShellVacancies();
+    } );
+  }
+
+  buildAnAtom.register( 'MultiShellParticleAtom', MultiShellParticleAtom );
+
+  return inherit( ParticleAtom, MultiShellParticleAtom, {
+
+    /**
+     * Add a particle to the atom.  Electrons are placed in the innermost shell that has room, using the open position
+     * in that shell that is closest to where the electron was released.
+     * @param {Particle} particle
+     * @public
+     * @override
+     */
+    addParticle: function( particle ) {
+      ParticleAtom.prototype.addParticle.call( this, particle );
+      if ( particle.type === 'electron' ) {
+        const assignedPosition = _.find( this.electronShellPositions, function( electronShellPosition ) {
+          return electronShellPosition.electron === particle;
+        } );
+        assert && assert( assignedPosition, 'electron was not assigned to a shell position' );
+        const targetShellIndex = this.getInnermostOpenShellIndex();
+        if ( targetShellIndex !== null && targetShellIndex < assignedPosition.shellIndex ) {
+          const openPositions = this.getOpenPositionsInShell( targetShellIndex );
+          const releasePosition = particle.positionProperty.get();
+          const newPosition = _.minBy( openPositions, function( electronShellPosition ) {
+            return electronShellPosition.position.distance( releasePosition );
+          } );
+          assignedPosition.electron = null;
+          newPosition.electron = particle;
+          particle.destinationProperty.set( newPosition.position );
+        }
+      }
+    },
+
+    /**
+     * Move electrons from outer shells inward until each shell is full before the next one out contains anything.
+     * @private
+     */
+    fillElectronShellVacancies: function() {
+      for ( let shellIndex = 0; shellIndex < this.electronShellRadii.length - 1; shellIndex++ ) {
+        const openPositions = this.getOpenPositionsInShell( shellIndex );
+        openPositions.forEach( openPosition => {
+          const occupiedOuterPositions = this.electronShellPositions.filter( function( electronShellPosition ) {
+            return electronShellPosition.shellIndex === shellIndex + 1 && electronShellPosition.electron !== null;
+          } );
+          if ( occupiedOuterPositions.length > 0 ) {
+            const closestOuterPosition = _.minBy( occupiedOuterPositions, function( electronShellPosition ) {
+              return electronShellPosition.position.distance( openPosition.position );
+            } );
+            openPosition.electron = closestOuterPosition.electron;
+            closestOuterPosition.electron = null;
+            openPosition.electron.destinationProperty.set( openPosition.position );
+          }
+        } );
+      }
+    },
+
+    /**
+     * @param {number} shellIndex
+     * @returns {Object[]} - the unoccupied electron shell positions in the specified shell
+     * @private
+     */
+    getOpenPositionsInShell: function( shellIndex ) {
+      return this.electronShellPositions.filter( function( electronShellPosition ) {
+        return electronShellPosition.shellIndex === shellIndex && electronShellPosition.electron === null;
+      } );
+    },
+
+    /**
+     * @returns {number|null} - index of the innermost shell with an open position, null if all shells are full
+     * @private
+     */
+    getInnermostOpenShellIndex: function() {
+      for ( let shellIndex = 0; shellIndex < this.electronShellRadii.length; shellIndex++ ) {
+        if ( this.getOpenPositionsInShell( shellIndex ).length > 0 ) {
+          return shellIndex;
+        }
+      }
+      return null;
+    }
+  }, {
+
+    // statics
+    ELECTRON_SHELL_CAPACITIES: ELECTRON_SHELL_CAPACITIES,
+
+    /**
+     * Get the number of shells needed to hold the specified number of electrons.
+     * @param {number} numElectrons
+     * @returns {number}
+     * @public
+     */
+    getNumElectronShellsNeeded: function( numElectrons ) {
+      let capacity = 0;
+      for ( let shellIndex = 0; shellIndex < ELECTRON_SHELL_CAPACITIES.length; shellIndex++ ) {
+        capacity += ELECTRON_SHELL_CAPACITIES[ shellIndex ];
+        if ( numElectrons <= capacity ) {
+          return shellIndex + 1;
+        }
+      }
+      throw new Error( 'too many electrons for the available shells: ' + numElectrons );
+    }
+  } );
+} );
@@ -0,0 +1,145 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Half-lives and primary decay modes for the unstable nuclides that can be built with the maximum particle supply,
+ * i.e. up to calcium.  Values are rounded and are taken from the NUBASE evaluation of nuclear properties.  Nuclides
+ * that are stable according to AtomIdentifier.isStable are not included, nor are configurations that are not bound at
+ * all, which fall apart as soon as they are formed.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const DecayMode = require( 'BUILD_AN_ATOM/common/model/DecayMode' );
+
+  // abbreviations to keep the table compact
+  const A = DecayMode.ALPHA;
+  const BM = DecayMode.BETA_MINUS;
+  const BP = DecayMode.BETA_PLUS;
+  const N = DecayMode.NEUTRON_EMISSION;
+  const P = DecayMode.PROTON_EMISSION;
+
+  // Table of [ half-life in seconds, primary decay mode ], indexed by proton count and then by mass number.
+  const DECAY_DATA_TABLE = {
+    0: { 1: [ 611, BM ] }, // free neutron
+    1: { 3: [ 3.888E8, BM ], 4: [ 1.39E-22, N ], 5: [ 8.6E-23, N ], 6: [ 2.9E-22, N ], 7: [ 2.3E-23, N ] },
+    2: {
+      5: [ 7.0E-22, N ], 6: [ 0.8067, BM ], 7: [ 3.04E-21, N ], 8: [ 0.1191, BM ], 9: [ 2.5E-21, N ],
+      10: [ 2.6E-22, N ]
+    },
+    3: {
+      4: [ 9.1E-23, P ], 5: [ 3.7E-22, P ], 8: [ 0.8399, BM ], 9: [ 0.1783, BM ], 10: [ 2.0E-21, N ],
+      11: [ 8.75E-3, BM ], 12: [ 1.0E-8, N ], 13: [ 3.3E-21, N ]
+    },
+    4: {
+      6: [ 5.0E-21, P ], 7: [ 4.598E6, BP ], 8: [ 8.19E-17, A ], 10: [ 4.377E13, BM ], 11: [ 13.76, BM ],
+      12: [ 21.5E-3, BM ], 13: [ 1.0E-21, N ], 14: [ 4.35E-3, BM ], 15: [ 7.9E-22, N ], 16: [ 6.5E-22, N ]
+    },
+    5: {
+      7: [ 5.7E-22, P ], 8: [ 0.770, BP ], 9: [ 8.0E-19, P ], 12: [ 20.20E-3, BM ], 13: [ 17.33E-3, BM ],
+      14: [ 12.5E-3, BM ], 15: [ 9.93E-3, BM ], 16: [ 1.9E-10, N ], 17: [ 5.08E-3, BM ], 18: [ 2.6E-8, N ],
+      19: [ 2.92E-3, BM ]
+    },
+    6: {
+      8: [ 3.5E-21, P ], 9: [ 0.1265, BP ], 10: [ 19.3, BP ], 11: [ 1220, BP ], 14: [ 1.808E11, BM ],
+      15: [ 2.449, BM ], 16: [ 0.747, BM ], 17: [ 0.193, BM ], 18: [ 92E-3, BM ], 19: [ 46.2E-3, BM ],
+      20: [ 16E-3, BM ], 22: [ 6.2E-3, BM ]
+    },
+    7: {
+      10: [ 2.0E-22, P ], 11: [ 5.5E-22, P ], 12: [ 11.0E-3, BP ], 13: [ 597.9, BP ], 16: [ 7.13, BM ],
+      17: [ 4.171, BM ], 18: [ 0.624, BM ], 19: [ 0.336, BM ], 20: [ 0.136, BM ], 21: [ 84E-3, BM ],
+      22: [ 23E-3, BM ], 23: [ 14.1E-3, BM ]
+    },
+    8: {
+      12: [ 1.1E-21, P ], 13: [ 8.58E-3, BP ], 14: [ 70.62, BP ], 15: [ 122.24, BP ], 19: [ 26.47, BM ],
+      20: [ 13.51, BM ], 21: [ 3.42, BM ], 22: [ 2.25, BM ], 23: [ 97E-3, BM ], 24: [ 65E-3, BM ],
+      25: [ 5.0E-21, N ], 26: [ 4.5E-12, N ]
+    },
+    9: {
+      14: [ 5.0E-22, P ], 15: [ 1.1E-21, P ], 16: [ 1.1E-20, P ], 17: [ 64.49, BP ], 18: [ 6586, BP ],
+      20: [ 11.07, BM ], 21: [ 4.158, BM ], 22: [ 4.23, BM ], 23: [ 2.23, BM ], 24: [ 0.39, BM ],
+      25: [ 80E-3, BM ], 26: [ 8.2E-3, BM ], 27: [ 4.9E-3, BM ], 29: [ 2.5E-3, BM ]
+    },
+    10: {
+      16: [ 3.7E-21, P ], 17: [ 109.2E-3, BP ], 18: [ 1.672, BP ], 19: [ 17.22, BP ], 23: [ 37.24, BM ],
+      24: [ 202.8, BM ], 25: [ 0.602, BM ], 26: [ 0.197, BM ], 27: [ 31.5E-3, BM ], 28: [ 18.9E-3, BM ],
+      29: [ 14.7E-3, BM ], 30: [ 7.3E-3, BM ], 31: [ 3.4E-3, BM ], 32: [ 3.5E-3, BM ]
+    },
+    11: {
+      18: [ 1.3E-21, P ], 19: [ 4.0E-8, P ], 20: [ 0.4479, BP ], 21: [ 22.49, BP ], 22: [ 8.211E7, BP ],
+      24: [ 53989, BM ], 25: [ 59.1, BM ], 26: [ 1.07, BM ], 27: [ 301E-3, BM ], 28: [ 30.5E-3, BM ],
+      29: [ 44.9E-3, BM ], 30: [ 48.4E-3, BM ], 31: [ 17.35E-3, BM ], 32: [ 13.2E-3, BM ], 33: [ 8.2E-3, BM ],
+      34: [ 5.5E-3, BM ], 35: [ 1.5E-3, BM ]
+    },
+    12: {
+      19: [ 4.0E-12, P ], 20: [ 90.8E-3, BP ], 21: [ 122E-3, BP ], 22: [ 3.8755, BP ], 23: [ 11.317, BP ],
+      27: [ 567.5, BM ], 28: [ 75294, BM ], 29: [ 1.30, BM ], 30: [ 0.335, BM ], 31: [ 236E-3, BM ],
+      32: [ 86E-3, BM ], 33: [ 90.5E-3, BM ], 34: [ 20E-3, BM ], 35: [ 11.3E-3, BM ], 36: [ 3.9E-3, BM ],
+      37: [ 8E-3, BM ]
+    },
+    13: {
+      21: [ 3.5E-8, P ], 22: [ 91.1E-3, BP ], 23: [ 0.470, BP ], 24: [ 2.053, BP ], 25: [ 7.183, BP ],
+      26: [ 2.263E13, BP ], 28: [ 134.7, BM ], 29: [ 393.6, BM ], 30: [ 3.62, BM ], 31: [ 0.644, BM ],
+      32: [ 33E-3, BM ], 33: [ 41.7E-3, BM ], 34: [ 56.3E-3, BM ], 35: [ 37.2E-3, BM ], 36: [ 90E-3, BM ],
+      37: [ 10.7E-3, BM ], 38: [ 7.6E-3, BM ], 39: [ 7.6E-3, BM ]
+    },
+    14: {
+      22: [ 29E-3, BP ], 23: [ 42.3E-3, BP ], 24: [ 140E-3, BP ], 25: [ 220E-3, BP ], 26: [ 2.245, BP ],
+      27: [ 4.15, BP ], 31: [ 9438, BM ], 32: [ 4.828E9, BM ], 33: [ 6.11, BM ], 34: [ 2.77, BM ],
+      35: [ 0.78, BM ], 36: [ 0.45, BM ], 37: [ 90E-3, BM ], 38: [ 63E-3, BM ], 39: [ 47.5E-3, BM ],
+      40: [ 33E-3, BM ]
+    },
+    15: {
+      25: [ 3.0E-8, P ], 26: [ 43.7E-3, BP ], 27: [ 0.260, BP ], 28: [ 0.2703, BP ], 29: [ 4.142, BP ],
+      30: [ 149.9, BP ], 32: [ 1.2328E6, BM ], 33: [ 2.1902E6, BM ], 34: [ 12.43, BM ], 35: [ 47.3, BM ],
+      36: [ 5.6, BM ], 37: [ 2.31, BM ], 38: [ 0.64, BM ], 39: [ 0.28, BM ], 40: [ 125E-3, BM ],
+      41: [ 100E-3, BM ]
+    },
+    16: {
+      27: [ 15.5E-3, BP ], 28: [ 125E-3, BP ], 29: [ 187E-3, BP ], 30: [ 1.178, BP ], 31: [ 2.572, BP ],
+      35: [ 7.5488E6, BM ], 37: [ 303, BM ], 38: [ 10218, BM ], 39: [ 11.5, BM ], 40: [ 8.8, BM ],
+      41: [ 1.99, BM ], 42: [ 1.013, BM ]
+    },
+    17: {
+      29: [ 2.0E-8, P ], 30: [ 3.0E-8, P ], 31: [ 150E-3, BP ], 32: [ 0.298, BP ], 33: [ 2.511, BP ],
+      34: [ 1.5264, BP ], 36: [ 9.499E12, BM ], 38: [ 2234.4, BM ], 39: [ 3336, BM ], 40: [ 81, BM ],
+      41: [ 38.4, BM ], 42: [ 6.8, BM ], 43: [ 3.13, BM ]
+    },
+    18: {
+      31: [ 15.1E-3, BP ], 32: [ 98E-3, BP ], 33: [ 173E-3, BP ], 34: [ 0.8438, BP ], 35: [ 1.775, BP ],
+      37: [ 3.0275E6, BP ], 39: [ 8.489E9, BM ], 41: [ 6576.6, BM ], 42: [ 1.0382E9, BM ], 43: [ 322.2, BM ],
+      44: [ 712.2, BM ]
+    },
+    19: {
+      35: [ 178E-3, BP ], 36: [ 0.342, BP ], 37: [ 1.226, BP ], 38: [ 458.2, BP ], 40: [ 3.938E16, BM ],
+      42: [ 44478, BM ], 43: [ 80280, BM ], 44: [ 1327.8, BM ], 45: [ 1038, BM ]
+    },
+    20: {
+      35: [ 25.7E-3, BP ], 36: [ 102E-3, BP ], 37: [ 181.1E-3, BP ], 38: [ 0.440, BP ], 39: [ 0.8596, BP ],
+      41: [ 3.137E12, BP ], 45: [ 1.405E7, BM ]
+    }
+  };
+
+  // No constructor, not meant to be instantiated.
+  const NuclideDecayData = {
+
+    /**
+     * Get the half-life and primary decay mode of the nucleus with the specified configuration.
+     * @param {number} protonCount
+     * @param {number} neutronCount
+     * @returns {{halfLife: number, decayMode: string}|null} - half-life is in seconds, decayMode is a DecayMode value,
+     * null is returned for nuclei that aren't in the table, which are either stable or not bound
+     * @public
+     */
+    getDecayInfo: function( protonCount, neutronCount ) {
+      const entriesForElement = DECAY_DATA_TABLE[ protonCount ];
+      const entry = entriesForElement && entriesForElement[ protonCount + neutronCount ];
+      return entry ? { halfLife: entry[ 0 ], decayMode: entry[ 1 ] } : null;
+    }
+  };
+
+  buildAnAtom.register( 'NuclideDecayData', NuclideDecayData );
+
+  return NuclideDecayData;
+} );
@@ -0,0 +1,180 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Static functions that create the descriptions of an atom that are read by screen readers, including the summary of
+ * the atom that has been built, the responses to particles being added and removed, and the descriptions of the net
+ * charge and mass number displays.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AtomIdentifier = require( 'SHRED/AtomIdentifier' );
+  const BAAA11yStrings = require( 'BUILD_AN_ATOM/common/BAAA11yStrings' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const merge = require( 'PHET_CORE/merge' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // a11y strings
+  const atomSummaryPatternString = BAAA11yStrings.atomSummaryPattern.value;
+  const electronsString = BAAA11yStrings.electrons.value;
+  const electronString = BAAA11yStrings.electron.value;
+  const emptyAtomStateString = BAAA11yStrings.emptyAtomState.value;
+  const ionStatePatternString = BAAA11yStrings.ionStatePattern.value;
+  const massNumberDescriptionPatternString = BAAA11yStrings.massNumberDescriptionPattern.value;
+  const negativeIonString = BAAA11yStrings.negativeIon.value;
+  const netChargeDescriptionPatternString = BAAA11yStrings.netChargeDescriptionPattern.value;
+  const neutralAtomStatePatternString = BAAA11yStrings.neutralAtomStatePattern.value;
+  const neutronsString = BAAA11yStrings.neutrons.value;
+  const neutronString = BAAA11yStrings.neutron.value;
+  const noElementString = BAAA11yStrings.noElement.value;
+  const noProtonsStatePatternString = BAAA11yStrings.noProtonsStatePattern.value;
+  const particleAddedPatternString = BAAA11yStrings.particleAddedPattern.value;
+  const particleCountPatternString = BAAA11yStrings.particleCountPattern.value;
+  const particleRemovedPatternString = BAAA11yStrings.particleRemovedPattern.value;
+  const positiveIonString = BAAA11yStrings.positiveIon.value;
+  const protonsString = BAAA11yStrings.protons.value;
+  const protonString = BAAA11yStrings.proton.value;
+
+  // constants
+  const PARTICLE_STRINGS = {
+    proton: { singular: protonString, plural: protonsString },
+    neutron: { singular: neutronString, plural: neutronsString },
+    electron: { singular: electronString, plural: electronsString }
+  };
+
+  // No constructor, not meant to be instantiated.
+  const AtomDescriber = {
+
+    /**
+     * Get a brief summary of the element, charge and mass number, used for alerts when the atom changes.
+     * @param {NumberAtom} numberAtom - a ParticleAtom works too
+     * @returns {string} - e.g. 'Carbon, charge 0, mass number 12.'
+     * @public
+     */
+    getAtomSummary: function( numberAtom ) {
+      const protonCount = numberAtom.protonCountProperty.get();
+      return StringUtils.fillIn( atomSummaryPatternString, {
+        element: protonCount > 0 ? AtomIdentifier.getName( protonCount ) : noElementString,
+        charge: AtomDescriber.formatCharge( numberAtom.chargeProperty.get() ),
+        massNumber: numberAtom.massNumberProperty.get()
+      } );
+    },
+
+    /**
+     * Get a full description of the atom that has been built, used in the screen summary.
+     * @param {NumberAtom} numberAtom - a ParticleAtom works too
+     * @returns {string} - e.g. 'You have built a neutral carbon-12 atom with 6 protons, 6 neutrons and 6 electrons.'
+     * @public
+     */
+    getStateDescription: function( numberAtom ) {
+      const protonCount = numberAtom.protonCountProperty.get();
+      const charge = numberAtom.chargeProperty.get();
+      const counts = AtomDescriber.getParticleCounts( numberAtom );
+      let description;
+      if ( numberAtom.massNumberProperty.get() + numberAtom.electronCountProperty.get() === 0 ) {
+        description = emptyAtomStateString;
+      }
+      else if ( protonCount === 0 ) {
+        description = StringUtils.fillIn( noProtonsStatePatternString, counts );
+      }
+      else {
+        const fillInValues = merge( {
+          element: AtomIdentifier.getName( protonCount ).toLowerCase(),
+          massNumber: numberAtom.massNumberProperty.get(),
+          ionType: charge > 0 ? positiveIonString : negativeIonString
+        }, counts );
+        description = StringUtils.fillIn(
+          charge === 0 ? neutralAtomStatePatternString : ionStatePatternString,
+          fillInValues
+        );
+      }
+      return description;
+    },
+
+    /**
+     * Get the response for a change to the number of particles of one type in the atom, used for alerts.
+     * @param {NumberAtom} numberAtom - a ParticleAtom works too
+     * @param {string} particleType - 'proton', 'neutron' or 'electron'
+     * @param {boolean} added - true if the particle was added, false if it was removed
+     * @returns {string} - e.g. 'Added proton. Carbon, charge +1, mass number 12.'
+     * @public
+     */
+    getParticleChangeResponse: function( numberAtom, particleType, added ) {
+      return StringUtils.fillIn( added ? particleAddedPatternString : particleRemovedPatternString, {
+        particle: AtomDescriber.getParticleString( particleType ),
+        summary: AtomDescriber.getAtomSummary( numberAtom )
+      } );
+    },
+
+    /**
+     * @param {NumberAtom} numberAtom
+     * @returns {string} - e.g. 'Net charge is +1, from 6 protons and 5 electrons.'
+     * @public
+     */
+    getNetChargeDescription: function( numberAtom ) {
+      const counts = AtomDescriber.getParticleCounts( numberAtom );
+      return StringUtils.fillIn( netChargeDescriptionPatternString, {
+        charge: AtomDescriber.formatCharge( numberAtom.chargeProperty.get() ),
+        protons: counts.protons,
+        electrons: counts.electrons
+      } );
+    },
+
+    /**
+     * @param {NumberAtom} numberAtom
+     * @returns {string} - e.g. 'Mass number is 12, from 6 protons and 6 neutrons.'
+     * @public
+     */
+    getMassNumberDescription: function( numberAtom ) {
+      const counts = AtomDescriber.getParticleCounts( numberAtom );
+      return StringUtils.fillIn( massNumberDescriptionPatternString, {
+        massNumber: numberAtom.massNumberProperty.get(),
+        protons: counts.protons,
+        neutrons: counts.neutrons
+      } );
+    },
+
+    /**
+     * @param {NumberAtom} numberAtom
+     * @returns {{protons: string, neutrons: string, electrons: string}} - counts with units, e.g. '1 proton'
+     * @private
+     */
+    getParticleCounts: function( numberAtom ) {
+      const describeCount = function( count, particleType ) {
+        return StringUtils.fillIn( particleCountPatternString, {
+          count: count,
+          particles: AtomDescriber.getParticleString( particleType, count !== 1 )
+        } );
+      };
+      return {
+        protons: describeCount( numberAtom.protonCountProperty.get(), 'proton' ),
+        neutrons: describeCount( numberAtom.neutronCountProperty.get(), 'neutron' ),
+        electrons: describeCount( numberAtom.electronCountProperty.get(), 'electron' )
+      };
+    },
+
+    /**
+     * @param {number} charge
+     * @returns {string} - the charge with an explicit sign when it is positive, e.g. '+2'
+     * @public
+     */
+    formatCharge: function( charge ) {
+      return charge > 0 ? '+' + charge : '' + charge;
+    },
+
+    /**
+     * @param {string} particleType - 'proton', 'neutron' or 'electron'
+     * @param {boolean} [plural]
+     * @returns {string}
+     * @public
+     */
+    getParticleString: function( particleType, plural ) {
+      return plural ? PARTICLE_STRINGS[ particleType ].plural : PARTICLE_STRINGS[ particleType ].singular;
+    }
+  };
+
+  buildAnAtom.register( 'AtomDescriber', AtomDescriber );
+
+  return AtomDescriber;
+} );
@@ -0,0 +1,150 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Sound generator that sonifies the building of an atom.  It produces short synthesized tones when particles are
+ * grabbed and released.  When a released particle changes the atom, it also produces a tone whose pitch tracks the net
+ * charge, a chord when the element changes, and a warning when the nucleus becomes unstable.  Only particles that the
+ * user drags and drops produce sounds, so changes made by the model, such as reset, undo and redo, are silent.  The
+ * tones are synthesized rather than played from sound files so that each one can be tuned to the state of the atom.
+ * Like all sound generators, it is silenced by the sim's sound toggle.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const SoundGenerator = require( 'TAMBO/sound-generators/SoundGenerator' );
+
+  // constants
+  const ATTACK_TIME = 0.01; // in seconds
+  const SEMITONE = Math.pow( 2, 1 / 12 ); // frequency ratio between adjacent notes
+
+  // Grab and release sounds for each particle type.  Each is a pair of notes, rising for grab and falling for release.
+  // Protons have a brighter timbre than the others, neutrons are the lowest, and electrons are the highest.
+  const PARTICLE_SOUNDS = {
+    proton: { frequency: 523.25, waveform: 'triangle' }, // C5
+    neutron: { frequency: 392.00, waveform: 'sine' }, // G4
+    electron: { frequency: 783.99, waveform: 'sine' } // G5
+  };
+  const GRAB_RELEASE_INTERVAL = SEMITONE * SEMITONE * SEMITONE * SEMITONE; // a major third
+  const GRAB_RELEASE_NOTE_DURATION = 0.06;
+
+  // net charge tone, a semitone up or down for each unit of positive or negative charge
+  const NEUTRAL_CHARGE_FREQUENCY = 440; // A4
+  const CHARGE_TONE_DURATION = 0.2;
+
+  // element change chord, a major triad whose root rises with the atomic number
+  const ELEMENT_CHORD_BASE_FREQUENCY = 130.81; // C3
+  const ELEMENT_CHORD_DURATION = 0.5;
+
+  // unstable nucleus warning, two low buzzes
+  const WARNING_FREQUENCY = 110; // A2
+  const WARNING_PULSE_DURATION = 0.12;
+  const WARNING_PULSE_SPACING = 0.18;
+
+  /**
+   * @param {BuildAnAtomModel} model
+   * @param {Object} [options]
+   * @constructor
+   */
+  function AtomSoundGenerator( model, options ) {
+
+    const self = this;
+
+    options = merge( {
+      initialOutputLevel: 0.3
+    }, options );
+
+    SoundGenerator.call( this, options );
+
+    // The state of the atom when a particle was grabbed, compared with the state when it's released.  The model places
+    // a released particle in a listener that was added before this one, so the atom has already changed when the
+    // release is handled here.
+    const particleAtom = model.particleAtom;
+    let chargeWhenGrabbed = 0;
+    let protonCountWhenGrabbed = 0;
+    let nucleusStableWhenGrabbed = true;
+
+    model.nucleons.concat( model.electrons ).forEach( function( particle ) {
+      particle.userControlledProperty.lazyLink( function( userControlled ) {
+        self.playGrabOrReleaseSound( particle.type, userControlled );
+        if ( userControlled ) {
+          chargeWhenGrabbed = particleAtom.chargeProperty.get();
+          protonCountWhenGrabbed = particleAtom.protonCountProperty.get();
+          nucleusStableWhenGrabbed = model.nucleusStableProperty.get();
+        }
+        else {
+
+          // net charge
+          const charge = particleAtom.chargeProperty.get();
+          if ( charge !== chargeWhenGrabbed ) {
+            self.playTone( NEUTRAL_CHARGE_FREQUENCY * Math.pow( SEMITONE, charge ), CHARGE_TONE_DURATION, 'sine' );
+          }
+
+          // element
+          const protonCount = particleAtom.protonCountProperty.get();
+          if ( protonCount !== protonCountWhenGrabbed && protonCount > 0 ) {
+            const rootFrequency = ELEMENT_CHORD_BASE_FREQUENCY * Math.pow( SEMITONE, protonCount - 1 );
+            [ 1, Math.pow( SEMITONE, 4 ), Math.pow( SEMITONE, 7 ) ].forEach( function( ratio ) {
+              self.playTone( rootFrequency * ratio, ELEMENT_CHORD_DURATION, 'triangle' );
+            } );
+          }
+
+          // Warn when the nucleus becomes unstable, but only when stability is being shown, since otherwise the user
+          // hasn't been told what stability is.
+          if ( nucleusStableWhenGrabbed && !model.nucleusStableProperty.get() &&
+               model.showStableOrUnstableProperty.get() ) {
+            self.playTone( WARNING_FREQUENCY, WARNING_PULSE_DURATION, 'sawtooth' );
+            self.playTone( WARNING_FREQUENCY, WARNING_PULSE_DURATION, 'sawtooth', WARNING_PULSE_SPACING );
+          }
+        }
+      } );
+    } );
+  }
+
+  buildAnAtom.register( 'AtomSoundGenerator', AtomSoundGenerator );
+
+  return inherit( SoundGenerator, AtomSoundGenerator, {
+
+    /**
+     * @param {string} particleType - 'proton', 'neutron' or 'electron'
+     * @param {boolean} grabbed - true for the grab sound, false for the release sound
+     * @private
+     */
+    playGrabOrReleaseSound: function( particleType, grabbed ) {
+      const particleSound = PARTICLE_SOUNDS[ particleType ];
+      const firstFrequency = grabbed ? particleSound.frequency : particleSound.frequency * GRAB_RELEASE_INTERVAL;
+      const secondFrequency = grabbed ? particleSound.frequency * GRAB_RELEASE_INTERVAL : particleSound.frequency;
+      this.playTone( firstFrequency, GRAB_RELEASE_NOTE_DURATION, particleSound.waveform );
+      this.playTone( secondFrequency, GRAB_RELEASE_NOTE_DURATION, particleSound.waveform, GRAB_RELEASE_NOTE_DURATION );
+    },
+
+    /**
+     * Play a single tone with a short attack and an exponential decay.
+     * @param {number} frequency - in Hz
+     * @param {number} duration - in seconds
+     * @param {string} waveform - an OscillatorNode type, e.g. 'sine'
+     * @param {number} [delay] - in seconds
+     * @private
+     */
+    playTone: function( frequency, duration, waveform, delay ) {
+      if ( !this.fullyEnabledProperty.get() ) {
+        return;
+      }
+      const startTime = this.audioContext.currentTime + ( delay || 0 );
+      const oscillator = this.audioContext.createOscillator();
+      oscillator.type = waveform;
+      oscillator.frequency.setValueAtTime( frequency, startTime );
+      const envelope = this.audioContext.createGain();
+      envelope.gain.setValueAtTime( 0, startTime );
+      envelope.gain.linearRampToValueAtTime( 1, startTime + ATTACK_TIME );
+      envelope.gain.exponentialRampToValueAtTime( 0.001, startTime + duration );
+      oscillator.connect( envelope );
+      envelope.connect( this.soundSourceDestination );
+      oscillator.start( startTime );
+      oscillator.stop( startTime + duration );
+    }
+  } );
+} );
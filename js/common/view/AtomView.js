@@ -14,14 +14,24 @@ define( require => {
   // modules
   const AccordionBox = require( 'SUN/AccordionBox' );
   const AquaRadioButton = require( 'SUN/AquaRadioButton' );
+  const AtomConfigurationSerializer = require( 'BUILD_AN_ATOM/common/model/AtomConfigurationSerializer' );
+  const AtomDescriber = require( 'BUILD_AN_ATOM/common/view/AtomDescriber' );
   const AtomNode = require( 'SHRED/view/AtomNode' );
+  const AtomSoundGenerator = require( 'BUILD_AN_ATOM/common/view/AtomSoundGenerator' );
+  const BAAA11yStrings = require( 'BUILD_AN_ATOM/common/BAAA11yStrings' );
   const BAASharedConstants = require( 'BUILD_AN_ATOM/common/BAASharedConstants' );
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const BucketDragHandler = require( 'SHRED/view/BucketDragHandler' );
   const BucketFront = require( 'SCENERY_PHET/bucket/BucketFront' );
   const BucketHole = require( 'SCENERY_PHET/bucket/BucketHole' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const Checkbox = require( 'SUN/Checkbox' );
+  const Circle = require( 'SCENERY/nodes/Circle' );
+  const DecayInfoNode = require( 'BUILD_AN_ATOM/common/view/DecayInfoNode' );
+  const FontAwesomeNode = require( 'SUN/FontAwesomeNode' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const LinkDialog = require( 'BUILD_AN_ATOM/common/view/LinkDialog' );
   const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
   const Node = require( 'SCENERY/nodes/Node' );
   const Panel = require( 'SUN/Panel' );
@@ -30,22 +40,42 @@ define( require => {
   const Path = require( 'SCENERY/nodes/Path' );
   const PeriodicTableAndSymbol = require( 'BUILD_AN_ATOM/buildanatom/view/PeriodicTableAndSymbol' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Property = require( 'AXON/Property' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
   const ResetAllButton = require( 'SCENERY_PHET/buttons/ResetAllButton' );
   const ScreenView = require( 'JOIST/ScreenView' );
   const Shape = require( 'KITE/Shape' );
   const ShredConstants = require( 'SHRED/ShredConstants' );
+  const soundManager = require( 'TAMBO/soundManager' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  const Utterance = require( 'UTTERANCE_QUEUE/Utterance' );
+  const utteranceQueue = require( 'UTTERANCE_QUEUE/utteranceQueue' );
   const Vector2 = require( 'DOT/Vector2' );
   const VerticalCheckboxGroup = require( 'SUN/VerticalCheckboxGroup' );
 
   // strings
+  const allowDecayString = require( 'string!BUILD_AN_ATOM/allowDecay' );
   const cloudString = require( 'string!BUILD_AN_ATOM/cloud' );
+  const copyLinkString = require( 'string!BUILD_AN_ATOM/copyLink' );
   const elementString = require( 'string!BUILD_AN_ATOM/element' );
   const modelString = require( 'string!BUILD_AN_ATOM/model' );
   const neutralSlashIonString = require( 'string!BUILD_AN_ATOM/neutralSlashIon' );
   const orbitsString = require( 'string!BUILD_AN_ATOM/orbits' );
+  const redoString = require( 'string!BUILD_AN_ATOM/redo' );
   const showString = require( 'string!BUILD_AN_ATOM/show' );
   const stableSlashUnstableString = require( 'string!BUILD_AN_ATOM/stableSlashUnstable' );
+  const undoString = require( 'string!BUILD_AN_ATOM/undo' );
+
+  // a11y strings
+  const atomHelpTextString = BAAA11yStrings.atomHelpText.value;
+  const atomString = BAAA11yStrings.atom.value;
+  const bucketEmptyPatternString = BAAA11yStrings.bucketEmptyPattern.value;
+  const bucketHelpTextPatternString = BAAA11yStrings.bucketHelpTextPattern.value;
+  const bucketLabelPatternString = BAAA11yStrings.bucketLabelPattern.value;
+  const noParticlesInAtomPatternString = BAAA11yStrings.noParticlesInAtomPattern.value;
+  const screenSummaryPlayAreaString = BAAA11yStrings.screenSummaryPlayArea.value;
 
   // constants
   const CONTROLS_INSET = 10;
@@ -54,7 +84,12 @@ define( require => {
   const LABEL_CONTROL_LINE_WIDTH = 1;
   const ELECTRON_VIEW_CONTROL_FONT = new PhetFont( 12 );
   const ELECTRON_VIEW_CONTROL_MAX_WIDTH = 60;
-  const NUM_NUCLEON_LAYERS = 5; // This is based on max number of particles, may need adjustment if that changes.
+  const NUM_NUCLEON_LAYERS = 5; // Number of layers needed for the default particle supply of 23 nucleons.
+  const NUM_ELECTRON_SHELLS_IN_ATOM_NODE = 2; // AtomNode depicts the inner and outer shells, others are added here
+  const ELECTRON_SHELL_LINE_DASH = [ 4, 5 ]; // matches the appearance of the shells depicted by AtomNode
+  const HISTORY_BUTTON_ICON_SCALE = 0.6;
+  const KEY_TO_PARTICLE_TYPE = { p: 'proton', n: 'neutron', e: 'electron' }; // keys used to add particles to the atom
+  const CONTEXT_RESPONSE_STABLE_DELAY = 500; // in ms, so that only the final response is read when many changes occur
 
   /**
    * @param {BuildAnAtomModel} model
@@ -64,8 +99,18 @@ define( require => {
   function AtomView( model, tandem ) {
 
 
+    // a11y - the screen summary describes the play area and the atom that has been built so far
+    const atomStateDescriptionNode = new Node( { tagName: 'p' } );
+    const screenSummaryNode = new Node( {
+      children: [
+        new Node( { tagName: 'p', innerContent: screenSummaryPlayAreaString } ),
+        atomStateDescriptionNode
+      ]
+    } );
+
     ScreenView.call( this, {
       layoutBounds: ShredConstants.LAYOUT_BOUNDS,
+      screenSummaryContent: screenSummaryNode,
       tandem: tandem
     } );
 
@@ -94,6 +139,29 @@ define( require => {
     } );
     this.addChild( atomNode );
 
+    // Add the half-life and decay mode readout, positioned just below the stability label shown by the atom node.
+    const atomCenter = modelViewTransform.modelToViewPosition( model.particleAtom.positionProperty.get() );
+    this.addChild( new DecayInfoNode( model, {
+      x: atomCenter.x,
+      y: atomCenter.y + modelViewTransform.modelToViewDeltaX( model.particleAtom.innerElectronShellRadius ) * 0.6 + 12
+    } ) );
+
+    // Add any electron shells beyond those depicted by the atom node, which are present when the model supports atoms
+    // past neon.
+    const additionalElectronShellsNode = new Node( { pickable: false } );
+    model.electronShellRadii.slice( NUM_ELECTRON_SHELLS_IN_ATOM_NODE ).forEach( function( radius ) {
+      additionalElectronShellsNode.addChild( new Circle( modelViewTransform.modelToViewDeltaX( radius ), {
+        stroke: 'blue',
+        lineWidth: 1.5,
+        lineDash: ELECTRON_SHELL_LINE_DASH,
+        center: modelViewTransform.modelToViewPosition( model.particleAtom.positionProperty.get() )
+      } ) );
+    } );
+    model.electronShellDepictionProperty.link( function( depiction ) {
+      additionalElectronShellsNode.visible = depiction === 'orbits';
+    } );
+    this.addChild( additionalElectronShellsNode );
+
     // Add the bucket holes.  Done separately from the bucket front for layering.
     _.each( model.buckets, function( bucket ) {
       self.addChild( new BucketHole( bucket, modelViewTransform, {
@@ -108,7 +176,7 @@ define( require => {
     // Add the layers where the nucleons will exist.
     const nucleonLayers = [];
     const nucleonLayersTandem = tandem.createGroupTandem( 'nucleonLayers' );
-    _.times( NUM_NUCLEON_LAYERS, function() {
+    _.times( model.numNucleonLayers, function() {
       const nucleonLayer = new Node( { tandem: nucleonLayersTandem.createNextTandem() } );
       nucleonLayers.push( nucleonLayer );
       nucleonElectronLayer.addChild( nucleonLayer );
@@ -186,18 +254,108 @@ define( require => {
     // Add the front portion of the buckets. This is done separately from the bucket holes for layering purposes.
     const bucketFrontLayer = new Node( { tandem: tandem.createTandem( 'bucketFrontLayer' ) } );
 
-    _.each( model.buckets, function( bucket ) {
+    _.each( model.buckets, function( bucket, bucketName ) {
+      const particleType = bucketName.replace( 'Bucket', '' );
       const bucketFront = new BucketFront( bucket, modelViewTransform, {
-        tandem: tandem.createTandem( bucket.sphereBucketTandem.name + 'Front' )
+        tandem: tandem.createTandem( bucket.sphereBucketTandem.name + 'Front' ),
+
+        // a11y - the bucket is focusable so that particles can be moved to and from the atom with the keyboard
+        tagName: 'div',
+        ariaRole: 'button',
+        focusable: true,
+        innerContent: StringUtils.fillIn( bucketLabelPatternString, {
+          particles: AtomDescriber.getParticleString( particleType, true )
+        } ),
+        descriptionContent: StringUtils.fillIn( bucketHelpTextPatternString, {
+          particle: AtomDescriber.getParticleString( particleType )
+        } )
       } );
       bucketFrontLayer.addChild( bucketFront );
       bucketFront.addInputListener( new BucketDragHandler( bucket, bucketFront, modelViewTransform, {
         tandem: tandem.createTandem( bucket.sphereBucketTandem.name + 'DragHandler' )
       } ) );
+      bucketFront.addInputListener( {
+        keydown: function( event ) {
+          const key = event.domEvent.key;
+          if ( key === 'Enter' || key === ' ' ) {
+            self.addParticleWithAlert( particleType );
+            event.domEvent.preventDefault();
+          }
+          else if ( key === 'Delete' || key === 'Backspace' ) {
+            self.removeParticleWithAlert( particleType );
+            event.domEvent.preventDefault();
+          }
+        }
+      } );
+    } );
+
+    // Add a focusable region over the atom that supports adding and removing all types of particles with the keyboard.
+    const atomKeyboardNode = new Circle( modelViewTransform.modelToViewDeltaX( _.last( model.electronShellRadii ) ), {
+      center: modelViewTransform.modelToViewPosition( model.particleAtom.positionProperty.get() ),
+      pickable: false,
+
+      // a11y
+      tagName: 'div',
+      focusable: true,
+      innerContent: atomString,
+      descriptionContent: atomHelpTextString
+    } );
+    atomKeyboardNode.addInputListener( {
+      keydown: function( event ) {
+        const particleType = KEY_TO_PARTICLE_TYPE[ event.domEvent.key.toLowerCase() ];
+        if ( particleType && !event.domEvent.ctrlKey && !event.domEvent.metaKey ) {
+          if ( event.domEvent.shiftKey ) {
+            self.removeParticleWithAlert( particleType );
+          }
+          else {
+            self.addParticleWithAlert( particleType );
+          }
+          event.domEvent.preventDefault();
+        }
+      }
+    } );
+    this.addChild( atomKeyboardNode );
+
+    // a11y - keep the description of the atom in the screen summary up to date
+    const particleAtom = model.particleAtom;
+    Property.multilink(
+      [ particleAtom.protonCountProperty, particleAtom.neutronCountProperty, particleAtom.electronCountProperty ],
+      function() {
+        atomStateDescriptionNode.innerContent = AtomDescriber.getStateDescription( particleAtom );
+      }
+    );
+
+    // a11y - describe each change to the atom that the user makes, whether by dragging or with the keyboard.  Changes
+    // made by the model, such as an undo, can involve many particles of all types, so the resulting atom is described
+    // instead.  Nothing is described for a reset.
+    // @private
+    this.contextResponseUtterance = new Utterance( { alertStableDelay: CONTEXT_RESPONSE_STABLE_DELAY } );
+    const addContextResponseListener = function( countProperty, particleType ) {
+      countProperty.lazyLink( function( count, previousCount ) {
+        if ( model.modelChangeInProgress ) {
+          return;
+        }
+        self.contextResponseUtterance.alert = AtomDescriber.getParticleChangeResponse(
+          particleAtom,
+          particleType,
+          count > previousCount
+        );
+        utteranceQueue.addToBack( self.contextResponseUtterance );
+      } );
+    };
+    addContextResponseListener( particleAtom.protonCountProperty, 'proton' );
+    addContextResponseListener( particleAtom.neutronCountProperty, 'neutron' );
+    addContextResponseListener( particleAtom.electronCountProperty, 'electron' );
+    model.atomConfigurationSetEmitter.addListener( function() {
+      self.contextResponseUtterance.alert = AtomDescriber.getStateDescription( particleAtom );
+      utteranceQueue.addToBack( self.contextResponseUtterance );
     } );
 
+    // sound generation
+    soundManager.addSoundGenerator( new AtomSoundGenerator( model ), { associatedViewNode: this } );
+
     // Add the particle count indicator.
-    const particleCountDisplay = new ParticleCountDisplay( model.particleAtom, 13, 250, {
+    const particleCountDisplay = new ParticleCountDisplay( model.particleAtom, model.maxParticlesOfOneType, 250, {
       tandem: tandem.createTandem( 'particleCountDisplay' )
     } );  // Width arbitrarily chosen.
     this.addChild( particleCountDisplay );
@@ -349,6 +507,94 @@ define( require => {
     } );
     this.addChild( resetAllButton );
 
+    // Add the buttons that step backwards and forwards through the history of the atom's configurations.
+    const undoButton = new RectangularPushButton( {
+      content: new FontAwesomeNode( 'undo', { scale: HISTORY_BUTTON_ICON_SCALE } ),
+      listener: function() { model.undo(); },
+      baseColor: 'white',
+      tandem: tandem.createTandem( 'undoButton' ),
+
+      // a11y
+      innerContent: undoString
+    } );
+    model.history.canUndoProperty.link( function( canUndo ) { undoButton.enabled = canUndo; } );
+    const redoButton = new RectangularPushButton( {
+
+      // the redo icon is the mirror image of the undo icon
+      content: new FontAwesomeNode( 'undo', { scale: new Vector2( -HISTORY_BUTTON_ICON_SCALE, HISTORY_BUTTON_ICON_SCALE ) } ),
+      listener: function() { model.redo(); },
+      baseColor: 'white',
+      tandem: tandem.createTandem( 'redoButton' ),
+
+      // a11y
+      innerContent: redoString
+    } );
+    model.history.canRedoProperty.link( function( canRedo ) { redoButton.enabled = canRedo; } );
+
+    // Add the button that copies a link to the clipboard which, when opened, shows the atom and settings as they are now.
+    // If the link can't be copied, it's shown in a dialog, which is created when first needed.
+    let linkDialog = null;
+    const showLinkDialog = function( link ) {
+      if ( !linkDialog ) {
+        linkDialog = new LinkDialog( { tandem: tandem.createTandem( 'linkDialog' ) } );
+      }
+      linkDialog.showLink( link );
+    };
+    const copyLinkButton = new TextPushButton( copyLinkString, {
+      font: LABEL_CONTROL_FONT,
+      maxTextWidth: LABEL_CONTROL_MAX_WIDTH,
+      baseColor: 'white',
+      listener: function() {
+        const link = AtomView.createLinkToAtom( model );
+        AtomView.copyToClipboard( link, function() { showLinkDialog( link ); } );
+      },
+      tandem: tandem.createTandem( 'copyLinkButton' )
+    } );
+
+    const toolbar = new HBox( {
+      children: [ undoButton, redoButton, copyLinkButton ],
+      spacing: 5,
+      left: this.layoutBounds.minX + CONTROLS_INSET,
+      bottom: this.layoutBounds.maxY - CONTROLS_INSET
+    } );
+    this.addChild( toolbar );
+
+    // Add the checkbox that allows unstable nuclei to decay.
+    const allowDecayCheckbox = new Checkbox(
+      new Text( allowDecayString, {
+        font: LABEL_CONTROL_FONT,
+        maxWidth: LABEL_CONTROL_MAX_WIDTH
+      } ),
+      model.allowDecayProperty,
+      {
+        boxWidth: 12,
+        left: toolbar.left,
+        bottom: toolbar.top - 8,
+        tandem: tandem.createTandem( 'allowDecayCheckbox' )
+      }
+    );
+    this.addChild( allowDecayCheckbox );
+
+    // Add the keyboard shortcuts for undo (Ctrl+Z) and redo (Ctrl+Y or Ctrl+Shift+Z).  The Cmd key is also supported
+    // for Mac users.  The listener is on this screen view, so the shortcuts only work when the focus is on this screen,
+    // and they are ignored in editable elements, where the keys have their usual meaning for the text.
+    this.addInputListener( {
+      keydown: function( event ) {
+        const domEvent = event.domEvent;
+        if ( ( domEvent.ctrlKey || domEvent.metaKey ) && !AtomView.isEditableElement( domEvent.target ) ) {
+          const key = domEvent.key.toLowerCase();
+          if ( key === 'z' && !domEvent.shiftKey ) {
+            model.undo();
+            domEvent.preventDefault();
+          }
+          else if ( key === 'y' || ( key === 'z' && domEvent.shiftKey ) ) {
+            model.redo();
+            domEvent.preventDefault();
+          }
+        }
+      }
+    } );
+
     // Do the layout.
     particleCountDisplay.top = CONTROLS_INSET;
     particleCountDisplay.left = CONTROLS_INSET;
@@ -361,6 +607,10 @@ define( require => {
     electronViewButtonGroup.left = atomNode.right + 30;
     electronViewButtonGroup.bottom = atomNode.bottom + 5;
 
+    // @protected {number} - the lowest y coordinate that the controls added below the periodic table by subclasses can
+    // use without overlapping the controls at the bottom of the screen
+    this.controlPanelsMaxY = Math.min( labelVisibilityControlPanelTitle.top, resetAllButton.top ) - CONTROLS_INSET;
+
     // Any other objects added by class calling it will be added in this node for layering purposes
     this.controlPanelLayer = new Node( { tandem: tandem.createTandem( 'controlPanelLayer' ) } );
     this.addChild( this.controlPanelLayer );
@@ -375,10 +625,92 @@ define( require => {
   return inherit( ScreenView, AtomView, {
     reset: function() {
       this.periodicTableAccordionBoxExpandedProperty.reset();
+    },
+
+    /**
+     * Move a particle from its bucket into the atom.  The change itself is described by the context responses, so an
+     * alert is only needed when the bucket is empty.
+     * @param {string} particleType - 'proton', 'neutron' or 'electron'
+     * @private
+     */
+    addParticleWithAlert: function( particleType ) {
+      if ( !this.model.addParticleFromBucket( particleType ) ) {
+        utteranceQueue.addToBack( StringUtils.fillIn( bucketEmptyPatternString, {
+          particles: AtomDescriber.getParticleString( particleType, true )
+        } ) );
+      }
+    },
+
+    /**
+     * Move a particle from the atom back to its bucket, alerting when there is no particle of that type to move.
+     * @param {string} particleType - 'proton', 'neutron' or 'electron'
+     * @private
+     */
+    removeParticleWithAlert: function( particleType ) {
+      if ( !this.model.removeParticleToBucket( particleType ) ) {
+        utteranceQueue.addToBack( StringUtils.fillIn( noParticlesInAtomPatternString, {
+          particles: AtomDescriber.getParticleString( particleType, true )
+        } ) );
+      }
     }
   }, {
 
     // export for usage when creating shred Particles
-    NUM_NUCLEON_LAYERS: NUM_NUCLEON_LAYERS
+    NUM_NUCLEON_LAYERS: NUM_NUCLEON_LAYERS,
+
+    /**
+     * Get the number of z-order layers needed to depict a nucleus containing up to the specified number of nucleons.
+     * The nucleus is built up in rings whose size grows with the layer, so the layer count grows roughly with the
+     * square root of the nucleon count.
+     * @param {number} maxNucleons
+     * @returns {number}
+     * @public
+     */
+    getNumNucleonLayers: function( maxNucleons ) {
+      return Math.max( NUM_NUCLEON_LAYERS, Math.ceil( Math.sqrt( maxNucleons ) ) );
+    },
+
+    /**
+     * @param {EventTarget|null} target - the target of a DOM event
+     * @returns {boolean} - whether the target is an element for editing text, such as an input or a text area
+     * @public
+     */
+    isEditableElement: function( target ) {
+      return !!target && ( target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || !!target.isContentEditable );
+    },
+
+    /**
+     * Create a URL that will start the sim with the model's current atom and label settings, see the 'atom' and related
+     * query parameters.  Any other query parameters in the current URL are retained.
+     * @param {BuildAnAtomModel} model
+     * @returns {string}
+     * @public
+     */
+    createLinkToAtom: function( model ) {
+      const url = new URL( window.location.href );
+      url.searchParams.set( 'atom', AtomConfigurationSerializer.serialize( model.particleAtom ) );
+      url.searchParams.set( 'showElementName', model.showElementNameProperty.get() );
+      url.searchParams.set( 'showNeutralOrIon', model.showNeutralOrIonProperty.get() );
+      url.searchParams.set( 'showStableOrUnstable', model.showStableOrUnstableProperty.get() );
+      url.searchParams.set( 'electronModel', model.electronShellDepictionProperty.get() );
+      url.searchParams.set( 'allowDecay', model.allowDecayProperty.get() );
+      return url.toString();
+    },
+
+    /**
+     * Copy text to the system clipboard.  The clipboard API is only available in secure contexts, and the browser may
+     * deny access to it, in which case the text should be shown so that the user can copy it.
+     * @param {string} text
+     * @param {function} onFailure - called when the text can't be copied
+     * @public
+     */
+    copyToClipboard: function( text, onFailure ) {
+      if ( navigator.clipboard ) {
+        navigator.clipboard.writeText( text ).catch( onFailure );
+      }
+      else {
+        onFailure();
+      }
+    }
   } );
 } );
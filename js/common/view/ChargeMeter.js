@@ -25,7 +25,7 @@ define( require => {
 
   // constants
   const WIDTH = 70; // In screen coords, which are roughly pixels.
-  const _MAX_CHARGE = 10;
+  const DEFAULT_MAX_CHARGE = 10;
   const CHARGE_SYMBOL_WIDTH = 7; // In screen coords, which are roughly pixels.
   const SYMBOL_LINE_WIDTH = 2; // In screen coords, which are roughly pixels.
 
@@ -37,7 +37,14 @@ define( require => {
    */
   function ChargeMeter( numberAtom, tandem, options ) {
 
-    options = merge( { showNumericalReadout: true, tandem: tandem }, options );
+    options = merge( {
+      showNumericalReadout: true,
+
+      // {number} - magnitude of the charge at which the needle is fully deflected
+      maxCharge: DEFAULT_MAX_CHARGE,
+      tandem: tandem
+    }, options );
+    const maxCharge = options.maxCharge;
 
     Node.call( this );
 
@@ -153,7 +160,7 @@ define( require => {
 
     // Add the listeners that will update the meter and numerical display when the charge changes.
     numberAtom.chargeProperty.link( function( charge ) {
-      meterNeedle.rotation = ( charge / _MAX_CHARGE ) * Math.PI * 0.4;
+      meterNeedle.rotation = ( Math.max( Math.min( charge, maxCharge ), -maxCharge ) / maxCharge ) * Math.PI * 0.4;
 
       if ( numericalReadout !== undefined ) {
         let sign = '';
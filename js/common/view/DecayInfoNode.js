@@ -0,0 +1,153 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Node that expands on the "Unstable" label shown by AtomNode, indicating the half-life and primary decay mode of the
+ * nucleus, or that the nucleus isn't bound at all.  It is only visible when the stability label is shown and the
+ * nucleus is unstable.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const DecayMode = require( 'BUILD_AN_ATOM/common/model/DecayMode' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Property = require( 'AXON/Property' );
+  const RichText = require( 'SCENERY/nodes/RichText' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // strings
+  const alphaDecayString = require( 'string!BUILD_AN_ATOM/alphaDecay' );
+  const betaMinusDecayString = require( 'string!BUILD_AN_ATOM/betaMinusDecay' );
+  const betaPlusDecayString = require( 'string!BUILD_AN_ATOM/betaPlusDecay' );
+  const daysPatternString = require( 'string!BUILD_AN_ATOM/daysPattern' );
+  const decayModePatternString = require( 'string!BUILD_AN_ATOM/decayModePattern' );
+  const halfLifePatternString = require( 'string!BUILD_AN_ATOM/halfLifePattern' );
+  const hoursPatternString = require( 'string!BUILD_AN_ATOM/hoursPattern' );
+  const millisecondsPatternString = require( 'string!BUILD_AN_ATOM/millisecondsPattern' );
+  const minutesPatternString = require( 'string!BUILD_AN_ATOM/minutesPattern' );
+  const neutronEmissionString = require( 'string!BUILD_AN_ATOM/neutronEmission' );
+  const notBoundString = require( 'string!BUILD_AN_ATOM/notBound' );
+  const protonEmissionString = require( 'string!BUILD_AN_ATOM/protonEmission' );
+  const scientificNotationPatternString = require( 'string!BUILD_AN_ATOM/scientificNotationPattern' );
+  const secondsPatternString = require( 'string!BUILD_AN_ATOM/secondsPattern' );
+  const yearsPatternString = require( 'string!BUILD_AN_ATOM/yearsPattern' );
+
+  // constants
+  const FONT = new PhetFont( 12 );
+  const MAX_WIDTH = 200;
+  const SECONDS_PER_MINUTE = 60;
+  const SECONDS_PER_HOUR = 60 * SECONDS_PER_MINUTE;
+  const SECONDS_PER_DAY = 24 * SECONDS_PER_HOUR;
+  const SECONDS_PER_YEAR = 365.25 * SECONDS_PER_DAY;
+  const MAX_YEARS_IN_DECIMAL_FORM = 1E4; // longer half-lives are shown in scientific notation
+  const SIGNIFICANT_FIGURES = 3;
+  const DECAY_MODE_STRINGS = {};
+  DECAY_MODE_STRINGS[ DecayMode.ALPHA ] = alphaDecayString;
+  DECAY_MODE_STRINGS[ DecayMode.BETA_MINUS ] = betaMinusDecayString;
+  DECAY_MODE_STRINGS[ DecayMode.BETA_PLUS ] = betaPlusDecayString;
+  DECAY_MODE_STRINGS[ DecayMode.NEUTRON_EMISSION ] = neutronEmissionString;
+  DECAY_MODE_STRINGS[ DecayMode.PROTON_EMISSION ] = protonEmissionString;
+
+  /**
+   * @param {BuildAnAtomModel} model
+   * @param {Object} [options]
+   * @constructor
+   */
+  function DecayInfoNode( model, options ) {
+
+    Node.call( this, { pickable: false } );
+
+    const halfLifeText = new RichText( '', { font: FONT, maxWidth: MAX_WIDTH } );
+    const decayModeText = new RichText( '', { font: FONT, maxWidth: MAX_WIDTH } );
+    this.addChild( halfLifeText );
+    this.addChild( decayModeText );
+
+    const self = this;
+    Property.multilink(
+      [ model.nucleusDecayInfoProperty, model.nucleusStableProperty, model.showStableOrUnstableProperty ],
+      function( decayInfo, nucleusStable, showStableOrUnstable ) {
+        self.visible = showStableOrUnstable && !nucleusStable;
+        if ( decayInfo ) {
+          halfLifeText.text = StringUtils.format( halfLifePatternString, DecayInfoNode.formatHalfLife( decayInfo.halfLife ) );
+          decayModeText.text = StringUtils.format( decayModePatternString, DECAY_MODE_STRINGS[ decayInfo.decayMode ] );
+          decayModeText.visible = true;
+        }
+        else {
+          halfLifeText.text = notBoundString;
+          decayModeText.visible = false;
+        }
+
+        // keep the lines centered on one another, and the top fixed so that the client can position this node by it
+        halfLifeText.centerX = 0;
+        halfLifeText.top = 0;
+        decayModeText.centerX = 0;
+        decayModeText.top = halfLifeText.bottom + 2;
+      }
+    );
+
+    this.mutate( options );
+  }
+
+  buildAnAtom.register( 'DecayInfoNode', DecayInfoNode );
+
+  return inherit( Node, DecayInfoNode, {}, {
+
+    /**
+     * Format a half-life using the most readable unit, e.g. '5730 years' or '20.4 minutes'.  Very long and very short
+     * half-lives are formatted in scientific notation using RichText markup.
+     * @param {number} halfLife - in seconds
+     * @returns {string}
+     * @public
+     */
+    formatHalfLife: function( halfLife ) {
+      const years = halfLife / SECONDS_PER_YEAR;
+      let formattedHalfLife;
+      if ( years >= MAX_YEARS_IN_DECIMAL_FORM ) {
+        formattedHalfLife = StringUtils.format( yearsPatternString, toScientificNotation( years ) );
+      }
+      else if ( years >= 1 ) {
+        formattedHalfLife = StringUtils.format( yearsPatternString, toSignificantFigures( years ) );
+      }
+      else if ( halfLife >= SECONDS_PER_DAY ) {
+        formattedHalfLife = StringUtils.format( daysPatternString, toSignificantFigures( halfLife / SECONDS_PER_DAY ) );
+      }
+      else if ( halfLife >= SECONDS_PER_HOUR ) {
+        formattedHalfLife = StringUtils.format( hoursPatternString, toSignificantFigures( halfLife / SECONDS_PER_HOUR ) );
+      }
+      else if ( halfLife >= SECONDS_PER_MINUTE ) {
+        formattedHalfLife = StringUtils.format( minutesPatternString, toSignificantFigures( halfLife / SECONDS_PER_MINUTE ) );
+      }
+      else if ( halfLife >= 1 ) {
+        formattedHalfLife = StringUtils.format( secondsPatternString, toSignificantFigures( halfLife ) );
+      }
+      else if ( halfLife >= 1E-3 ) {
+        formattedHalfLife = StringUtils.format( millisecondsPatternString, toSignificantFigures( halfLife * 1000 ) );
+      }
+      else {
+        formattedHalfLife = StringUtils.format( secondsPatternString, toScientificNotation( halfLife ) );
+      }
+      return formattedHalfLife;
+    }
+  } );
+
+  /**
+   * @param {number} value
+   * @returns {number} - the value rounded to a fixed number of significant figures, without trailing zeros
+   */
+  function toSignificantFigures( value ) {
+    return parseFloat( value.toPrecision( SIGNIFICANT_FIGURES ) );
+  }
+
+  /**
+   * @param {number} value
+   * @returns {string} - the value in scientific notation, using RichText markup for the exponent
+   */
+  function toScientificNotation( value ) {
+    const exponent = Math.floor( Math.log10( value ) );
+    const mantissa = toSignificantFigures( value / Math.pow( 10, exponent ) );
+    return StringUtils.format( scientificNotationPatternString, mantissa, exponent );
+  }
+} );
@@ -0,0 +1,152 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Type that portrays the electron configuration of an atom, both in the standard notation, e.g. 1s²2s²2p⁶, and as an
+ * orbital box diagram in which each electron is shown as an up or down arrow.  Subshells are filled in order of
+ * increasing energy according to the Madelung rule, and the orbitals within a subshell are filled according to Hund's
+ * rule, i.e. singly before any are doubly occupied.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const RichText = require( 'SCENERY/nodes/RichText' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // constants
+  const NOTATION_FONT = new PhetFont( 16 );
+  const LABEL_FONT = new PhetFont( 12 );
+  const MAX_WIDTH = 230; // empirically determined to fit in the accordion boxes
+  const NO_VALUE = '—'; // em dash, shown when there are no electrons
+  const ORBITAL_BOX_SIZE = 18;
+  const ARROW_LENGTH = ORBITAL_BOX_SIZE * 0.75;
+  const ARROW_OPTIONS = { headHeight: 5, headWidth: 6, tailWidth: 1.5, fill: 'black', stroke: null };
+
+  // Subshells in the order in which they fill, as principal quantum number and orbital type.  This covers all of the
+  // elements in the periodic table, though only the first few are needed for the atoms that can be built in the sim.
+  const SUBSHELL_FILL_ORDER = [
+    '1s', '2s', '2p', '3s', '3p', '4s', '3d', '4p', '5s', '4d', '5p', '6s', '4f', '5d', '6p', '7s', '5f', '6d', '7p'
+  ];
+  const NUM_ORBITALS_BY_TYPE = { s: 1, p: 3, d: 5, f: 7 };
+
+  /**
+   * @param {NumberAtom} numberAtom
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function ElectronConfigurationDisplay( numberAtom, tandem, options ) {
+
+    Node.call( this, { tandem: tandem } );
+
+    const notationText = new RichText( NO_VALUE, {
+      font: NOTATION_FONT,
+      maxWidth: MAX_WIDTH,
+      tandem: tandem.createTandem( 'notationText' )
+    } );
+    const orbitalDiagram = new HBox( { spacing: 6, align: 'bottom', maxWidth: MAX_WIDTH } );
+    this.addChild( new VBox( {
+      children: [ notationText, orbitalDiagram ],
+      align: 'left',
+      spacing: 8
+    } ) );
+
+    // Update the notation and rebuild the diagram when the number of electrons changes.
+    numberAtom.electronCountProperty.link( function( electronCount ) {
+      const configuration = ElectronConfigurationDisplay.getElectronConfiguration( electronCount );
+      notationText.text = configuration.length > 0 ?
+                          ElectronConfigurationDisplay.getNotation( electronCount ) :
+                          NO_VALUE;
+
+      // Show the empty 1s orbital when there are no electrons so that the diagram doesn't disappear entirely.
+      const subshellsToShow = configuration.length > 0 ? configuration : [ { subshell: '1s', electronCount: 0 } ];
+      orbitalDiagram.children = subshellsToShow.map( createSubshellNode );
+    } );
+
+    this.mutate( options );
+  }
+
+  buildAnAtom.register( 'ElectronConfigurationDisplay', ElectronConfigurationDisplay );
+
+  /**
+   * Create the node for one subshell in the orbital box diagram, which is a row of boxes with the subshell label below.
+   * @param {{subshell: string, electronCount: number}} subshellOccupancy
+   * @returns {Node}
+   */
+  function createSubshellNode( subshellOccupancy ) {
+    const numOrbitals = NUM_ORBITALS_BY_TYPE[ subshellOccupancy.subshell.charAt( 1 ) ];
+    const orbitalBoxes = [];
+    for ( let i = 0; i < numOrbitals; i++ ) {
+
+      // Hund's rule - each orbital gets one spin up electron before any of them get a spin down electron
+      const hasSpinUp = subshellOccupancy.electronCount > i;
+      const hasSpinDown = subshellOccupancy.electronCount > i + numOrbitals;
+      const orbitalBox = new Rectangle( 0, 0, ORBITAL_BOX_SIZE, ORBITAL_BOX_SIZE, {
+        fill: 'white',
+        stroke: 'black',
+        lineWidth: 1
+      } );
+      const bottom = ( ORBITAL_BOX_SIZE + ARROW_LENGTH ) / 2;
+      const top = bottom - ARROW_LENGTH;
+      if ( hasSpinUp ) {
+        const x = hasSpinDown ? ORBITAL_BOX_SIZE * 0.3 : ORBITAL_BOX_SIZE / 2;
+        orbitalBox.addChild( new ArrowNode( x, bottom, x, top, ARROW_OPTIONS ) );
+      }
+      if ( hasSpinDown ) {
+        const x = ORBITAL_BOX_SIZE * 0.7;
+        orbitalBox.addChild( new ArrowNode( x, top, x, bottom, ARROW_OPTIONS ) );
+      }
+      orbitalBoxes.push( orbitalBox );
+    }
+    return new VBox( {
+      children: [
+        new HBox( { children: orbitalBoxes, spacing: 0 } ),
+        new Text( subshellOccupancy.subshell, { font: LABEL_FONT } )
+      ],
+      spacing: 2
+    } );
+  }
+
+  return inherit( Node, ElectronConfigurationDisplay, {}, {
+
+    /**
+     * Get the ground state electron configuration for the specified number of electrons.  Only the occupied subshells
+     * are included.
+     * @param {number} electronCount
+     * @returns {Array.<{subshell: string, electronCount: number}>} - e.g. [ { subshell: '1s', electronCount: 2 }, ... ]
+     * @public
+     */
+    getElectronConfiguration: function( electronCount ) {
+      const configuration = [];
+      let remainingElectrons = electronCount;
+      for ( let i = 0; i < SUBSHELL_FILL_ORDER.length && remainingElectrons > 0; i++ ) {
+        const subshell = SUBSHELL_FILL_ORDER[ i ];
+        const capacity = 2 * NUM_ORBITALS_BY_TYPE[ subshell.charAt( 1 ) ];
+        const electronsInSubshell = Math.min( capacity, remainingElectrons );
+        configuration.push( { subshell: subshell, electronCount: electronsInSubshell } );
+        remainingElectrons -= electronsInSubshell;
+      }
+      return configuration;
+    },
+
+    /**
+     * Get the electron configuration in standard notation, using RichText markup for the superscripts.
+     * @param {number} electronCount
+     * @returns {string} - e.g. '1s<sup>2</sup> 2s<sup>1</sup>' for lithium, empty if there are no electrons
+     * @public
+     */
+    getNotation: function( electronCount ) {
+      return ElectronConfigurationDisplay.getElectronConfiguration( electronCount ).map( function( subshellOccupancy ) {
+        return subshellOccupancy.subshell + '<sup>' + subshellOccupancy.electronCount + '</sup>';
+      } ).join( ' ' );
+    }
+  } );
+} );
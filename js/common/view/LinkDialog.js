@@ -0,0 +1,77 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Dialog that shows a link in a read-only text field, from which the user can copy it.  It's used when the link can't
+ * be copied to the clipboard directly, e.g. when the sim isn't running in a secure context.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const Dialog = require( 'SUN/Dialog' );
+  const DOM = require( 'SCENERY/nodes/DOM' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const copyLinkInstructionsString = require( 'string!BUILD_AN_ATOM/copyLinkInstructions' );
+  const copyLinkString = require( 'string!BUILD_AN_ATOM/copyLink' );
+
+  // constants
+  const CONTENT_WIDTH = 600;
+
+  /**
+   * @param {Object} [options]
+   * @constructor
+   */
+  function LinkDialog( options ) {
+
+    options = merge( {
+      title: new Text( copyLinkString, { font: new PhetFont( 24 ), maxWidth: CONTENT_WIDTH } )
+    }, options );
+
+    const instructions = new Text( copyLinkInstructionsString, {
+      font: new PhetFont( 16 ),
+      maxWidth: CONTENT_WIDTH
+    } );
+
+    // scenery text can't be selected, so use a DOM text field, and select the whole link when it gets the focus
+    const linkField = document.createElement( 'input' );
+    linkField.type = 'text';
+    linkField.readOnly = true;
+    linkField.style.width = CONTENT_WIDTH + 'px';
+    linkField.style.fontSize = '14px';
+    linkField.setAttribute( 'aria-label', copyLinkString );
+    linkField.addEventListener( 'focus', function() {
+      linkField.select();
+    } );
+
+    // @private
+    this.linkField = linkField;
+
+    Dialog.call( this, new VBox( {
+      children: [ instructions, new DOM( linkField, { allowInput: true } ) ],
+      align: 'left',
+      spacing: 10
+    } ), options );
+  }
+
+  buildAnAtom.register( 'LinkDialog', LinkDialog );
+
+  return inherit( Dialog, LinkDialog, {
+
+    /**
+     * Show the dialog with a link.
+     * @param {string} link
+     * @public
+     */
+    showLink: function( link ) {
+      this.linkField.value = link;
+      this.show();
+    }
+  } );
+} );
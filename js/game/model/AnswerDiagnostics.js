@@ -0,0 +1,180 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Static functions for analyzing wrong answers in the game.  They identify the likely misconception behind a wrong
+ * answer, such as entering the mass number instead of the neutron count, and determine what proportion of the
+ * quantities asked for were answered correctly, which is used for partial credit.
+ *
+ * The quantities that each challenge type asks for are called fields, and are the names of the NumberAtom properties
+ * without the 'Property' suffix, i.e. 'protonCount', 'neutronCount', 'electronCount', 'massNumber' and 'charge'.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+
+  // strings
+  const chargeFromNeutronsString = require( 'string!BUILD_AN_ATOM/chargeFromNeutrons' );
+  const chargeSignReversedString = require( 'string!BUILD_AN_ATOM/chargeSignReversed' );
+  const electronsEqualProtonsOnIonString = require( 'string!BUILD_AN_ATOM/electronsEqualProtonsOnIon' );
+  const electronsInMassNumberString = require( 'string!BUILD_AN_ATOM/electronsInMassNumber' );
+  const electronsReversedString = require( 'string!BUILD_AN_ATOM/electronsReversed' );
+  const elementFromElectronsString = require( 'string!BUILD_AN_ATOM/elementFromElectrons' );
+  const massNumberForNeutronsString = require( 'string!BUILD_AN_ATOM/massNumberForNeutrons' );
+  const massNumberForProtonsString = require( 'string!BUILD_AN_ATOM/massNumberForProtons' );
+  const neutronsEqualProtonsString = require( 'string!BUILD_AN_ATOM/neutronsEqualProtons' );
+  const neutronsForMassNumberString = require( 'string!BUILD_AN_ATOM/neutronsForMassNumber' );
+  const protonsForMassNumberString = require( 'string!BUILD_AN_ATOM/protonsForMassNumber' );
+  const zeroChargeOnIonString = require( 'string!BUILD_AN_ATOM/zeroChargeOnIon' );
+
+  // constants
+  const COUNTS = [ 'protonCount', 'neutronCount', 'electronCount' ];
+  const FIELDS_BY_CHALLENGE_TYPE = {
+    'counts-to-element': [ 'protonCount' ],
+    'counts-to-charge': [ 'charge' ],
+    'counts-to-mass': [ 'massNumber' ],
+    'counts-to-symbol-all': [ 'protonCount', 'massNumber', 'charge' ],
+    'counts-to-symbol-charge': [ 'charge' ],
+    'counts-to-symbol-mass': [ 'massNumber' ],
+    'counts-to-symbol-proton-count': [ 'protonCount' ],
+    'schematic-to-element': [ 'protonCount' ],
+    'schematic-to-charge': [ 'charge' ],
+    'schematic-to-mass': [ 'massNumber' ],
+    'schematic-to-symbol-all': [ 'protonCount', 'massNumber', 'charge' ],
+    'schematic-to-symbol-charge': [ 'charge' ],
+    'schematic-to-symbol-mass-number': [ 'massNumber' ],
+    'schematic-to-symbol-proton-count': [ 'protonCount' ],
+    'symbol-to-counts': COUNTS,
+    'symbol-to-schematic': COUNTS,
+    'symbol-to-neutron-count': [ 'neutronCount' ],
+    'isotope-notation-to-neutron-count': [ 'neutronCount' ],
+    'counts-to-hyphen-notation': [ 'protonCount', 'massNumber' ],
+    'counts-to-nuclide-notation': [ 'protonCount', 'massNumber', 'charge' ],
+    'hyphen-notation-to-counts': COUNTS,
+    'nuclide-notation-to-counts': COUNTS,
+    'schematic-to-ion': [ 'electronCount' ]
+  };
+
+  /**
+   * @param {NumberAtom} numberAtom
+   * @param {string} field
+   * @returns {number}
+   */
+  function getValue( numberAtom, field ) {
+    return numberAtom[ field + 'Property' ].get();
+  }
+
+  // Checks for each field, in the order that they are tried.  Each check is given the correct and submitted atoms when
+  // the field is wrong, and returns a description of the misconception if the submitted value is explained by it.
+  const MISCONCEPTION_CHECKS = {
+    protonCount: [
+      function( answer, submitted ) {
+        return answer.chargeProperty.get() !== 0 &&
+               getValue( submitted, 'protonCount' ) === getValue( answer, 'electronCount' ) ? elementFromElectronsString : null;
+      },
+      function( answer, submitted ) {
+        return getValue( submitted, 'protonCount' ) === getValue( answer, 'massNumber' ) ? protonsForMassNumberString : null;
+      }
+    ],
+    massNumber: [
+      function( answer, submitted ) {
+        return getValue( submitted, 'massNumber' ) === getValue( answer, 'neutronCount' ) ? neutronsForMassNumberString : null;
+      },
+      function( answer, submitted ) {
+        return getValue( submitted, 'massNumber' ) === getValue( answer, 'protonCount' ) ? massNumberForProtonsString : null;
+      },
+      function( answer, submitted ) {
+        return getValue( submitted, 'massNumber' ) === getValue( answer, 'massNumber' ) + getValue( answer, 'electronCount' ) ?
+               electronsInMassNumberString : null;
+      }
+    ],
+    neutronCount: [
+      function( answer, submitted ) {
+        return getValue( submitted, 'neutronCount' ) === getValue( answer, 'massNumber' ) ? massNumberForNeutronsString : null;
+      },
+      function( answer, submitted ) {
+        return getValue( submitted, 'neutronCount' ) === getValue( answer, 'protonCount' ) ? neutronsEqualProtonsString : null;
+      }
+    ],
+    electronCount: [
+      function( answer, submitted ) {
+        return answer.chargeProperty.get() !== 0 &&
+               getValue( submitted, 'electronCount' ) === getValue( answer, 'protonCount' ) ? electronsEqualProtonsOnIonString : null;
+      },
+      function( answer, submitted ) {
+        return getValue( submitted, 'electronCount' ) === getValue( answer, 'protonCount' ) + answer.chargeProperty.get() ?
+               electronsReversedString : null;
+      }
+    ],
+    charge: [
+      function( answer, submitted ) {
+        return answer.chargeProperty.get() !== 0 && submitted.chargeProperty.get() === 0 ? zeroChargeOnIonString : null;
+      },
+      function( answer, submitted ) {
+        return submitted.chargeProperty.get() === -answer.chargeProperty.get() ? chargeSignReversedString : null;
+      },
+      function( answer, submitted ) {
+        return submitted.chargeProperty.get() === getValue( answer, 'protonCount' ) - getValue( answer, 'neutronCount' ) ?
+               chargeFromNeutronsString : null;
+      }
+    ]
+  };
+
+  // No constructor, not meant to be instantiated.
+  const AnswerDiagnostics = {
+
+    /**
+     * Get a description of the misconception that most likely explains a wrong answer.
+     * @param {string} challengeType
+     * @param {NumberAtom} answerAtom
+     * @param {NumberAtom} submittedAtom
+     * @returns {string|null} - null if the answer is correct or no misconception explains it
+     * @public
+     */
+    getMisconception: function( challengeType, answerAtom, submittedAtom ) {
+      const wrongFields = AnswerDiagnostics.getFields( challengeType ).filter( function( field ) {
+        return getValue( submittedAtom, field ) !== getValue( answerAtom, field );
+      } );
+      for ( let i = 0; i < wrongFields.length; i++ ) {
+        const checks = MISCONCEPTION_CHECKS[ wrongFields[ i ] ];
+        for ( let j = 0; j < checks.length; j++ ) {
+          const misconception = checks[ j ]( answerAtom, submittedAtom );
+          if ( misconception ) {
+            return misconception;
+          }
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Get the proportion of the fields asked for by a challenge type that were answered correctly.
+     * @param {string} challengeType
+     * @param {NumberAtom} answerAtom
+     * @param {NumberAtom} submittedAtom
+     * @returns {number} - from 0 to 1
+     * @public
+     */
+    getFractionCorrect: function( challengeType, answerAtom, submittedAtom ) {
+      const fields = AnswerDiagnostics.getFields( challengeType );
+      const correctFields = fields.filter( function( field ) {
+        return getValue( submittedAtom, field ) === getValue( answerAtom, field );
+      } );
+      return correctFields.length / fields.length;
+    },
+
+    /**
+     * @param {string} challengeType
+     * @returns {string[]} - the fields that the challenge type asks for
+     * @public
+     */
+    getFields: function( challengeType ) {
+      return FIELDS_BY_CHALLENGE_TYPE[ challengeType ] || COUNTS;
+    }
+  };
+
+  buildAnAtom.register( 'AnswerDiagnostics', AnswerDiagnostics );
+
+  return AnswerDiagnostics;
+} );
@@ -0,0 +1,190 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Type for game challenges where the user is presented with two atoms side by side, as schematic atoms or as symbols,
+ * and answers a question that compares them, either how the atoms are related (isotopes, ions of the same element, or
+ * different elements) or which of them has more neutrons.  The first atom is the challenge's answerAtom and the second
+ * is its only other atom.  Since the answer is a choice rather than an atom, nothing is submitted as an atom.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AtomComparisonChallengeView = require( 'BUILD_AN_ATOM/game/view/AtomComparisonChallengeView' );
+  const AtomComparisonQuestion = require( 'BUILD_AN_ATOM/game/model/AtomComparisonQuestion' );
+  const BAAChallengeState = require( 'BUILD_AN_ATOM/game/model/BAAChallengeState' );
+  const BAAGameChallenge = require( 'BUILD_AN_ATOM/game/model/BAAGameChallenge' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // strings
+  const atomCountsHintPatternString = require( 'string!BUILD_AN_ATOM/atomCountsHintPattern' );
+  const elementFromProtonsOnlyString = require( 'string!BUILD_AN_ATOM/elementFromProtonsOnly' );
+  const firstAtomLabelString = require( 'string!BUILD_AN_ATOM/firstAtomLabel' );
+  const isotopesVersusIonsString = require( 'string!BUILD_AN_ATOM/isotopesVersusIons' );
+  const massNumberForNeutronComparisonString = require( 'string!BUILD_AN_ATOM/massNumberForNeutronComparison' );
+  const moreNeutronsHintString = require( 'string!BUILD_AN_ATOM/moreNeutronsHint' );
+  const relationshipHintString = require( 'string!BUILD_AN_ATOM/relationshipHint' );
+  const secondAtomLabelString = require( 'string!BUILD_AN_ATOM/secondAtomLabel' );
+
+  /**
+   * @param {BAAGameModel} buildAnAtomGameModel
+   * @param {NumberAtom} answerAtom - the first atom
+   * @param {string} challengeType
+   * @param {Tandem} tandem
+   * @param {NumberAtom[]} otherAtoms - the second atom
+   * @param {boolean} showSchematics - whether the atoms are shown as schematic atoms instead of as symbols
+   * @param {string} question - one of the values of AtomComparisonQuestion
+   * @constructor
+   */
+  function AtomComparisonChallenge( buildAnAtomGameModel, answerAtom, challengeType, tandem, otherAtoms, showSchematics,
+                                    question ) {
+    assert && assert( otherAtoms.length === 1, 'atom comparison challenges need exactly one other atom' );
+    assert && assert( _.values( AtomComparisonQuestion ).indexOf( question ) !== -1, 'invalid question: ' + question );
+    BAAGameChallenge.call( this, buildAnAtomGameModel, answerAtom, challengeType, tandem, otherAtoms );
+
+    // @public (read-only)
+    this.showSchematics = showSchematics;
+    this.question = question;
+
+    // @public (read-only) {string} - the choice that answers the question, see getRelationship and getMoreNeutrons
+    this.correctChoice = question === AtomComparisonQuestion.RELATIONSHIP ?
+                         AtomComparisonChallenge.getRelationship( answerAtom, otherAtoms[ 0 ] ) :
+                         AtomComparisonChallenge.getMoreNeutrons( answerAtom, otherAtoms[ 0 ] );
+
+    // @private {string|null} - the most recently submitted choice
+    this.submittedChoice = null;
+  }
+
+  /**
+   * @param {string} atomLabel
+   * @param {NumberAtom} numberAtom
+   * @returns {string}
+   */
+  function getCountsHint( atomLabel, numberAtom ) {
+    return StringUtils.format( atomCountsHintPatternString,
+      atomLabel,
+      numberAtom.protonCountProperty.get(),
+      numberAtom.neutronCountProperty.get(),
+      numberAtom.electronCountProperty.get()
+    );
+  }
+
+  buildAnAtom.register( 'AtomComparisonChallenge', AtomComparisonChallenge );
+
+  // Inherit from base class and define the methods for this object.
+  return inherit( BAAGameChallenge, AtomComparisonChallenge, {
+
+    /**
+     * Override the method for checking the correct answer, since the answer is a choice instead of an atom.
+     * @param {string} submittedChoice
+     * @public
+     * @override
+     */
+    checkAnswer: function( submittedChoice ) {
+      assert && assert(
+        this.challengeStateProperty.get() === BAAChallengeState.PRESENTING_CHALLENGE,
+        'Unexpected challenge state: ' + this.challengeStateProperty.get()
+      );
+      this.submittedChoice = submittedChoice;
+      this.handleEvaluatedAnswer( null, submittedChoice === this.correctChoice, {
+        correctChoice: this.correctChoice,
+        submittedChoice: submittedChoice
+      } );
+    },
+
+    /**
+     * @returns {string|null}
+     * @protected
+     * @override
+     */
+    getMisconception: function() {
+      const firstAtom = this.answerAtom;
+      const secondAtom = this.otherAtoms[ 0 ];
+      if ( this.question === AtomComparisonQuestion.RELATIONSHIP ) {
+
+        // mixing up the element with the other particles, or isotopes with ions
+        return this.correctChoice === 'differentElements' || this.submittedChoice === 'differentElements' ?
+               elementFromProtonsOnlyString :
+               isotopesVersusIonsString;
+      }
+      else {
+
+        // comparing the mass numbers instead of the neutrons
+        const moreMass = AtomComparisonChallenge.compare(
+          firstAtom.massNumberProperty.get(),
+          secondAtom.massNumberProperty.get()
+        );
+        return this.submittedChoice === moreMass ? massNumberForNeutronComparisonString : null;
+      }
+    },
+
+    /**
+     * There's only one question, so there's no partial credit.
+     * @returns {number}
+     * @protected
+     * @override
+     */
+    getFractionCorrect: function() {
+      return this.submittedChoice === this.correctChoice ? 1 : 0;
+    },
+
+    /**
+     * @param {number} hintLevel
+     * @returns {string[]}
+     * @public
+     * @override
+     */
+    getHints: function( hintLevel ) {
+      const hints = [ this.question === AtomComparisonQuestion.RELATIONSHIP ? relationshipHintString : moreNeutronsHintString ];
+      if ( hintLevel > 1 ) {
+        hints.push(
+          getCountsHint( firstAtomLabelString, this.answerAtom ),
+          getCountsHint( secondAtomLabelString, this.otherAtoms[ 0 ] )
+        );
+      }
+      return hints;
+    },
+
+    // @public - create the view needed to visual represent this challenge
+    createView: function( layoutBounds, tandem ) {
+      return new AtomComparisonChallengeView( this, layoutBounds, tandem.createTandem( 'atomComparisonChallengeView' ) );
+    }
+  }, {
+
+    /**
+     * @param {NumberAtom} firstAtom
+     * @param {NumberAtom} secondAtom
+     * @returns {string} - 'differentElements', 'isotopes' or 'ionsOfSameElement'.  Isotopes may also have different
+     * charges, and the atoms are assumed not to be identical.
+     * @public
+     */
+    getRelationship: function( firstAtom, secondAtom ) {
+      if ( firstAtom.protonCountProperty.get() !== secondAtom.protonCountProperty.get() ) {
+        return 'differentElements';
+      }
+      return firstAtom.neutronCountProperty.get() !== secondAtom.neutronCountProperty.get() ? 'isotopes' : 'ionsOfSameElement';
+    },
+
+    /**
+     * @param {NumberAtom} firstAtom
+     * @param {NumberAtom} secondAtom
+     * @returns {string} - 'first', 'second' or 'same'
+     * @public
+     */
+    getMoreNeutrons: function( firstAtom, secondAtom ) {
+      return AtomComparisonChallenge.compare( firstAtom.neutronCountProperty.get(), secondAtom.neutronCountProperty.get() );
+    },
+
+    /**
+     * @param {number} firstValue
+     * @param {number} secondValue
+     * @returns {string} - 'first' if the first value is larger, 'second' if the second value is larger, 'same' if equal
+     * @private
+     */
+    compare: function( firstValue, secondValue ) {
+      return firstValue > secondValue ? 'first' : firstValue < secondValue ? 'second' : 'same';
+    }
+  } );
+} );
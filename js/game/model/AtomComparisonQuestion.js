@@ -0,0 +1,23 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Possible questions asked by the challenges that compare two atoms, see AtomComparisonChallenge.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+
+  const AtomComparisonQuestion = {
+    RELATIONSHIP: 'relationship', // isotopes, ions of the same element, or different elements
+    MORE_NEUTRONS: 'moreNeutrons' // which atom has more neutrons
+  };
+
+  // verify that enum is immutable, without the runtime penalty in production code
+  if ( assert ) { Object.freeze( AtomComparisonQuestion ); }
+
+  buildAnAtom.register( 'AtomComparisonQuestion', AtomComparisonQuestion );
+
+  return AtomComparisonQuestion;
+} );
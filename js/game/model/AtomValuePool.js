@@ -211,16 +211,75 @@ define( require => {
       new NumberAtom( { protonCount: 17, neutronCount: 20, electronCount: 18 } ),
       new NumberAtom( { protonCount: 18, neutronCount: 20, electronCount: 18 } ),
       new NumberAtom( { protonCount: 18, neutronCount: 22, electronCount: 18 } )
+    ],
+
+    // Expert level, elements up to krypton, including ions of the transition metals that form more than one ion (e.g.
+    // Fe2+ and Fe3+) and isotopes other than the most common one.
+    [
+      new NumberAtom( { protonCount: 19, neutronCount: 20, electronCount: 19 } ),
+      new NumberAtom( { protonCount: 19, neutronCount: 20, electronCount: 18 } ),
+      new NumberAtom( { protonCount: 19, neutronCount: 22, electronCount: 19 } ),
+      new NumberAtom( { protonCount: 20, neutronCount: 20, electronCount: 20 } ),
+      new NumberAtom( { protonCount: 20, neutronCount: 20, electronCount: 18 } ),
+      new NumberAtom( { protonCount: 20, neutronCount: 22, electronCount: 18 } ),
+      new NumberAtom( { protonCount: 20, neutronCount: 24, electronCount: 20 } ),
+      new NumberAtom( { protonCount: 21, neutronCount: 24, electronCount: 21 } ),
+      new NumberAtom( { protonCount: 21, neutronCount: 24, electronCount: 18 } ),
+      new NumberAtom( { protonCount: 22, neutronCount: 24, electronCount: 22 } ),
+      new NumberAtom( { protonCount: 22, neutronCount: 26, electronCount: 22 } ),
+      new NumberAtom( { protonCount: 22, neutronCount: 26, electronCount: 18 } ),
+      new NumberAtom( { protonCount: 23, neutronCount: 28, electronCount: 23 } ),
+      new NumberAtom( { protonCount: 24, neutronCount: 28, electronCount: 24 } ),
+      new NumberAtom( { protonCount: 24, neutronCount: 28, electronCount: 21 } ),
+      new NumberAtom( { protonCount: 24, neutronCount: 29, electronCount: 24 } ),
+      new NumberAtom( { protonCount: 25, neutronCount: 30, electronCount: 25 } ),
+      new NumberAtom( { protonCount: 25, neutronCount: 30, electronCount: 23 } ),
+      new NumberAtom( { protonCount: 26, neutronCount: 28, electronCount: 26 } ),
+      new NumberAtom( { protonCount: 26, neutronCount: 30, electronCount: 26 } ),
+      new NumberAtom( { protonCount: 26, neutronCount: 30, electronCount: 24 } ),
+      new NumberAtom( { protonCount: 26, neutronCount: 30, electronCount: 23 } ),
+      new NumberAtom( { protonCount: 26, neutronCount: 31, electronCount: 23 } ),
+      new NumberAtom( { protonCount: 27, neutronCount: 32, electronCount: 27 } ),
+      new NumberAtom( { protonCount: 27, neutronCount: 32, electronCount: 25 } ),
+      new NumberAtom( { protonCount: 27, neutronCount: 32, electronCount: 24 } ),
+      new NumberAtom( { protonCount: 28, neutronCount: 30, electronCount: 28 } ),
+      new NumberAtom( { protonCount: 28, neutronCount: 32, electronCount: 26 } ),
+      new NumberAtom( { protonCount: 29, neutronCount: 34, electronCount: 29 } ),
+      new NumberAtom( { protonCount: 29, neutronCount: 34, electronCount: 28 } ),
+      new NumberAtom( { protonCount: 29, neutronCount: 34, electronCount: 27 } ),
+      new NumberAtom( { protonCount: 29, neutronCount: 36, electronCount: 29 } ),
+      new NumberAtom( { protonCount: 30, neutronCount: 34, electronCount: 30 } ),
+      new NumberAtom( { protonCount: 30, neutronCount: 34, electronCount: 28 } ),
+      new NumberAtom( { protonCount: 30, neutronCount: 36, electronCount: 30 } ),
+      new NumberAtom( { protonCount: 31, neutronCount: 38, electronCount: 31 } ),
+      new NumberAtom( { protonCount: 31, neutronCount: 38, electronCount: 28 } ),
+      new NumberAtom( { protonCount: 31, neutronCount: 40, electronCount: 31 } ),
+      new NumberAtom( { protonCount: 32, neutronCount: 40, electronCount: 32 } ),
+      new NumberAtom( { protonCount: 32, neutronCount: 42, electronCount: 32 } ),
+      new NumberAtom( { protonCount: 33, neutronCount: 42, electronCount: 33 } ),
+      new NumberAtom( { protonCount: 33, neutronCount: 42, electronCount: 36 } ),
+      new NumberAtom( { protonCount: 34, neutronCount: 44, electronCount: 34 } ),
+      new NumberAtom( { protonCount: 34, neutronCount: 46, electronCount: 34 } ),
+      new NumberAtom( { protonCount: 34, neutronCount: 46, electronCount: 36 } ),
+      new NumberAtom( { protonCount: 35, neutronCount: 44, electronCount: 35 } ),
+      new NumberAtom( { protonCount: 35, neutronCount: 44, electronCount: 36 } ),
+      new NumberAtom( { protonCount: 35, neutronCount: 46, electronCount: 35 } ),
+      new NumberAtom( { protonCount: 35, neutronCount: 46, electronCount: 36 } ),
+      new NumberAtom( { protonCount: 36, neutronCount: 46, electronCount: 36 } ),
+      new NumberAtom( { protonCount: 36, neutronCount: 48, electronCount: 36 } ),
+      new NumberAtom( { protonCount: 36, neutronCount: 50, electronCount: 36 } )
     ]
   ];
 
   /**
    * @param {number} level
+   * @param {Random} [random] - source of random numbers, defaults to the sim's
    * @constructor
    */
-  function AtomValuePool( level ) {
+  function AtomValuePool( level, random ) {
     this.remainingAtomValues = CHALLENGE_POOLS[ level ];
     this.usedAtomValues = [];
+    this.random = random || phet.joist.random; // @private
   }
 
   /**
@@ -241,10 +300,11 @@ define( require => {
    * @param minProtonCount
    * @param maxProtonCount
    * @param requireCharged
+   * @param {function(NumberAtom):boolean} [isPreferred] - if any matching atoms satisfy this, one of them is chosen
    * @returns an atom that matches, or null if none exist in the pool
    * @public
    */
-  AtomValuePool.prototype.getRandomAtomValue = function( minProtonCount, maxProtonCount, requireCharged ) {
+  AtomValuePool.prototype.getRandomAtomValue = function( minProtonCount, maxProtonCount, requireCharged, isPreferred ) {
 
     // Define a function that returns true if a given atom matches the criteria.
     const meetsCriteria = function( numberAtom ) {
@@ -254,7 +314,7 @@ define( require => {
     };
 
     // Make a list of the atoms that meet the criteria.
-    const allowableAtomValues = [];
+    let allowableAtomValues = [];
     this.remainingAtomValues.forEach( function( numberAtom ) {
       if ( meetsCriteria( numberAtom ) ) {
         allowableAtomValues.push( numberAtom );
@@ -271,10 +331,16 @@ define( require => {
       } );
     }
 
+    // Narrow the list to the preferred atoms, if there are any.
+    const preferredAtomValues = isPreferred ? allowableAtomValues.filter( isPreferred ) : [];
+    if ( preferredAtomValues.length > 0 ) {
+      allowableAtomValues = preferredAtomValues;
+    }
+
     // Choose a random value from the list.
     let atomValue = null;
     if ( allowableAtomValues.length > 0 ) {
-      atomValue = allowableAtomValues[ Math.floor( phet.joist.random.nextDouble() * allowableAtomValues.length ) ];
+      atomValue = allowableAtomValues[ Math.floor( this.random.nextDouble() * allowableAtomValues.length ) ];
     }
     else {
       throw 'Error: No atoms found that match the specified criteria';
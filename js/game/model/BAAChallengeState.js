@@ -16,7 +16,8 @@ define( require => {
     CHALLENGE_SOLVED_CORRECTLY: 'challengeSolvedCorrectly',
     PRESENTING_TRY_AGAIN: 'presentingTryAgain',
     ATTEMPTS_EXHAUSTED: 'attemptsExhausted',
-    DISPLAYING_CORRECT_ANSWER: 'displayingCorrectAnswer'
+    DISPLAYING_CORRECT_ANSWER: 'displayingCorrectAnswer',
+    TIME_EXPIRED: 'timeExpired'
   };
 
   // verify that enum is immutable, without the runtime penalty in production code
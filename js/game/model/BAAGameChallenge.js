@@ -11,13 +11,15 @@ define( require => {
   'use strict';
 
   // modules
+  const AnswerDiagnostics = require( 'BUILD_AN_ATOM/game/model/AnswerDiagnostics' );
   const BAAChallengeState = require( 'BUILD_AN_ATOM/game/model/BAAChallengeState' );
   const BAAGameChallengeIO = require( 'BUILD_AN_ATOM/game/model/BAAGameChallengeIO' );
   const BAAGameState = require( 'BUILD_AN_ATOM/game/model/BAAGameState' );
-  const BAASharedConstants = require( 'BUILD_AN_ATOM/common/BAASharedConstants' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ChallengeHints = require( 'BUILD_AN_ATOM/game/model/ChallengeHints' );
   const Emitter = require( 'AXON/Emitter' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const LevelScoringScheme = require( 'BUILD_AN_ATOM/game/model/LevelScoringScheme' );
   const NumberProperty = require( 'AXON/NumberProperty' );
   const Property = require( 'AXON/Property' );
   const PropertyIO = require( 'AXON/PropertyIO' );
@@ -29,9 +31,10 @@ define( require => {
    * @param {NumberAtom} answerAtom
    * @param {string} challengeType
    * @param {Tandem} tandem
+   * @param {NumberAtom[]} [otherAtoms] - atoms that are presented along with answerAtom, for challenges that compare atoms
    * @constructor
    */
-  function BAAGameChallenge( buildAnAtomGameModel, answerAtom, challengeType, tandem ) {
+  function BAAGameChallenge( buildAnAtomGameModel, answerAtom, challengeType, tandem, otherAtoms ) {
 
     // TODO: Consider either having all the subclasses define a name, or just getting rid of the name altogether.
     BAAGameState.call( this, 'challenge', {
@@ -39,6 +42,18 @@ define( require => {
       phetioState: false,
       phetioType: BAAGameChallengeIO
     } );
+
+    // @public (read-only) {LevelScoringScheme} - how this challenge is scored, from the level being played
+    this.scoringScheme = buildAnAtomGameModel.scoringSchemes[ buildAnAtomGameModel.levelProperty.get() ];
+
+    // @public (read-only) {boolean} - whether this challenge is being practiced, in which case it isn't scored, wrong
+    // answers unlock hints, and the player can try again until it is solved
+    this.isPractice = buildAnAtomGameModel.isPracticeLevel;
+
+    // @public (read-only) {Property.<number|null>} - seconds left to answer the challenge, null if there's no time limit.
+    // The countdown runs only while the challenge is being presented.
+    this.timeRemainingProperty = new Property( this.isPractice ? null : buildAnAtomGameModel.challengeTimeLimitProperty.get() );
+
     this.challengeStateProperty = new Property( BAAChallengeState.PRESENTING_CHALLENGE, {
       tandem: tandem.createTandem( 'challengeStateProperty' ),
       phetioType: PropertyIO( StringIO ), // TODO why not an Enum?
@@ -48,15 +63,27 @@ define( require => {
     } );
     this.numSubmissionsProperty = new NumberProperty( 0, {
       tandem: tandem.createTandem( 'numSubmissionsProperty' ),
-      range: new Range( 0, BAASharedConstants.MAX_CHALLENGE_ATTEMPTS ),
+      range: new Range( 0, this.isPractice ? Number.POSITIVE_INFINITY : this.scoringScheme.maxAttempts ),
+      phetioReadOnly: true,
+      phetioState: false
+    } );
+
+    // @public (read-only) {NumberProperty} - number of hint levels unlocked by wrong answers in practice mode, see getHints
+    this.hintLevelProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'hintLevelProperty' ),
+      range: new Range( 0, ChallengeHints.NUMBER_OF_HINT_LEVELS ),
       phetioReadOnly: true,
       phetioState: false
     } );
     this.answerAtom = answerAtom; // @public (phet-io)
+    this.otherAtoms = otherAtoms || []; // @public (phet-io)
     this.pointValue = 0; // @public (phet-io)
     this.model = buildAnAtomGameModel; // @public (phet-io)
     this.challengeType = challengeType; // @public (phet-io)
 
+    // @public (read-only) {string|null} - likely misconception behind the most recent wrong answer, null if unknown
+    this.misconception = null;
+
     // @public
     this.disposeEmitter = new Emitter();
   }
@@ -73,6 +100,8 @@ define( require => {
       this.disposeEmitter.emit();
       this.challengeStateProperty.dispose();
       this.numSubmissionsProperty.dispose();
+      this.hintLevelProperty.dispose();
+      this.timeRemainingProperty.dispose();
 
       BAAGameState.prototype.dispose.call( this );
 
@@ -89,9 +118,28 @@ define( require => {
     handleEvaluatedAnswer: function( submittedAtom, isCorrect, emitMessageOptions ) {
 
       this.numSubmissionsProperty.set( this.numSubmissionsProperty.get() + 1 );
-      const pointsIfCorrect = this.numSubmissionsProperty.get() === 1 ? 2 : 1;
-      this.pointValue = isCorrect ? pointsIfCorrect : 0;
-      this.model.scoreProperty.set( this.model.scoreProperty.get() + this.pointValue );
+      const pointsIfCorrect = this.scoringScheme.getPointsForAttempt( this.numSubmissionsProperty.get() );
+      const isFinalAttempt = !this.model.provideFeedbackProperty.get() ||
+                             ( !this.isPractice && this.numSubmissionsProperty.get() === this.scoringScheme.maxAttempts );
+      if ( this.isPractice ) {
+        this.pointValue = 0;
+        if ( !isCorrect ) {
+          this.hintLevelProperty.set( Math.min( this.hintLevelProperty.get() + 1, ChallengeHints.NUMBER_OF_HINT_LEVELS ) );
+        }
+      }
+      else if ( isCorrect ) {
+        this.pointValue = pointsIfCorrect;
+      }
+      else if ( isFinalAttempt && this.model.partialCreditProperty.get() ) {
+
+        // partial credit for the parts of the answer that are correct, in tenths of a point
+        this.pointValue = LevelScoringScheme.roundPoints( pointsIfCorrect * this.getFractionCorrect( submittedAtom ) );
+      }
+      else {
+        this.pointValue = 0;
+      }
+      this.misconception = isCorrect ? null : this.getMisconception( submittedAtom );
+      this.model.scoreProperty.set( LevelScoringScheme.roundPoints( this.model.scoreProperty.get() + this.pointValue ) );
       this.model.emitCheckAnswer( isCorrect, this.pointValue, this.answerAtom, submittedAtom, emitMessageOptions );
 
       if ( this.model.provideFeedbackProperty.get() ) {
@@ -103,7 +151,7 @@ define( require => {
         else {
 
           // Handle incorrect answer.
-          if ( this.numSubmissionsProperty.get() < BAASharedConstants.MAX_CHALLENGE_ATTEMPTS ) {
+          if ( !isFinalAttempt ) {
 
             // Give the user another chance.
             this.challengeStateProperty.set( BAAChallengeState.PRESENTING_TRY_AGAIN );
@@ -137,6 +185,78 @@ define( require => {
       this.handleEvaluatedAnswer( submittedAtom, isCorrect );
     },
 
+    /**
+     * Count down the time remaining to answer the challenge, if there's a time limit.
+     * @param {number} dt
+     * @public
+     * @override
+     */
+    step: function( dt ) {
+      const timeRemaining = this.timeRemainingProperty.get();
+      if ( timeRemaining !== null && timeRemaining > 0 &&
+           this.challengeStateProperty.get() === BAAChallengeState.PRESENTING_CHALLENGE ) {
+        this.timeRemainingProperty.set( Math.max( timeRemaining - dt, 0 ) );
+        if ( this.timeRemainingProperty.get() === 0 ) {
+          this.handleTimeExpired();
+        }
+      }
+    },
+
+    /**
+     * Mark the challenge wrong when the time to answer it runs out, regardless of the attempts remaining.
+     * @private
+     */
+    handleTimeExpired: function() {
+      this.pointValue = 0;
+      this.misconception = null;
+
+      // Nothing was submitted, so there's no submitted atom.  The time ran out during the attempt after the last
+      // submission.
+      this.model.emitCheckAnswer( false, 0, this.answerAtom, null, {
+        attempt: this.numSubmissionsProperty.get() + 1,
+        timeExpired: true
+      } );
+
+      if ( this.model.provideFeedbackProperty.get() ) {
+        this.challengeStateProperty.set( BAAChallengeState.TIME_EXPIRED );
+      }
+      else {
+        this.next();
+      }
+    },
+
+    /**
+     * Get the likely misconception behind a wrong answer.  Subclasses that ask for more than the particle counts
+     * should override this.
+     * @param {NumberAtom} submittedAtom
+     * @returns {string|null}
+     * @protected
+     */
+    getMisconception: function( submittedAtom ) {
+      return AnswerDiagnostics.getMisconception( this.challengeType, this.answerAtom, submittedAtom );
+    },
+
+    /**
+     * Get the proportion of the answer that is correct, used for partial credit.  Subclasses that ask for more than the
+     * particle counts should override this.
+     * @param {NumberAtom} submittedAtom
+     * @returns {number} - from 0 to 1
+     * @protected
+     */
+    getFractionCorrect: function( submittedAtom ) {
+      return AnswerDiagnostics.getFractionCorrect( this.challengeType, this.answerAtom, submittedAtom );
+    },
+
+    /**
+     * Get the hints for a hint level.  Subclasses that ask for more than the particle counts should override this.
+     * @param {number} hintLevel - 1 for the first hints, up to ChallengeHints.NUMBER_OF_HINT_LEVELS
+     * @returns {string[]}
+     * @public
+     */
+    getHints: function( hintLevel ) {
+      return ChallengeHints.getHints( this.challengeType, this.answerAtom, hintLevel );
+    },
+
     /**
      * @override
      */
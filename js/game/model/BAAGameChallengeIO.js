@@ -29,6 +29,9 @@ define( require => {
       return {
         pointValue: baaGameChallenge.pointValue,
         answerAtom: NumberAtomIO.toStateObject( baaGameChallenge.answerAtom ),
+        otherAtoms: baaGameChallenge.otherAtoms.map( function( otherAtom ) {
+          return NumberAtomIO.toStateObject( otherAtom );
+        } ),
         modelPhetioID: baaGameChallenge.model.tandem.phetioID,
         challengeType: baaGameChallenge.challengeType,
         phetioID: baaGameChallenge.tandem.phetioID,
@@ -52,14 +55,21 @@ define( require => {
 
       const model = phetioEngine.getPhetioObject( stateObject.modelPhetioID );
 
-      const answerAtom = new phet.shred.NumberAtom( {
-        protonCount: stateObject.answerAtom.protonCount,
-        neutronCount: stateObject.answerAtom.neutronCount,
-        electronCount: stateObject.answerAtom.electronCount
-      } );
+      const createNumberAtom = function( numberAtomStateObject ) {
+        return new phet.shred.NumberAtom( {
+          protonCount: numberAtomStateObject.protonCount,
+          neutronCount: numberAtomStateObject.neutronCount,
+          electronCount: numberAtomStateObject.electronCount
+        } );
+      };
+      const answerAtom = createNumberAtom( stateObject.answerAtom );
+
+      // state saved before challenges could have more than one atom has no otherAtoms
+      const otherAtoms = ( stateObject.otherAtoms || [] ).map( createNumberAtom );
       const tandem = new phet.tandem.Tandem( stateObject.phetioID );
 
-      return phet.buildAnAtom.ChallengeSetFactory.createChallenge( model, stateObject.challengeType, answerAtom, tandem );
+      return phet.buildAnAtom.ChallengeSetFactory.createChallenge( model, stateObject.challengeType, answerAtom, tandem,
+        otherAtoms );
     }
   }
 
@@ -15,11 +15,17 @@ define( require => {
   const BAAGameState = require( 'BUILD_AN_ATOM/game/model/BAAGameState' );
   const BAAGameStateIO = require( 'BUILD_AN_ATOM/game/model/BAAGameStateIO' );
   const BAAQueryParameters = require( 'BUILD_AN_ATOM/common/BAAQueryParameters' );
+  const BAASharedConstants = require( 'BUILD_AN_ATOM/common/BAASharedConstants' );
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ChallengePerformanceTracker = require( 'BUILD_AN_ATOM/game/model/ChallengePerformanceTracker' );
   const ChallengeSetFactory = require( 'BUILD_AN_ATOM/game/model/ChallengeSetFactory' );
+  const CustomChallengeParser = require( 'BUILD_AN_ATOM/game/model/CustomChallengeParser' );
   const Emitter = require( 'AXON/Emitter' );
+  const GameProgressStorage = require( 'BUILD_AN_ATOM/game/model/GameProgressStorage' );
+  const GameSessionLog = require( 'BUILD_AN_ATOM/game/model/GameSessionLog' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const LevelScoringScheme = require( 'BUILD_AN_ATOM/game/model/LevelScoringScheme' );
   const merge = require( 'PHET_CORE/merge' );
   const NumberAtom = require( 'SHRED/model/NumberAtom' );
   const NumberProperty = require( 'AXON/NumberProperty' );
@@ -27,12 +33,15 @@ define( require => {
   const PhetioObject = require( 'TANDEM/PhetioObject' );
   const Property = require( 'AXON/Property' );
   const PropertyIO = require( 'AXON/PropertyIO' );
-  const ShredConstants = require( 'SHRED/ShredConstants' );
+  const Random = require( 'DOT/Random' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // strings
+  const customChallengesFileErrorPatternString = require( 'string!BUILD_AN_ATOM/customChallengesFileErrorPattern' );
 
   // constants
   const CHALLENGES_PER_LEVEL = BAAQueryParameters.challengesPerLevel;
-  const POSSIBLE_POINTS_PER_CHALLENGE = 2;
-  const MAX_POINTS_PER_GAME_LEVEL = CHALLENGES_PER_LEVEL * POSSIBLE_POINTS_PER_CHALLENGE;
+  const SEEDS_PER_CHALLENGE_SEED = 1000; // each level gets its own seed, derived from the challenge seed, see startGameLevel
 
   /**
    * {Tandem} tandem
@@ -51,9 +60,10 @@ define( require => {
     // @private (phet-io), phet-io can set this value to customize which levels are presented
     this.allowedChallengeTypesByLevel = [
       [ 'schematic-to-element', 'counts-to-element' ],
-      [ 'counts-to-charge', 'counts-to-mass', 'schematic-to-charge', 'schematic-to-mass' ],
-      [ 'schematic-to-symbol-charge', 'schematic-to-symbol-mass-number', 'schematic-to-symbol-proton-count', 'counts-to-symbol-charge', 'counts-to-symbol-mass' ],
-      [ 'schematic-to-symbol-all', 'symbol-to-schematic', 'symbol-to-counts', 'counts-to-symbol-all' ]
+      [ 'counts-to-charge', 'counts-to-mass', 'schematic-to-charge', 'schematic-to-mass', 'schematics-to-relationship', 'schematics-to-more-neutrons' ],
+      [ 'schematic-to-symbol-charge', 'schematic-to-symbol-mass-number', 'schematic-to-symbol-proton-count', 'counts-to-symbol-charge', 'counts-to-symbol-mass', 'symbol-to-neutron-count' ],
+      [ 'schematic-to-symbol-all', 'symbol-to-schematic', 'symbol-to-counts', 'counts-to-symbol-all', 'isotope-notation-to-neutron-count', 'counts-to-hyphen-notation', 'hyphen-notation-to-counts', 'schematic-to-ion', 'symbols-to-relationship', 'symbols-to-more-neutrons' ],
+      [ 'counts-to-element', 'counts-to-charge', 'counts-to-mass', 'counts-to-symbol-all', 'symbol-to-counts', 'isotope-notation-to-neutron-count', 'counts-to-nuclide-notation', 'nuclide-notation-to-counts' ]
     ];
 
     // @public {Property.<BAAGameState>} - current state, each challenge is a unique state
@@ -93,6 +103,47 @@ define( require => {
     // @public (read-only) {Property.<number>}
     this.elapsedTimeProperty = new Property( 0 );
 
+    // @public (read-only) {LevelScoringScheme[]} - how challenges are scored on each level, see setLevelScoring
+    this.scoringSchemes = BAASharedConstants.LEVEL_NAMES.map( function( levelName, level ) {
+      return new LevelScoringScheme( {
+        maxAttempts: getValueForLevel( BAAQueryParameters.maxAttempts, level ),
+        pointsPerAttempt: BAAQueryParameters.pointsPerAttempt,
+        showAnswer: getValueForLevel( BAAQueryParameters.showAnswer, level )
+      } );
+    } );
+
+    // @public (read-only) {Property.<number>[]} - the maximum score for each level, which changes with the scoring, see
+    // getMaxPointsForLevel
+    this.maxPointsProperties = this.scoringSchemes.map( function( scoringScheme, level ) {
+      return new Property( self.getMaxPointsForLevel( level ) );
+    } );
+
+    // @public (phet-io) {Property.<boolean>} - whether partially correct answers get partial credit on the last attempt
+    this.partialCreditProperty = new BooleanProperty( BAAQueryParameters.partialCredit, {
+      tandem: tandem.createTandem( 'partialCreditProperty' )
+    } );
+
+    // @public {Property.<boolean>} - whether levels are started in practice mode, where there is no score, wrong answers
+    // unlock hints, and each challenge must be solved before going on to the next
+    this.practiceModeProperty = new BooleanProperty( BAAQueryParameters.practiceMode, {
+      tandem: tandem.createTandem( 'practiceModeProperty' )
+    } );
+
+    // @public (read-only) {boolean} - whether the level being played was started in practice mode
+    this.isPracticeLevel = false;
+
+    // @public (read-only) {Property.<number|null>} - seed for generating challenges, null to use the sim's random numbers,
+    // see setChallengeSeed
+    this.challengeSeedProperty = new Property( BAAQueryParameters.challengeSeed );
+
+    // @public (read-only) {number|null} - the challenge seed used to generate the current challenge set, null if the set
+    // wasn't generated from a seed
+    this.challengeSetSeed = null;
+
+    // @public (read-only) {Property.<number|null>} - seconds allowed for each challenge, null for no limit, see
+    // setChallengeTimeLimit
+    this.challengeTimeLimitProperty = new Property( BAAQueryParameters.challengeTimeLimit );
+
     // @public (phet-io) {Property.<boolean>} - enables a mode where no feedback is provided during the game
     this.provideFeedbackProperty = new BooleanProperty( true, {
       tandem: tandem.createTandem( 'provideFeedbackProperty' )
@@ -111,16 +162,19 @@ define( require => {
     this.scores = []; // Properties that track score at each game level
     this.bestTimeVisible = []; // Properties that track whether to show best time at each game level
     self.bestTimes = []; // Best times at each level.
-    _.times( ShredConstants.LEVEL_NAMES.length, function() {
+    _.times( BAASharedConstants.LEVEL_NAMES.length, function() {
       self.bestScores.push( new Property( 0 ) );
       self.scores.push( new Property( 0 ) );
       self.bestTimes.push( new Property( null ) );
       self.bestTimeVisible.push( new Property( false ) );
     } );
 
+    // @private - saves progress between sessions, see loadProgress
+    this.progressStorage = new GameProgressStorage( CHALLENGES_PER_LEVEL );
+
     this.timerEnabledProperty.lazyLink( function( timerEnabled ) {
-      for ( let i = 0; i < ShredConstants.LEVEL_NAMES.length; i++ ) {
-        self.bestTimeVisible[ i ].value = timerEnabled && self.scores[ i ].value === MAX_POINTS_PER_GAME_LEVEL;
+      for ( let i = 0; i < BAASharedConstants.LEVEL_NAMES.length; i++ ) {
+        self.bestTimeVisible[ i ].value = timerEnabled && self.scores[ i ].value === self.getMaxPointsForLevel( i );
       }
     } );
 
@@ -132,18 +186,50 @@ define( require => {
       parameters: [ { name: 'result', phetioType: ObjectIO } ]
     } );
 
+    // @public {Property.<boolean>} - whether generated challenges favor the challenge types and atoms that the player gets
+    // wrong
+    this.adaptiveDifficultyProperty = new BooleanProperty( BAAQueryParameters.adaptiveDifficulty, {
+      tandem: tandem.createTandem( 'adaptiveDifficultyProperty' )
+    } );
+
+    // @private - tracks the player's performance for the adaptive difficulty mode
+    this.performanceTracker = new ChallengePerformanceTracker( this.checkAnswerEmitter );
+
+    // @public (read-only) - log of the answers and completed levels, which can be exported as a report for teachers
+    this.sessionLog = new GameSessionLog( this.checkAnswerEmitter, this.levelCompletedEmitter );
+
     // @private
     this.challengeSetGroupTandem = tandem.createGroupTandem( 'challengeSets' );
 
     // @private {GroupTandem}
     this.numberAtomGroupTandem = tandem.createGroupTandem( 'numberAtoms' );// TODO: unify with tandem names in random challenge sets
 
-    // @private (phet-io) {Array.<Array.<BAAGameChallenge>} - when set by the PhET-iO API, these challenges will be
-    // used instead of randomly generated
-    this.predeterminedChallenges = [];
-    // @private (phet-io) {Array.<Array.<BAAGameChallenge>} - when set by the PhET-iO API, these challenges will
-    // be used instead of randomly generated
-    this.predeterminedChallenges = [];
+    // @private {Array.<Array.<Object>>} - when set by the PhET-iO API or by a custom challenge set, challenges are
+    // created from these specs instead of being randomly generated, see setChallenges
+    this.predeterminedChallengeSpecs = [];
+
+    // @public (read-only) {Property.<string[]>} - errors from the most recent attempt to load a custom challenge set
+    this.customChallengeErrorsProperty = new Property( [] );
+
+    // Restore any progress that was saved previously.  Progress is saved separately for each way of scoring and
+    // choosing the challenges, so it's restored again whenever these change.
+    this.loadProgressForAllLevels();
+    this.partialCreditProperty.lazyLink( function() { self.loadProgressForAllLevels(); } );
+    this.practiceModeProperty.lazyLink( function() { self.loadProgressForAllLevels(); } );
+
+    if ( BAAQueryParameters.customChallenges ) {
+      this.loadCustomChallengesFromFile( BAAQueryParameters.customChallenges );
+    }
+  }
+
+  /**
+   * Get the value of a query parameter that has either a single value for all levels or one value for each level.
+   * @param {Array.<*>} values
+   * @param {number} level
+   * @returns {*}
+   */
+  function getValueForLevel( values, level ) {
+    return values.length === 1 ? values[ 0 ] : values[ level ];
   }
 
   buildAnAtom.register( 'BAAGameModel', BAAGameModel );
@@ -173,20 +259,40 @@ define( require => {
     // Start a new game.
     // @private (StartGameLevelNode.js, phet-io)
     startGameLevel: function( levelName ) {
-      this.levelProperty.set( ShredConstants.MAP_LEVEL_NAME_TO_NUMBER( levelName ) );
+      assert && assert( BAASharedConstants.LEVEL_NAMES.indexOf( levelName ) >= 0, 'unknown level name: ' + levelName );
+      this.levelProperty.set( BAASharedConstants.LEVEL_NAMES.indexOf( levelName ) );
       this.challengeIndexProperty.set( 0 );
+      this.isPracticeLevel = this.practiceModeProperty.get();
 
       // TODO: Commented out due to problems related to phet-io, see https://github.com/phetsims/build-an-atom/issues/185
       // assert && assert( this.challengeSetProperty.get().length === 0, 'challenges should be cleared before starting a new game' );
 
-      // Use the predetermined challenges (if specified by phet-io) or generate a random challenge for the given level
-      const challengeSet = this.predeterminedChallenges[ this.levelProperty.get() ] || ChallengeSetFactory.generate(
-        this.levelProperty.get(),
-        CHALLENGES_PER_LEVEL,
-        this,
-        this.allowedChallengeTypesByLevel,
-        this.challengeSetGroupTandem.createNextTandem()
-      );
+      // Use the predetermined challenges (if specified by phet-io or a custom challenge set) or generate a random
+      // challenge set for the given level.  The challenges are created anew each time, since they are disposed when
+      // the game ends.
+      // When there is a challenge seed, each level gets its own seed so that a given seed and level always produce the
+      // same challenges, regardless of which levels were played before.
+      const levelSpecs = this.predeterminedChallengeSpecs[ this.levelProperty.get() ];
+      const challengeSeed = this.challengeSeedProperty.get();
+      let challengeSet;
+      if ( levelSpecs && levelSpecs.length > 0 ) {
+        challengeSet = this.createChallenges( levelSpecs );
+        this.challengeSetSeed = null;
+      }
+      else {
+        challengeSet = ChallengeSetFactory.generate(
+          this.levelProperty.get(),
+          CHALLENGES_PER_LEVEL,
+          this,
+          this.allowedChallengeTypesByLevel,
+          this.challengeSetGroupTandem.createNextTandem(),
+          challengeSeed === null ? phet.joist.random : new Random( {
+            seed: challengeSeed * SEEDS_PER_CHALLENGE_SEED + this.levelProperty.get()
+          } ),
+          this.adaptiveDifficultyProperty.get() ? this.performanceTracker : null
+        );
+        this.challengeSetSeed = challengeSeed;
+      }
       this.challengeSetProperty.set( challengeSet );
       this.scoreProperty.set( 0 );
       this.newBestTime = false;
@@ -220,27 +326,41 @@ define( require => {
         this.challengeIndexProperty.set( this.challengeIndexProperty.get() + 1 );
         this.stateProperty.set( this.challengeSetProperty.get()[ this.challengeIndexProperty.get() ] );
       }
+      else if ( this.isPracticeLevel ) {
+
+        // Practice levels aren't scored, so go straight back to choosing a level.
+        this.newGame();
+      }
       else {
-        // Game level completed - update score and state.
+        // Game level completed - update score and state.  The score is rounded in case it was set through PhET-iO,
+        // since it's compared with the maximum score below.
+        this.scoreProperty.set( LevelScoringScheme.roundPoints( this.scoreProperty.get() ) );
         if ( this.scoreProperty.get() > this.bestScores[ level ].value ) {
           this.bestScores[ level ].value = this.scoreProperty.get();
         }
-        if ( this.timerEnabledProperty.get() && this.scoreProperty.get() === MAX_POINTS_PER_GAME_LEVEL &&
+        const maxPoints = this.getMaxPointsForLevel( level );
+        if ( this.timerEnabledProperty.get() && this.scoreProperty.get() === maxPoints &&
              ( this.bestTimes[ level ].value === null || this.elapsedTimeProperty.get() < this.bestTimes[ level ].value ) ) {
           this.newBestTime = this.bestTimes[ level ].value !== null; // Don't set this flag for the first 'best time', only when the time improves.
           this.bestTimes[ level ].value = this.elapsedTimeProperty.get();
         }
 
-        if ( this.scoreProperty.get() === MAX_POINTS_PER_GAME_LEVEL && this.timerEnabledProperty.get() ) {
+        if ( this.scoreProperty.get() === maxPoints && this.timerEnabledProperty.get() ) {
           this.bestTimeVisible[ level ].value = true;
         }
 
         this.scores[ level ].value = this.scoreProperty.get();
+        this.progressStorage.save( level, this.getProgressVariant( level ), {
+          bestScore: this.bestScores[ level ].value,
+          score: this.scores[ level ].value,
+          bestTime: this.bestTimes[ level ].value
+        } );
 
         // When the game is complete, send notification that can be used by phet-io
         this.levelCompletedEmitter.emit( {
           level: level,
-          maxPoints: MAX_POINTS_PER_GAME_LEVEL,
+          score: this.scoreProperty.get(),
+          maxPoints: maxPoints,
           challenges: CHALLENGES_PER_LEVEL,
           timerEnabled: this.timerEnabledProperty.get(),
           elapsedTime: this.elapsedTimeProperty.get(),
@@ -256,6 +376,7 @@ define( require => {
     reset: function() {
       this.stateProperty.reset();
       this.timerEnabledProperty.reset();
+      this.practiceModeProperty.reset();
       this.levelProperty.reset();
       this.challengeSetProperty.reset();
       this.challengeIndexProperty.reset();
@@ -264,7 +385,10 @@ define( require => {
       this.bestScores.forEach( function( bestScoreProperty ) { bestScoreProperty.reset(); } );
       this.scores.forEach( function( scoreProperty ) { scoreProperty.reset(); } );
       this.bestTimes.forEach( function( bestTimeProperty ) { bestTimeProperty.reset(); } );
-      this.bestTimeVisible.push( function( bestTimeVisibleProperty ) { bestTimeVisibleProperty.reset(); } );
+      this.bestTimeVisible.forEach( function( bestTimeVisibleProperty ) { bestTimeVisibleProperty.reset(); } );
+      this.progressStorage.clear();
+      this.performanceTracker.reset();
+      this.sessionLog.reset();
     },
 
     // @public
@@ -284,36 +408,219 @@ define( require => {
     },
 
     /**
-     * Specify exact challenges (and ordering) for each level.
+     * Set the seed for generating challenges.  A given seed and level always produce the same challenges.
+     * @param {number|null} challengeSeed - an integer, or null to go back to unreproducible challenges
+     * @public (phet-io)
+     */
+    setChallengeSeed: function( challengeSeed ) {
+      if ( challengeSeed !== null && !Number.isInteger( challengeSeed ) ) {
+        throw new Error( 'invalid seed: ' + challengeSeed );
+      }
+      this.challengeSeedProperty.set( challengeSeed );
+    },
+
+    /**
+     * Set the time allowed for each challenge.  When the time runs out, the challenge is marked wrong.  Takes effect
+     * when a level is next started.
+     * @param {number|null} timeLimit - in seconds, or null for no limit
+     * @public (phet-io)
+     */
+    setChallengeTimeLimit: function( timeLimit ) {
+      assert && assert( timeLimit === null || timeLimit > 0, 'invalid time limit: ' + timeLimit );
+      this.challengeTimeLimitProperty.set( timeLimit );
+    },
+
+    /**
+     * Set how challenges are scored on a level.  This can be called through PhET-iO, so the arguments are checked even
+     * when assertions are off.
+     * @param {number} level
+     * @param {Object} [options] - see LevelScoringScheme
+     * @public (phet-io)
+     */
+    setLevelScoring: function( level, options ) {
+      if ( !Number.isInteger( level ) || level < 0 || level >= BAASharedConstants.LEVEL_NAMES.length ) {
+        throw new Error( 'invalid level: ' + level );
+      }
+      if ( options !== undefined && ( typeof options !== 'object' || options === null || Array.isArray( options ) ) ) {
+        throw new Error( 'invalid options: ' + options );
+      }
+      options = options || {};
+      const unknownKeys = _.difference( _.keys( options ), [ 'maxAttempts', 'pointsPerAttempt', 'showAnswer' ] );
+      if ( unknownKeys.length > 0 ) {
+        throw new Error( 'unknown scoring options: ' + unknownKeys.join( ', ' ) );
+      }
+      if ( options.maxAttempts !== undefined && !( Number.isInteger( options.maxAttempts ) && options.maxAttempts > 0 ) ) {
+        throw new Error( 'invalid maxAttempts: ' + options.maxAttempts );
+      }
+      const isValidPoints = function( points ) {
+        return typeof points === 'number' && isFinite( points ) && points >= 0;
+      };
+      if ( options.pointsPerAttempt !== undefined &&
+           !( Array.isArray( options.pointsPerAttempt ) && _.every( options.pointsPerAttempt, isValidPoints ) ) ) {
+        throw new Error( 'invalid pointsPerAttempt: ' + options.pointsPerAttempt );
+      }
+      if ( options.showAnswer !== undefined && typeof options.showAnswer !== 'boolean' ) {
+        throw new Error( 'invalid showAnswer: ' + options.showAnswer );
+      }
+      this.scoringSchemes[ level ] = new LevelScoringScheme( options );
+      this.maxPointsProperties[ level ].set( this.getMaxPointsForLevel( level ) );
+      this.loadProgress( level );
+    },
+
+    /**
+     * @param {number} level
+     * @returns {number} - the score for answering every challenge on the level correctly on the first attempt
+     * @public
+     */
+    getMaxPointsForLevel: function( level ) {
+      return LevelScoringScheme.roundPoints( CHALLENGES_PER_LEVEL * this.scoringSchemes[ level ].getMaxPointsPerChallenge() );
+    },
+
+    /**
+     * Specify exact challenges (and ordering) for each level.  Levels whose list of challenges is missing or empty use
+     * randomly generated challenges.
      * @param {Array.<Array.<Object>>} challengeSpecsForLevels
      * @public (phet-io)
      */
     setChallenges: function( challengeSpecsForLevels ) {
+      this.predeterminedChallengeSpecs = challengeSpecsForLevels;
+      this.loadProgressForAllLevels();
+    },
+
+    /**
+     * Set the best score, score and best time for a level to the progress that was saved for the way the level is
+     * currently scored and its challenges chosen, or clear them if nothing was saved.
+     * @param {number} level
+     * @private
+     */
+    loadProgress: function( level ) {
+      const progress = this.progressStorage.load( level, this.getProgressVariant( level ) );
+      this.bestScores[ level ].value = progress ? progress.bestScore : 0;
+      this.scores[ level ].value = progress ? progress.score : 0;
+      this.bestTimes[ level ].value = progress ? progress.bestTime : null;
+      this.bestTimeVisible[ level ].value = this.timerEnabledProperty.get() &&
+                                            this.scores[ level ].value === this.getMaxPointsForLevel( level );
+    },
+
+    // @private
+    loadProgressForAllLevels: function() {
+      for ( let level = 0; level < BAASharedConstants.LEVEL_NAMES.length; level++ ) {
+        this.loadProgress( level );
+      }
+    },
+
+    /**
+     * Get a string that identifies how a level is scored and where its challenges come from.  Scores are only
+     * comparable when these are the same, so progress is saved separately for each.
+     * @param {number} level
+     * @returns {string}
+     * @private
+     */
+    getProgressVariant: function( level ) {
+      const scoringScheme = this.scoringSchemes[ level ];
+      const levelSpecs = this.predeterminedChallengeSpecs[ level ];
+      return [
+        'maxAttempts' + scoringScheme.maxAttempts,
+        'pointsPerAttempt' + scoringScheme.pointsPerAttempt.join( '_' ),
+        this.partialCreditProperty.get() ? 'partialCredit' : 'noPartialCredit',
+        levelSpecs && levelSpecs.length > 0 ? 'predeterminedChallenges' : 'generatedChallenges',
+        this.practiceModeProperty.get() ? 'practice' : 'scored'
+      ].join( '.' );
+    },
+
+    /**
+     * @param {Array.<Object>} levelSpecs
+     * @returns {Array.<BAAGameChallenge>}
+     * @private
+     */
+    createChallenges: function( levelSpecs ) {
       const self = this;
-      this.predeterminedChallenges = challengeSpecsForLevels.map( function( levelSpec ) {
-        return levelSpec.map( function( challengeSpec ) {
-          return ChallengeSetFactory.createChallenge( self, challengeSpec.challengeType, new NumberAtom( {
-            protonCount: challengeSpec.numberAtom.protonCount,
-            neutronCount: challengeSpec.numberAtom.neutronCount,
-            electronCount: challengeSpec.numberAtom.electronCount,
-            tandem: self.numberAtomGroupTandem.createNextTandem()
-          } ), self.challengeSetGroupTandem.createNextTandem() );
+      const createNumberAtom = function( numberAtomSpec ) {
+        return new NumberAtom( {
+          protonCount: numberAtomSpec.protonCount,
+          neutronCount: numberAtomSpec.neutronCount,
+          electronCount: numberAtomSpec.electronCount,
+          tandem: self.numberAtomGroupTandem.createNextTandem()
         } );
+      };
+      return levelSpecs.map( function( challengeSpec ) {
+        return ChallengeSetFactory.createChallenge(
+          self,
+          challengeSpec.challengeType,
+          createNumberAtom( challengeSpec.numberAtom ),
+          self.challengeSetGroupTandem.createNextTandem(),
+          ( challengeSpec.otherNumberAtoms || [] ).map( createNumberAtom )
+        );
       } );
     },
 
-    // @public
+    /**
+     * Use a custom challenge set, which is the non-PhET-iO way to specify the challenges.  If the set isn't valid, the
+     * challenges are unchanged and the reasons are available in customChallengeErrorsProperty.
+     * @param {string} json - see CustomChallengeParser for the format
+     * @returns {boolean} - true if the challenge set was valid
+     * @public
+     */
+    loadCustomChallenges: function( json ) {
+      const result = CustomChallengeParser.parse( json, CHALLENGES_PER_LEVEL );
+      if ( result.challengeSpecsForLevels ) {
+        this.setChallenges( result.challengeSpecsForLevels );
+      }
+      this.customChallengeErrorsProperty.set( result.errors );
+      return result.errors.length === 0;
+    },
+
+    /**
+     * Load a custom challenge set from a file.  Loading is asynchronous, and failures are reported through
+     * customChallengeErrorsProperty.
+     * @param {string} url
+     * @private
+     */
+    loadCustomChallengesFromFile: function( url ) {
+      const self = this;
+      const request = new XMLHttpRequest();
+      const reportFileError = function() {
+        self.customChallengeErrorsProperty.set( [ StringUtils.format( customChallengesFileErrorPatternString, url ) ] );
+      };
+      request.onload = function() {
+
+        // status is 0 for files loaded from the file system
+        if ( request.status === 200 || request.status === 0 ) {
+          self.loadCustomChallenges( request.responseText );
+        }
+        else {
+          reportFileError();
+        }
+      };
+      request.onerror = reportFileError;
+      request.open( 'GET', url );
+      request.send();
+    },
+
+    /**
+     * @param {boolean} isCorrect
+     * @param {number} points
+     * @param {NumberAtom} answerAtom
+     * @param {NumberAtom|null} submittedAtom - null if nothing was submitted because the time ran out, or for challenges
+     * whose answer isn't an atom, see AtomComparisonChallenge
+     * @param {Object} [extension] - additional fields for the message
+     * @public
+     */
     emitCheckAnswer: function( isCorrect, points, answerAtom, submittedAtom, extension ) {
+      const challenge = this.stateProperty.get();
       const arg = {
         isCorrect: isCorrect,
+        level: this.levelProperty.get(),
+        challengeType: challenge.challengeType,
+        attempt: challenge.numSubmissionsProperty.get(),
 
         correctProtonCount: answerAtom.protonCountProperty.get(),
         correctNeutronCount: answerAtom.neutronCountProperty.get(),
         correctElectronCount: answerAtom.electronCountProperty.get(),
 
-        submittedProtonCount: submittedAtom.protonCountProperty.get(),
-        submittedNeutronCount: submittedAtom.neutronCountProperty.get(),
-        submittedElectronCount: submittedAtom.electronCountProperty.get(),
+        submittedProtonCount: submittedAtom ? submittedAtom.protonCountProperty.get() : null,
+        submittedNeutronCount: submittedAtom ? submittedAtom.neutronCountProperty.get() : null,
+        submittedElectronCount: submittedAtom ? submittedAtom.electronCountProperty.get() : null,
 
         points: points
       };
@@ -322,7 +629,6 @@ define( require => {
   }, {
 
     // statics
-    MAX_POINTS_PER_GAME_LEVEL: MAX_POINTS_PER_GAME_LEVEL,
     CHALLENGES_PER_LEVEL: CHALLENGES_PER_LEVEL
   } );
 } );
@@ -12,6 +12,8 @@ define( require => {
   // modules
   const ArrayIO = require( 'TANDEM/types/ArrayIO' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const NullableIO = require( 'TANDEM/types/NullableIO' );
+  const NumberIO = require( 'TANDEM/types/NumberIO' );
   const ObjectIO = require( 'TANDEM/types/ObjectIO' );
   const StringIO = require( 'TANDEM/types/StringIO' );
   const VoidIO = require( 'TANDEM/types/VoidIO' );
@@ -36,7 +38,42 @@ define( require => {
       implementation: function( levelType ) {
         this.phetioObject.startGameLevel( levelType );
       },
-      documentation: 'Start one of the following games: periodic-table-game, mass-and-charge-game, symbol-game, advanced-symbol-game',
+      documentation: 'Start one of the following games: periodic-table-game, mass-and-charge-game, symbol-game, advanced-symbol-game, expert-game',
+      invocableForReadOnlyElements: false
+    },
+
+    setChallengeSeed: {
+      returnType: VoidIO,
+      parameterTypes: [ NullableIO( NumberIO ) ],
+      implementation: function( challengeSeed ) {
+        this.phetioObject.setChallengeSeed( challengeSeed );
+      },
+      documentation: 'Set an integer seed for generating the challenges, so that a given seed and level always produce ' +
+                     'the same challenges, or null to go back to challenges that are different every time',
+      invocableForReadOnlyElements: false
+    },
+
+    setChallengeTimeLimit: {
+      returnType: VoidIO,
+      parameterTypes: [ NumberIO ],
+      implementation: function( timeLimit ) {
+        this.phetioObject.setChallengeTimeLimit( timeLimit > 0 ? timeLimit : null );
+      },
+      documentation: 'Set the number of seconds allowed for each challenge, or 0 for no limit.  When the time runs ' +
+                     'out, the challenge is marked wrong.  Takes effect when a level is next started.',
+      invocableForReadOnlyElements: false
+    },
+
+    setLevelScoring: {
+      returnType: VoidIO,
+      parameterTypes: [ NumberIO, ObjectIO ],
+      implementation: function( level, options ) {
+        this.phetioObject.setLevelScoring( level, options );
+      },
+      documentation: 'Set how challenges are scored on a level (0-based).  The options are maxAttempts (number of ' +
+                     'attempts per challenge), pointsPerAttempt (points for a correct answer on each attempt, e.g. ' +
+                     '[ 2, 1 ]) and showAnswer (whether the answer can be shown after the attempts are used up).  ' +
+                     'Takes effect when the level is next started.',
       invocableForReadOnlyElements: false
     },
 
@@ -63,9 +100,10 @@ define( require => {
       invocableForReadOnlyElements: false
       // The default value is [
       //    [ 'schematic-to-element', 'counts-to-element' ],
-      //    [ 'counts-to-charge', 'counts-to-mass', 'schematic-to-charge', 'schematic-to-mass' ],
-      //    [ 'schematic-to-symbol-charge', 'schematic-to-symbol-mass-number', 'schematic-to-symbol-proton-count', 'counts-to-symbol-charge', 'counts-to-symbol-mass' ],
-      //    [ 'schematic-to-symbol-all', 'symbol-to-schematic', 'symbol-to-counts', 'counts-to-symbol-all' ]
+      //    [ 'counts-to-charge', 'counts-to-mass', 'schematic-to-charge', 'schematic-to-mass', 'schematics-to-relationship', 'schematics-to-more-neutrons' ],
+      //    [ 'schematic-to-symbol-charge', 'schematic-to-symbol-mass-number', 'schematic-to-symbol-proton-count', 'counts-to-symbol-charge', 'counts-to-symbol-mass', 'symbol-to-neutron-count' ],
+      //    [ 'schematic-to-symbol-all', 'symbol-to-schematic', 'symbol-to-counts', 'counts-to-symbol-all', 'isotope-notation-to-neutron-count', 'counts-to-hyphen-notation', 'hyphen-notation-to-counts', 'schematic-to-ion', 'symbols-to-relationship', 'symbols-to-more-neutrons' ],
+      //    [ 'counts-to-element', 'counts-to-charge', 'counts-to-mass', 'counts-to-symbol-all', 'symbol-to-counts', 'isotope-notation-to-neutron-count', 'counts-to-nuclide-notation', 'nuclide-notation-to-counts' ]
       //  ]
     }
   };
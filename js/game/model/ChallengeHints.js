@@ -0,0 +1,115 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Static functions for the hints that are given after wrong answers in the game's practice mode.  The hints are
+ * progressive: the first level explains how to work out each quantity asked for by a challenge, and the second level
+ * points out the particular numbers to use for the atom in the challenge.
+ *
+ * The quantities are identified by the same fields as in AnswerDiagnostics.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AnswerDiagnostics = require( 'BUILD_AN_ATOM/game/model/AnswerDiagnostics' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // strings
+  const chargeDetailHintPatternString = require( 'string!BUILD_AN_ATOM/chargeDetailHintPattern' );
+  const chargeHintString = require( 'string!BUILD_AN_ATOM/chargeHint' );
+  const electronCountDetailHintPatternString = require( 'string!BUILD_AN_ATOM/electronCountDetailHintPattern' );
+  const electronCountHintString = require( 'string!BUILD_AN_ATOM/electronCountHint' );
+  const massNumberDetailHintPatternString = require( 'string!BUILD_AN_ATOM/massNumberDetailHintPattern' );
+  const massNumberHintString = require( 'string!BUILD_AN_ATOM/massNumberHint' );
+  const neutronCountDetailHintPatternString = require( 'string!BUILD_AN_ATOM/neutronCountDetailHintPattern' );
+  const neutronCountHintString = require( 'string!BUILD_AN_ATOM/neutronCountHint' );
+  const protonCountDetailHintString = require( 'string!BUILD_AN_ATOM/protonCountDetailHint' );
+  const protonCountHintString = require( 'string!BUILD_AN_ATOM/protonCountHint' );
+
+  // constants
+  const NUMBER_OF_HINT_LEVELS = 2;
+
+  // Functions for each field that return the hint for each hint level, given the correct atom.
+  const HINTS = {
+    protonCount: [
+      function() {
+        return protonCountHintString;
+      },
+      function() {
+        return protonCountDetailHintString;
+      }
+    ],
+    massNumber: [
+      function() {
+        return massNumberHintString;
+      },
+      function( answer ) {
+        return StringUtils.format( massNumberDetailHintPatternString,
+          answer.protonCountProperty.get(), answer.neutronCountProperty.get() );
+      }
+    ],
+    neutronCount: [
+      function() {
+        return neutronCountHintString;
+      },
+      function( answer ) {
+        return StringUtils.format( neutronCountDetailHintPatternString,
+          answer.massNumberProperty.get(), answer.protonCountProperty.get() );
+      }
+    ],
+    electronCount: [
+      function() {
+        return electronCountHintString;
+      },
+      function( answer ) {
+        return StringUtils.format( electronCountDetailHintPatternString,
+          answer.protonCountProperty.get(), answer.chargeProperty.get() );
+      }
+    ],
+    charge: [
+      function() {
+        return chargeHintString;
+      },
+      function( answer ) {
+        return ChallengeHints.getChargeDetailHint( answer );
+      }
+    ]
+  };
+
+  // No constructor, not meant to be instantiated.
+  const ChallengeHints = {
+
+    // the number of hints that can be unlocked for a challenge
+    NUMBER_OF_HINT_LEVELS: NUMBER_OF_HINT_LEVELS,
+
+    /**
+     * Get the hints for a hint level, one for each quantity that the challenge type asks for.
+     * @param {string} challengeType
+     * @param {NumberAtom} answerAtom
+     * @param {number} hintLevel - 1 for the first hints
+     * @returns {string[]}
+     * @public
+     */
+    getHints: function( challengeType, answerAtom, hintLevel ) {
+      assert && assert( hintLevel >= 1 && hintLevel <= NUMBER_OF_HINT_LEVELS, 'invalid hint level: ' + hintLevel );
+      return AnswerDiagnostics.getFields( challengeType ).map( function( field ) {
+        return HINTS[ field ][ hintLevel - 1 ]( answerAtom );
+      } );
+    },
+
+    /**
+     * @param {NumberAtom} answerAtom
+     * @returns {string} - a hint that gives the numbers of protons and electrons, which determine the charge
+     * @public
+     */
+    getChargeDetailHint: function( answerAtom ) {
+      return StringUtils.format( chargeDetailHintPatternString,
+        answerAtom.protonCountProperty.get(), answerAtom.electronCountProperty.get() );
+    }
+  };
+
+  buildAnAtom.register( 'ChallengeHints', ChallengeHints );
+
+  return ChallengeHints;
+} );
@@ -0,0 +1,103 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Type that tracks how well the player is doing on each challenge type and which atoms they have gotten wrong, based
+ * on the results of checking answers.  This is used by the adaptive difficulty mode to choose more challenges of the
+ * types and atoms that the player is having trouble with.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+
+  /**
+   * @param {Emitter} checkAnswerEmitter - emits the result of each answer that is checked, see BAAGameModel.emitCheckAnswer
+   * @constructor
+   */
+  function ChallengePerformanceTracker( checkAnswerEmitter ) {
+
+    const self = this;
+
+    // @private {Object.<string, {correct: number, incorrect: number}>} - keyed by challenge type
+    this.resultsByChallengeType = {};
+
+    // @private {Object.<string, boolean>} - atoms that were answered incorrectly and haven't been answered correctly
+    // since, keyed by their particle counts
+    this.missedAtomValues = {};
+
+    checkAnswerEmitter.addListener( function( result ) {
+      self.recordAnswer( result );
+    } );
+  }
+
+  /**
+   * @param {number} protonCount
+   * @param {number} neutronCount
+   * @param {number} electronCount
+   * @returns {string}
+   */
+  function getAtomKey( protonCount, neutronCount, electronCount ) {
+    return protonCount + ',' + neutronCount + ',' + electronCount;
+  }
+
+  buildAnAtom.register( 'ChallengePerformanceTracker', ChallengePerformanceTracker );
+
+  return inherit( Object, ChallengePerformanceTracker, {
+
+    /**
+     * @param {Object} result - the object emitted by BAAGameModel.checkAnswerEmitter
+     * @private
+     */
+    recordAnswer: function( result ) {
+      if ( !this.resultsByChallengeType[ result.challengeType ] ) {
+        this.resultsByChallengeType[ result.challengeType ] = { correct: 0, incorrect: 0 };
+      }
+      const challengeTypeResults = this.resultsByChallengeType[ result.challengeType ];
+      const atomKey = getAtomKey( result.correctProtonCount, result.correctNeutronCount, result.correctElectronCount );
+      if ( result.isCorrect ) {
+        challengeTypeResults.correct++;
+        delete this.missedAtomValues[ atomKey ];
+      }
+      else {
+        challengeTypeResults.incorrect++;
+        this.missedAtomValues[ atomKey ] = true;
+      }
+    },
+
+    /**
+     * Get the proportion of answers for a challenge type that were wrong.  The proportion is smoothed so that types
+     * that haven't been answered count as half wrong, and a single answer doesn't count as all right or all wrong.
+     * @param {string} challengeType
+     * @returns {number} - between 0 and 1
+     * @public
+     */
+    getErrorRate: function( challengeType ) {
+      const results = this.resultsByChallengeType[ challengeType ] || { correct: 0, incorrect: 0 };
+      return ( results.incorrect + 1 ) / ( results.correct + results.incorrect + 2 );
+    },
+
+    /**
+     * Get whether an atom was answered incorrectly and hasn't been answered correctly since.
+     * @param {NumberAtom} numberAtom
+     * @returns {boolean}
+     * @public
+     */
+    isMissedAtomValue: function( numberAtom ) {
+      return !!this.missedAtomValues[ getAtomKey(
+        numberAtom.protonCountProperty.get(),
+        numberAtom.neutronCountProperty.get(),
+        numberAtom.electronCountProperty.get()
+      ) ];
+    },
+
+    /**
+     * @public
+     */
+    reset: function() {
+      this.resultsByChallengeType = {};
+      this.missedAtomValues = {};
+    }
+  } );
+} );
@@ -10,22 +10,38 @@ define( require => {
   'use strict';
 
   // modules
+  const AtomComparisonChallenge = require( 'BUILD_AN_ATOM/game/model/AtomComparisonChallenge' );
+  const AtomComparisonQuestion = require( 'BUILD_AN_ATOM/game/model/AtomComparisonQuestion' );
   const AtomValuePool = require( 'BUILD_AN_ATOM/game/model/AtomValuePool' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
   const CountsToChargeChallenge = require( 'BUILD_AN_ATOM/game/model/CountsToChargeChallenge' );
   const CountsToElementChallenge = require( 'BUILD_AN_ATOM/game/model/CountsToElementChallenge' );
   const CountsToMassNumberChallenge = require( 'BUILD_AN_ATOM/game/model/CountsToMassNumberChallenge' );
+  const CountsToNotationChallenge = require( 'BUILD_AN_ATOM/game/model/CountsToNotationChallenge' );
   const CountsToSymbolChallenge = require( 'BUILD_AN_ATOM/game/model/CountsToSymbolChallenge' );
+  const IsotopeNotation = require( 'BUILD_AN_ATOM/game/model/IsotopeNotation' );
+  const IsotopeNotationToNeutronCountChallenge = require( 'BUILD_AN_ATOM/game/model/IsotopeNotationToNeutronCountChallenge' );
+  const NotationToCountsChallenge = require( 'BUILD_AN_ATOM/game/model/NotationToCountsChallenge' );
+  const NumberAtom = require( 'SHRED/model/NumberAtom' );
   const SchematicToChargeChallenge = require( 'BUILD_AN_ATOM/game/model/SchematicToChargeChallenge' );
   const SchematicToElementChallenge = require( 'BUILD_AN_ATOM/game/model/SchematicToElementChallenge' );
+  const SchematicToIonChallenge = require( 'BUILD_AN_ATOM/game/model/SchematicToIonChallenge' );
   const SchematicToMassNumberChallenge = require( 'BUILD_AN_ATOM/game/model/SchematicToMassNumberChallenge' );
   const SchematicToSymbolChallenge = require( 'BUILD_AN_ATOM/game/model/SchematicToSymbolChallenge' );
   const SymbolToCountsChallenge = require( 'BUILD_AN_ATOM/game/model/SymbolToCountsChallenge' );
+  const SymbolToNeutronCountChallenge = require( 'BUILD_AN_ATOM/game/model/SymbolToNeutronCountChallenge' );
   const SymbolToSchematicChallenge = require( 'BUILD_AN_ATOM/game/model/SymbolToSchematicChallenge' );
 
   // constants
   const MAX_PROTON_NUMBER_FOR_SCHEMATIC_PROBS = 3; // Disallow schematic (Bohr model) probs above this size.
 
+  // Ion challenges only change the electrons, so they allow larger atoms, up to the number of particles of each type that
+  // a BuildAnAtomModel has.
+  const MAX_PROTON_NUMBER_FOR_ION_PROBS = 10;
+
+  // In adaptive mode, the probability that an atom the player previously got wrong is reused, when one is available.
+  const MISSED_ATOM_PROBABILITY = 0.5;
+
   // No constructor, not meant to be instantiated.
   const ChallengeSetFactory = {};
 
@@ -37,16 +53,24 @@ define( require => {
    * @param {BAAGameModel} model
    * @param {string[][]} allowedChallengeTypesByLevel
    * @param {Tandem} tandem
+   * @param {Random} [random] - source of random numbers, pass a seeded one to get a reproducible challenge set
+   * @param {ChallengePerformanceTracker|null} [performanceTracker] - if provided, the challenges are adapted to the
+   * player's performance.  Each allowed challenge type is still used once before any type is repeated, but the types
+   * that the player gets wrong most often are favored when choosing among the types not yet used, and atoms that the
+   * player got wrong are reused.
    */
-  ChallengeSetFactory.generate = function( level, numChallenges, model, allowedChallengeTypesByLevel, tandem ) {
+  ChallengeSetFactory.generate = function( level, numChallenges, model, allowedChallengeTypesByLevel, tandem, random,
+                                           performanceTracker ) {
     this.challenges = [];
     this._previousChallengeType = null;
     this._availableChallengeTypes = [];
+    this._random = random || phet.joist.random;
+    this._performanceTracker = performanceTracker || null;
     const groupTandem = tandem.createGroupTandem( 'challenges' );
 
     // Create a pool of all atom values that can be used to create challenges
     // for the challenge set.
-    const atomValueList = new AtomValuePool( level );
+    const atomValueList = new AtomValuePool( level, this._random );
 
     // Now add challenges to the challenge set based on the atom values and the
     // challenge types associated with this level.
@@ -74,20 +98,31 @@ define( require => {
   ChallengeSetFactory._generateChallenge = function( level, availableAtomValues, model, allowedChallengeTypesByLevel, tandem ) {
 
     if ( this._availableChallengeTypes.length === 0 ) {
+
       // Reload the list of available challenges with all possible challenge
       // types for the current level.
       this._availableChallengeTypes = allowedChallengeTypesByLevel[ level ].slice();
     }
 
-    // Randomly pick a challenge type, but make sure that it isn't the same
-    // as the previous challenge type.
-    let index = Math.floor( phet.joist.random.nextDouble() * ( this._availableChallengeTypes.length ) );
-    if ( this._previousChallengeType !== null && this._availableChallengeTypes.get( index ) === this._previousChallengeType ) {
-      // This is the same as the previous prob type, so choose a different one.
-      index = ( index + 1 ) % this._availableChallengeTypes.length;
+    let challengeType;
+    if ( this._performanceTracker ) {
+
+      // Favor the types that the player has the most trouble with.  A challenge set usually has fewer challenges than
+      // there are types for the level, so this is what puts the weak types in the set.
+      challengeType = this._pickWeakChallengeType( this._availableChallengeTypes );
+    }
+    else {
+
+      // Randomly pick a challenge type, but make sure that it isn't the same
+      // as the previous challenge type.
+      let index = Math.floor( this._random.nextDouble() * ( this._availableChallengeTypes.length ) );
+      if ( this._previousChallengeType !== null && this._availableChallengeTypes[ index ] === this._previousChallengeType ) {
+        // This is the same as the previous prob type, so choose a different one.
+        index = ( index + 1 ) % this._availableChallengeTypes.length;
+      }
+      challengeType = this._availableChallengeTypes[ index ];
     }
-    const challengeType = this._availableChallengeTypes[ index ];
-    this.previousChallengeType = challengeType;
+    this._previousChallengeType = challengeType;
 
     // Remove the chosen type from the list.  By doing this, we present
     // the user with all different challenge types before starting again.
@@ -98,7 +133,10 @@ define( require => {
     let minProtonCount = 0;
     let maxProtonCount = Number.POSITIVE_INFINITY;
     let requireCharged = false;
-    if ( this._isSchematicProbType( challengeType ) ) {
+    if ( challengeType === 'schematic-to-ion' ) {
+      maxProtonCount = MAX_PROTON_NUMBER_FOR_ION_PROBS + 1; // the maximum is exclusive
+    }
+    else if ( this._isSchematicProbType( challengeType ) ) {
       maxProtonCount = MAX_PROTON_NUMBER_FOR_SCHEMATIC_PROBS;
     }
     else {
@@ -108,11 +146,104 @@ define( require => {
 
       // If the challenge is asking about the charge, at least 50% of the
       // time we want a charged atom.
-      requireCharged = phet.joist.random.nextBoolean();
+      requireCharged = this._random.nextBoolean();
     }
-    const atomValue = availableAtomValues.getRandomAtomValue( minProtonCount, maxProtonCount, requireCharged );
+    else if ( challengeType === 'schematic-to-ion' ) {
+
+      // The neutral atom that the user starts with has to be turned into an ion.
+      requireCharged = true;
+    }
+    const performanceTracker = this._performanceTracker;
+    const isPreferred = performanceTracker && this._random.nextDouble() < MISSED_ATOM_PROBABILITY ?
+                        function( numberAtom ) { return performanceTracker.isMissedAtomValue( numberAtom ); } :
+                        null;
+    const atomValue = availableAtomValues.getRandomAtomValue( minProtonCount, maxProtonCount, requireCharged, isPreferred );
     availableAtomValues.markAtomAsUsed( atomValue );
-    return this.createChallenge( model, challengeType, atomValue, tandem );
+    const otherAtomValues = [];
+    if ( this._isComparisonProbType( challengeType ) ) {
+      const otherAtomValue = this._getComparisonAtomValue( challengeType, atomValue, availableAtomValues, minProtonCount,
+        maxProtonCount );
+      availableAtomValues.markAtomAsUsed( otherAtomValue );
+      otherAtomValues.push( otherAtomValue );
+    }
+    return this.createChallenge( model, challengeType, atomValue, tandem, otherAtomValues );
+  };
+
+  /**
+   * Pick the second atom for a challenge that compares two atoms.  Each answer to the challenge's question is about
+   * equally likely, as far as the available atoms allow.
+   *
+   * @param {string} challengeType
+   * @param {NumberAtom} atomValue - the first atom
+   * @param {AtomValuePool} availableAtomValues
+   * @param {number} minProtonCount
+   * @param {number} maxProtonCount
+   * @returns {NumberAtom} - an atom that isn't the same as the first atom
+   * @private
+   */
+  ChallengeSetFactory._getComparisonAtomValue = function( challengeType, atomValue, availableAtomValues, minProtonCount,
+                                                          maxProtonCount ) {
+    const protonCount = atomValue.protonCountProperty.get();
+    const neutronCount = atomValue.neutronCountProperty.get();
+    const electronCount = atomValue.electronCountProperty.get();
+    const answerTests = challengeType.indexOf( 'relationship' ) !== -1 ? [
+      function( numberAtom ) {
+        return numberAtom.protonCountProperty.get() !== protonCount;
+      },
+      function( numberAtom ) {
+        return numberAtom.protonCountProperty.get() === protonCount && numberAtom.neutronCountProperty.get() !== neutronCount;
+      },
+      function( numberAtom ) {
+        return numberAtom.protonCountProperty.get() === protonCount && numberAtom.neutronCountProperty.get() === neutronCount &&
+               numberAtom.electronCountProperty.get() !== electronCount;
+      }
+    ] : [
+      function( numberAtom ) {
+        return numberAtom.neutronCountProperty.get() > neutronCount;
+      },
+      function( numberAtom ) {
+        return numberAtom.neutronCountProperty.get() < neutronCount;
+      },
+      function( numberAtom ) {
+        return numberAtom.neutronCountProperty.get() === neutronCount && !numberAtom.equals( atomValue );
+      }
+    ];
+    const hasAnswer = answerTests[ Math.floor( this._random.nextDouble() * answerTests.length ) ];
+    const otherAtomValue = availableAtomValues.getRandomAtomValue( minProtonCount, maxProtonCount, false, hasAnswer );
+    if ( !otherAtomValue.equals( atomValue ) ) {
+      return otherAtomValue;
+    }
+
+    // No suitable atom is available, so compare the atom with an ion of itself.
+    return new NumberAtom( {
+      protonCount: protonCount,
+      neutronCount: neutronCount,
+      electronCount: electronCount > 0 ? electronCount - 1 : electronCount + 1
+    } );
+  };
+
+  /**
+   * Randomly pick a challenge type, with the probability of each type proportional to how often the player gets it
+   * wrong.  The previous challenge type isn't repeated unless it is the only one.
+   *
+   * @param {string[]} challengeTypes
+   * @returns {string}
+   * @private
+   */
+  ChallengeSetFactory._pickWeakChallengeType = function( challengeTypes ) {
+    const self = this;
+    const candidates = challengeTypes.length > 1 ? _.without( challengeTypes, this._previousChallengeType ) : challengeTypes;
+    const weights = candidates.map( function( challengeType ) {
+      return self._performanceTracker.getErrorRate( challengeType );
+    } );
+    let remainingWeight = this._random.nextDouble() * _.sum( weights );
+    for ( let i = 0; i < candidates.length - 1; i++ ) {
+      remainingWeight -= weights[ i ];
+      if ( remainingWeight < 0 ) {
+        return candidates[ i ];
+      }
+    }
+    return candidates[ candidates.length - 1 ];
   };
 
   /**
@@ -123,10 +254,11 @@ define( require => {
    * @param {string} challengeType // TODO: change to enum
    * @param {NumberAtom} atomValue
    * @param {Tandem} tandem
+   * @param {NumberAtom[]} [otherAtomValues] - the other atoms for challenges that compare atoms
    * @returns {BAAGameChallenge}
    * @public
    */
-  ChallengeSetFactory.createChallenge = function( model, challengeType, atomValue, tandem ) {
+  ChallengeSetFactory.createChallenge = function( model, challengeType, atomValue, tandem, otherAtomValues ) {
     let challenge = null;
     switch( challengeType ) {
       case 'counts-to-element':
@@ -177,6 +309,43 @@ define( require => {
       case 'symbol-to-schematic':
         challenge = new SymbolToSchematicChallenge( model, atomValue, challengeType, tandem );
         break;
+      case 'schematic-to-ion':
+        challenge = new SchematicToIonChallenge( model, atomValue, challengeType, tandem );
+        break;
+      case 'symbol-to-neutron-count':
+        challenge = new SymbolToNeutronCountChallenge( model, atomValue, challengeType, tandem );
+        break;
+      case 'isotope-notation-to-neutron-count':
+        challenge = new IsotopeNotationToNeutronCountChallenge( model, atomValue, challengeType, tandem );
+        break;
+      case 'counts-to-hyphen-notation':
+        challenge = new CountsToNotationChallenge( model, atomValue, challengeType, tandem, IsotopeNotation.HYPHEN );
+        break;
+      case 'counts-to-nuclide-notation':
+        challenge = new CountsToNotationChallenge( model, atomValue, challengeType, tandem, IsotopeNotation.NUCLIDE );
+        break;
+      case 'hyphen-notation-to-counts':
+        challenge = new NotationToCountsChallenge( model, atomValue, challengeType, tandem, IsotopeNotation.HYPHEN );
+        break;
+      case 'nuclide-notation-to-counts':
+        challenge = new NotationToCountsChallenge( model, atomValue, challengeType, tandem, IsotopeNotation.NUCLIDE );
+        break;
+      case 'schematics-to-relationship':
+        challenge = new AtomComparisonChallenge( model, atomValue, challengeType, tandem, otherAtomValues, true,
+          AtomComparisonQuestion.RELATIONSHIP );
+        break;
+      case 'symbols-to-relationship':
+        challenge = new AtomComparisonChallenge( model, atomValue, challengeType, tandem, otherAtomValues, false,
+          AtomComparisonQuestion.RELATIONSHIP );
+        break;
+      case 'schematics-to-more-neutrons':
+        challenge = new AtomComparisonChallenge( model, atomValue, challengeType, tandem, otherAtomValues, true,
+          AtomComparisonQuestion.MORE_NEUTRONS );
+        break;
+      case 'symbols-to-more-neutrons':
+        challenge = new AtomComparisonChallenge( model, atomValue, challengeType, tandem, otherAtomValues, false,
+          AtomComparisonQuestion.MORE_NEUTRONS );
+        break;
       default:
         throw new Error( 'Error: Request to create unknown challenge type, type = ' + challengeType );
     }
@@ -198,7 +367,10 @@ define( require => {
              challengeType === 'schematic-to-symbol-proton-count' ||
              challengeType === 'schematic-to-symbol-charge' ||
              challengeType === 'schematic-to-symbol-mass-number' ||
-             challengeType === 'symbol-to-schematic' );
+             challengeType === 'symbol-to-schematic' ||
+             challengeType === 'schematic-to-ion' ||
+             challengeType === 'schematics-to-relationship' ||
+             challengeType === 'schematics-to-more-neutrons' );
   };
 
   /**
@@ -216,6 +388,19 @@ define( require => {
     );
   };
 
+  /**
+   * Helper function to determine whether a given challenge type presents two atoms to compare.
+   *
+   * @param challengeType
+   * @return
+   */
+  ChallengeSetFactory._isComparisonProbType = function( challengeType ) {
+    return ( challengeType === 'schematics-to-relationship' ||
+             challengeType === 'symbols-to-relationship' ||
+             challengeType === 'schematics-to-more-neutrons' ||
+             challengeType === 'symbols-to-more-neutrons' );
+  };
+
   buildAnAtom.register( 'ChallengeSetFactory', ChallengeSetFactory );
   return ChallengeSetFactory;
 } );
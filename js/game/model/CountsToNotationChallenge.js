@@ -0,0 +1,43 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Challenge where the user is presented with a set of particle counts for an atom and must write the isotope
+ * in a text notation, either hyphen notation (e.g. Carbon-14) or nuclide notation (e.g. ¹⁴C²⁻), see IsotopeNotation.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BAAGameChallenge = require( 'BUILD_AN_ATOM/game/model/BAAGameChallenge' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const CountsToNotationChallengeView = require( 'BUILD_AN_ATOM/game/view/CountsToNotationChallengeView' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const IsotopeNotation = require( 'BUILD_AN_ATOM/game/model/IsotopeNotation' );
+
+  /**
+   * @param {BAAGameModel} buildAnAtomGameModel
+   * @param {NumberAtom} answerAtom
+   * @param {string} challengeType
+   * @param {Tandem} tandem
+   * @param {string} notation - IsotopeNotation.HYPHEN or IsotopeNotation.NUCLIDE
+   * @constructor
+   */
+  function CountsToNotationChallenge( buildAnAtomGameModel, answerAtom, challengeType, tandem, notation ) {
+    assert && assert( notation === IsotopeNotation.HYPHEN || notation === IsotopeNotation.NUCLIDE, 'invalid notation: ' + notation );
+    BAAGameChallenge.call( this, buildAnAtomGameModel, answerAtom, challengeType, tandem );
+
+    // @public (read-only)
+    this.notation = notation;
+  }
+
+  buildAnAtom.register( 'CountsToNotationChallenge', CountsToNotationChallenge );
+
+  // Inherit from base class and define the methods for this object.
+  return inherit( BAAGameChallenge, CountsToNotationChallenge, {
+
+    // Create the view needed to visual represent this challenge.
+    createView: function( layoutBounds, tandem ) {
+      return new CountsToNotationChallengeView( this, layoutBounds, tandem.createTandem( 'countsToNotationChallengeView' ) );
+    }
+  } );
+} );
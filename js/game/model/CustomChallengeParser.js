@@ -0,0 +1,255 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Static functions for parsing and validating custom challenge sets, which allow teachers to specify the challenges for
+ * each game level without PhET-iO.  A custom challenge set is JSON for an array of levels, each of which is an array
+ * of challenges, e.g.
+ *
+ * [
+ *   [ { "challengeType": "counts-to-element", "protonCount": 6, "neutronCount": 6, "electronCount": 6 }, ... ],
+ *   [],
+ *   ...
+ * ]
+ *
+ * Challenges that compare two atoms give the second atom as otherNumberAtoms, e.g.
+ *
+ *   { "challengeType": "symbols-to-relationship", "protonCount": 6, "neutronCount": 6, "electronCount": 6,
+ *     "otherNumberAtoms": [ { "protonCount": 6, "neutronCount": 7, "electronCount": 6 } ] }
+ *
+ * An empty level uses randomly generated challenges.  The parsed challenges are in the form used by
+ * BAAGameModel.setChallenges.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AtomIdentifier = require( 'SHRED/AtomIdentifier' );
+  const BAASharedConstants = require( 'BUILD_AN_ATOM/common/BAASharedConstants' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // strings
+  const challengeErrorPatternString = require( 'string!BUILD_AN_ATOM/challengeErrorPattern' );
+  const challengeNotObjectString = require( 'string!BUILD_AN_ATOM/challengeNotObject' );
+  const identicalAtomsForComparisonString = require( 'string!BUILD_AN_ATOM/identicalAtomsForComparison' );
+  const invalidJsonPatternString = require( 'string!BUILD_AN_ATOM/invalidJsonPattern' );
+  const invalidParticleCountPatternString = require( 'string!BUILD_AN_ATOM/invalidParticleCountPattern' );
+  const levelNotArrayPatternString = require( 'string!BUILD_AN_ATOM/levelNotArrayPattern' );
+  const levelsNotArrayString = require( 'string!BUILD_AN_ATOM/levelsNotArray' );
+  const massNumberTooLargePatternString = require( 'string!BUILD_AN_ATOM/massNumberTooLargePattern' );
+  const missingSecondAtomPatternString = require( 'string!BUILD_AN_ATOM/missingSecondAtomPattern' );
+  const neutralAtomForIonChallengeString = require( 'string!BUILD_AN_ATOM/neutralAtomForIonChallenge' );
+  const noProtonsString = require( 'string!BUILD_AN_ATOM/noProtons' );
+  const secondAtomErrorPatternString = require( 'string!BUILD_AN_ATOM/secondAtomErrorPattern' );
+  const tooManyLevelsPatternString = require( 'string!BUILD_AN_ATOM/tooManyLevelsPattern' );
+  const tooManyParticlesForSchematicPatternString = require( 'string!BUILD_AN_ATOM/tooManyParticlesForSchematicPattern' );
+  const unknownChallengeTypePatternString = require( 'string!BUILD_AN_ATOM/unknownChallengeTypePattern' );
+  const unknownIsotopePatternString = require( 'string!BUILD_AN_ATOM/unknownIsotopePattern' );
+  const wrongChallengeCountPatternString = require( 'string!BUILD_AN_ATOM/wrongChallengeCountPattern' );
+
+  // constants
+  const COMPARISON_CHALLENGE_TYPES = [
+    'schematics-to-relationship',
+    'symbols-to-relationship',
+    'schematics-to-more-neutrons',
+    'symbols-to-more-neutrons'
+  ];
+  const CHALLENGE_TYPES = [
+    'counts-to-element',
+    'counts-to-charge',
+    'counts-to-mass',
+    'counts-to-symbol-all',
+    'counts-to-symbol-charge',
+    'counts-to-symbol-mass',
+    'counts-to-symbol-proton-count',
+    'schematic-to-element',
+    'schematic-to-charge',
+    'schematic-to-mass',
+    'schematic-to-symbol-all',
+    'schematic-to-symbol-charge',
+    'schematic-to-symbol-mass-number',
+    'schematic-to-symbol-proton-count',
+    'symbol-to-counts',
+    'symbol-to-schematic',
+    'symbol-to-neutron-count',
+    'isotope-notation-to-neutron-count',
+    'counts-to-hyphen-notation',
+    'counts-to-nuclide-notation',
+    'hyphen-notation-to-counts',
+    'nuclide-notation-to-counts',
+    'schematic-to-ion'
+  ].concat( COMPARISON_CHALLENGE_TYPES );
+  const PARTICLE_COUNT_KEYS = [ 'protonCount', 'neutronCount', 'electronCount' ];
+
+  // The largest values that can be entered in the game's number entry nodes.
+  const MAX_ENTRY_VALUE = 99;
+
+  // Schematic atoms are drawn with two electron shells, and the atoms in the 'symbol-to-schematic' challenges are built
+  // from buckets with the default particle supply of the Atom screen.
+  const MAX_SCHEMATIC_PROTONS = 10;
+  const MAX_SCHEMATIC_NEUTRONS = 13;
+  const MAX_SCHEMATIC_ELECTRONS = 10;
+
+  // No constructor, not meant to be instantiated.
+  const CustomChallengeParser = {
+
+    /**
+     * Parse and validate a custom challenge set.
+     * @param {string} json
+     * @param {number} challengesPerLevel - number of challenges that each non-empty level must have
+     * @returns {{challengeSpecsForLevels: Array.<Array.<Object>>|null, errors: string[]}} - challengeSpecsForLevels is
+     * null if there are any errors
+     * @public
+     */
+    parse: function( json, challengesPerLevel ) {
+      let levels = null;
+      try {
+        levels = JSON.parse( json );
+      }
+      catch( e ) {
+        return { challengeSpecsForLevels: null, errors: [ StringUtils.format( invalidJsonPatternString, e.message ) ] };
+      }
+
+      const errors = [];
+      if ( !Array.isArray( levels ) ) {
+        errors.push( levelsNotArrayString );
+      }
+      else {
+        if ( levels.length > BAASharedConstants.LEVEL_NAMES.length ) {
+          errors.push( StringUtils.format( tooManyLevelsPatternString, levels.length, BAASharedConstants.LEVEL_NAMES.length ) );
+        }
+        levels.forEach( function( level, levelIndex ) {
+          if ( !Array.isArray( level ) ) {
+            errors.push( StringUtils.format( levelNotArrayPatternString, levelIndex + 1 ) );
+            return;
+          }
+          if ( level.length > 0 && level.length !== challengesPerLevel ) {
+            errors.push( StringUtils.format( wrongChallengeCountPatternString, levelIndex + 1, level.length, challengesPerLevel ) );
+          }
+          level.forEach( function( challenge, challengeIndex ) {
+            CustomChallengeParser.getChallengeErrors( challenge ).forEach( function( error ) {
+              errors.push( StringUtils.format( challengeErrorPatternString, levelIndex + 1, challengeIndex + 1, error ) );
+            } );
+          } );
+        } );
+      }
+
+      return {
+        challengeSpecsForLevels: errors.length > 0 ? null : levels.map( function( level ) {
+          return level.map( function( challenge ) {
+            const challengeSpec = {
+              challengeType: challenge.challengeType,
+              numberAtom: getNumberAtomSpec( challenge )
+            };
+            if ( COMPARISON_CHALLENGE_TYPES.indexOf( challenge.challengeType ) !== -1 ) {
+              challengeSpec.otherNumberAtoms = challenge.otherNumberAtoms.map( getNumberAtomSpec );
+            }
+            return challengeSpec;
+          } );
+        } ),
+        errors: errors
+      };
+    },
+
+    /**
+     * @param {*} challenge
+     * @returns {string[]} - empty if the challenge is valid
+     * @private
+     */
+    getChallengeErrors: function( challenge ) {
+      if ( typeof challenge !== 'object' || challenge === null || Array.isArray( challenge ) ) {
+        return [ challengeNotObjectString ];
+      }
+
+      const errors = [];
+      if ( CHALLENGE_TYPES.indexOf( challenge.challengeType ) === -1 ) {
+        errors.push( StringUtils.format( unknownChallengeTypePatternString, challenge.challengeType, CHALLENGE_TYPES.join( ', ' ) ) );
+      }
+      const atomErrors = getAtomErrors( challenge, challenge.challengeType );
+      errors.push.apply( errors, atomErrors );
+
+      // Challenges that compare atoms need exactly one other atom, which must be valid and different from the first.
+      if ( COMPARISON_CHALLENGE_TYPES.indexOf( challenge.challengeType ) !== -1 ) {
+        const otherNumberAtoms = challenge.otherNumberAtoms;
+        const secondAtom = Array.isArray( otherNumberAtoms ) && otherNumberAtoms.length === 1 ? otherNumberAtoms[ 0 ] : null;
+        if ( typeof secondAtom !== 'object' || secondAtom === null || Array.isArray( secondAtom ) ) {
+          errors.push( StringUtils.format( missingSecondAtomPatternString, challenge.challengeType ) );
+        }
+        else {
+          const secondAtomErrors = getAtomErrors( secondAtom, challenge.challengeType );
+          secondAtomErrors.forEach( function( error ) {
+            errors.push( StringUtils.format( secondAtomErrorPatternString, error ) );
+          } );
+          if ( atomErrors.length === 0 && secondAtomErrors.length === 0 && PARTICLE_COUNT_KEYS.every( function( key ) {
+            return challenge[ key ] === secondAtom[ key ];
+          } ) ) {
+            errors.push( identicalAtomsForComparisonString );
+          }
+        }
+      }
+      return errors;
+    }
+  };
+
+  /**
+   * @param {Object} atom - an object with protonCount, neutronCount and electronCount
+   * @returns {{protonCount: number, neutronCount: number, electronCount: number}}
+   */
+  function getNumberAtomSpec( atom ) {
+    return {
+      protonCount: atom.protonCount,
+      neutronCount: atom.neutronCount,
+      electronCount: atom.electronCount
+    };
+  }
+
+  /**
+   * @param {Object} atom - an object with protonCount, neutronCount and electronCount
+   * @param {*} challengeType - the type of the challenge that presents the atom
+   * @returns {string[]} - empty if the atom is valid for the challenge
+   */
+  function getAtomErrors( atom, challengeType ) {
+    const errors = [];
+    const invalidCountKeys = PARTICLE_COUNT_KEYS.filter( function( key ) {
+      const count = atom[ key ];
+      return !Number.isInteger( count ) || count < 0 || count > MAX_ENTRY_VALUE;
+    } );
+    invalidCountKeys.forEach( function( key ) {
+      errors.push( StringUtils.format( invalidParticleCountPatternString, key, MAX_ENTRY_VALUE ) );
+    } );
+
+    // The remaining checks are on the atom itself, which only make sense if the counts are valid.
+    if ( invalidCountKeys.length === 0 ) {
+      const protonCount = atom.protonCount;
+      const neutronCount = atom.neutronCount;
+      if ( protonCount === 0 ) {
+        errors.push( noProtonsString );
+      }
+      else if ( !( AtomIdentifier.getIsotopeAtomicMass( protonCount, neutronCount ) > 0 ) ) {
+        errors.push( StringUtils.format( unknownIsotopePatternString, protonCount, neutronCount ) );
+      }
+      if ( protonCount + neutronCount > MAX_ENTRY_VALUE ) {
+        errors.push( StringUtils.format( massNumberTooLargePatternString, protonCount + neutronCount, MAX_ENTRY_VALUE ) );
+      }
+      if ( typeof challengeType === 'string' && challengeType.indexOf( 'schematic' ) !== -1 &&
+           ( protonCount > MAX_SCHEMATIC_PROTONS ||
+             neutronCount > MAX_SCHEMATIC_NEUTRONS ||
+             atom.electronCount > MAX_SCHEMATIC_ELECTRONS ) ) {
+        errors.push( StringUtils.format(
+          tooManyParticlesForSchematicPatternString,
+          MAX_SCHEMATIC_PROTONS,
+          MAX_SCHEMATIC_NEUTRONS,
+          MAX_SCHEMATIC_ELECTRONS
+        ) );
+      }
+      if ( challengeType === 'schematic-to-ion' && protonCount === atom.electronCount ) {
+        errors.push( neutralAtomForIonChallengeString );
+      }
+    }
+    return errors;
+  }
+
+  buildAnAtom.register( 'CustomChallengeParser', CustomChallengeParser );
+
+  return CustomChallengeParser;
+} );
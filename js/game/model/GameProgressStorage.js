@@ -0,0 +1,126 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Type that saves the player's progress on each game level to the browser's local storage so that it survives page
+ * reloads.  Progress is stored separately for each number of challenges per level and for each variant, which
+ * identifies how the level is scored and where its challenges come from, since scores from games that differ in these
+ * ways aren't comparable.  Storage can be unavailable, e.g. in some private browsing modes or when the sim is embedded
+ * with restrictive settings, in which case progress simply isn't saved.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+
+  // constants
+  const KEY_PREFIX = 'buildAnAtom.gameProgress';
+
+  /**
+   * @param {number} challengesPerLevel
+   * @constructor
+   */
+  function GameProgressStorage( challengesPerLevel ) {
+
+    // @private
+    this.challengesPerLevel = challengesPerLevel;
+  }
+
+  /**
+   * @param {*} progress
+   * @returns {boolean} - whether the value has the shape of the progress for a level
+   */
+  function isValidProgress( progress ) {
+    const isScore = function( value ) { return typeof value === 'number' && isFinite( value ) && value >= 0; };
+    return !!progress && typeof progress === 'object' &&
+           isScore( progress.bestScore ) &&
+           isScore( progress.score ) &&
+           progress.score <= progress.bestScore &&
+           ( progress.bestTime === null || ( isScore( progress.bestTime ) && progress.bestTime > 0 ) );
+  }
+
+  buildAnAtom.register( 'GameProgressStorage', GameProgressStorage );
+
+  return inherit( Object, GameProgressStorage, {
+
+    /**
+     * Get the saved progress for a level.
+     * @param {number} level
+     * @param {string} variant - see BAAGameModel.getProgressVariant
+     * @returns {{bestScore: number, score: number, bestTime: number|null}|null} - null if nothing valid has been saved
+     * @public
+     */
+    load: function( level, variant ) {
+      let progress = null;
+      try {
+        const savedValue = window.localStorage.getItem( this.getKey( level, variant ) );
+        progress = savedValue === null ? null : JSON.parse( savedValue );
+      }
+      catch( e ) {
+
+        // local storage is unavailable or the value is corrupt, so treat it as if there is no saved progress
+        progress = null;
+      }
+
+      // The value may have been saved by another version of the sim, or edited, so only use it if it has the right
+      // shape.
+      return isValidProgress( progress ) ? progress : null;
+    },
+
+    /**
+     * Save the progress for a level.
+     * @param {number} level
+     * @param {string} variant - see BAAGameModel.getProgressVariant
+     * @param {{bestScore: number, score: number, bestTime: number|null}} progress
+     * @public
+     */
+    save: function( level, variant, progress ) {
+      try {
+        window.localStorage.setItem( this.getKey( level, variant ), JSON.stringify( progress ) );
+      }
+      catch( e ) {
+
+        // local storage is unavailable or full, progress won't persist
+      }
+    },
+
+    /**
+     * Remove the saved progress for all levels and variants.
+     * @public
+     */
+    clear: function() {
+      try {
+        const keyPrefix = this.getKeyPrefix();
+        const keys = _.range( window.localStorage.length ).map( function( index ) {
+          return window.localStorage.key( index );
+        } ).filter( function( key ) {
+          return key.indexOf( keyPrefix ) === 0;
+        } );
+        keys.forEach( function( key ) { window.localStorage.removeItem( key ); } );
+      }
+      catch( e ) {
+
+        // local storage is unavailable, so there is nothing to clear
+      }
+    },
+
+    /**
+     * @returns {string} - the start of the keys for all levels and variants
+     * @private
+     */
+    getKeyPrefix: function() {
+      return KEY_PREFIX + '.challengesPerLevel' + this.challengesPerLevel + '.';
+    },
+
+    /**
+     * @param {number} level
+     * @param {string} variant
+     * @returns {string}
+     * @private
+     */
+    getKey: function( level, variant ) {
+      return this.getKeyPrefix() + variant + '.level' + level;
+    }
+  } );
+} );
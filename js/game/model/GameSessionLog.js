@@ -0,0 +1,152 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Type that keeps a log of every answer checked in the game during a session, along with the results of the completed
+ * levels, based on the messages sent by BAAGameModel.checkAnswerEmitter and levelCompletedEmitter.  The log can be
+ * exported as CSV or JSON, so that teachers can collect results without PhET-iO.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+
+  // constants
+  // columns of the CSV export, which are the fields of the answer entries, see recordAnswer
+  const ANSWER_FIELDS = [
+    'timestamp',
+    'level',
+    'challengeType',
+    'attempt',
+    'isCorrect',
+    'points',
+    'timeExpired',
+    'correctProtonCount',
+    'correctNeutronCount',
+    'correctElectronCount',
+    'correctCharge',
+    'submittedProtonCount',
+    'submittedNeutronCount',
+    'submittedElectronCount',
+    'submittedCharge',
+    'correctChoice',
+    'submittedChoice'
+  ];
+
+  /**
+   * @param {Emitter} checkAnswerEmitter - emits the result of each answer that is checked, see BAAGameModel.emitCheckAnswer
+   * @param {Emitter} levelCompletedEmitter - emits the results of each completed level, see BAAGameModel.next
+   * @constructor
+   */
+  function GameSessionLog( checkAnswerEmitter, levelCompletedEmitter ) {
+
+    const self = this;
+
+    // @public (read-only) {Object[]} - an entry for each checked answer, with the fields in ANSWER_FIELDS
+    this.answers = [];
+
+    // @public (read-only) {Object[]} - an entry for each completed level
+    this.levels = [];
+
+    checkAnswerEmitter.addListener( function( result ) {
+      self.recordAnswer( result );
+    } );
+    levelCompletedEmitter.addListener( function( results ) {
+      self.recordLevel( results );
+    } );
+  }
+
+  /**
+   * Format a value for a CSV field, quoting it if needed.
+   * @param {*} value
+   * @returns {string}
+   */
+  function toCSVField( value ) {
+    const text = value === undefined || value === null ? '' : String( value );
+    return /[",\n]/.test( text ) ? '"' + text.replace( /"/g, '""' ) + '"' : text;
+  }
+
+  buildAnAtom.register( 'GameSessionLog', GameSessionLog );
+
+  return inherit( Object, GameSessionLog, {
+
+    /**
+     * @param {Object} result - the object emitted by BAAGameModel.checkAnswerEmitter
+     * @private
+     */
+    recordAnswer: function( result ) {
+      this.answers.push( {
+        timestamp: new Date().toISOString(),
+        level: result.level + 1,
+        challengeType: result.challengeType,
+        attempt: result.attempt,
+        isCorrect: result.isCorrect,
+        points: result.points,
+        timeExpired: !!result.timeExpired,
+        correctProtonCount: result.correctProtonCount,
+        correctNeutronCount: result.correctNeutronCount,
+        correctElectronCount: result.correctElectronCount,
+
+        // challenges that ask whether the atom is neutral or an ion report 'neutral' or 'ion' as the charge
+        correctCharge: result.correctCharge !== undefined ? result.correctCharge :
+                       result.correctProtonCount - result.correctElectronCount,
+        submittedProtonCount: result.submittedProtonCount,
+        submittedNeutronCount: result.submittedNeutronCount,
+        submittedElectronCount: result.submittedElectronCount,
+        submittedCharge: result.submittedCharge !== undefined ? result.submittedCharge :
+                         result.submittedProtonCount === null ? null :
+                         result.submittedProtonCount - result.submittedElectronCount,
+
+        // challenges that compare atoms ask the user to choose an answer instead of submitting an atom
+        correctChoice: result.correctChoice,
+        submittedChoice: result.submittedChoice
+      } );
+    },
+
+    /**
+     * @param {Object} results - the object emitted by BAAGameModel.levelCompletedEmitter
+     * @private
+     */
+    recordLevel: function( results ) {
+      this.levels.push( {
+        timestamp: new Date().toISOString(),
+        level: results.level + 1,
+        score: results.score,
+        maxPoints: results.maxPoints,
+        challenges: results.challenges,
+        elapsedTime: results.timerEnabled ? results.elapsedTime : null
+      } );
+    },
+
+    /**
+     * @returns {string} - the answers, one per line, with a header line
+     * @public
+     */
+    toCSVString: function() {
+      const lines = [ ANSWER_FIELDS.join( ',' ) ];
+      this.answers.forEach( function( answer ) {
+        lines.push( ANSWER_FIELDS.map( function( field ) {
+          return toCSVField( answer[ field ] );
+        } ).join( ',' ) );
+      } );
+      return lines.join( '\n' ) + '\n';
+    },
+
+    /**
+     * @returns {string} - the answers and the completed levels
+     * @public
+     */
+    toJSONString: function() {
+      return JSON.stringify( { answers: this.answers, levels: this.levels }, null, 2 );
+    },
+
+    /**
+     * @public
+     */
+    reset: function() {
+      this.answers = [];
+      this.levels = [];
+    }
+  } );
+} );
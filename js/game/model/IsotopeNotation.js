@@ -0,0 +1,151 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Static functions for writing and reading the text notations for isotopes that are used in the game, in addition to
+ * the symbol box used by the symbol challenges:
+ *
+ * hyphen notation - the element name (or symbol) and the mass number, e.g. Carbon-14.  It says nothing about charge.
+ * nuclide notation - the compact form of the symbol, with the mass number before the element symbol and the charge
+ * after it, written as superscripts, e.g. ¹⁴C²⁻.  Typed answers can use ordinary characters, e.g. 14C2-.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AtomIdentifier = require( 'SHRED/AtomIdentifier' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+
+  // constants
+  const MAX_ATOMIC_NUMBER = 118;
+  const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+  const SUPERSCRIPT_PLUS = '⁺';
+  const SUPERSCRIPT_MINUS = '⁻';
+
+  // e.g. 'Carbon-14' or 'C - 14', element names with more than one word are allowed
+  const HYPHEN_NOTATION_REGEX = /^([^\d\-]+?)\s*-\s*(\d+)$/;
+
+  // e.g. '14C', '14C2-', '14C-2' or '7Li+'
+  const NUCLIDE_NOTATION_REGEX = /^(\d+)\s*([A-Za-z]{1,3})\s*(?:(\d*)([+-])|([+-])(\d*))?$/;
+
+  /**
+   * @param {number} number - a non-negative integer
+   * @returns {string}
+   */
+  function toSuperscript( number ) {
+    return ( '' + number ).split( '' ).map( function( digit ) {
+      return SUPERSCRIPTS[ Number( digit ) ];
+    } ).join( '' );
+  }
+
+  /**
+   * Replace superscripts with ordinary characters, and minus signs and dashes with hyphens.
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalize( text ) {
+    return text.trim().split( '' ).map( function( character ) {
+      const digit = SUPERSCRIPTS.indexOf( character );
+      return digit >= 0 ? '' + digit :
+             character === SUPERSCRIPT_PLUS ? '+' :
+             character === SUPERSCRIPT_MINUS || character === '−' || character === '–' ? '-' :
+             character;
+    } ).join( '' );
+  }
+
+  /**
+   * @param {string} nameOrSymbol
+   * @returns {number} - the atomic number of the element, 0 if there is no such element
+   */
+  function getAtomicNumber( nameOrSymbol ) {
+    const lowerCaseNameOrSymbol = nameOrSymbol.toLowerCase();
+    for ( let atomicNumber = 1; atomicNumber <= MAX_ATOMIC_NUMBER; atomicNumber++ ) {
+      if ( AtomIdentifier.getName( atomicNumber ).toLowerCase() === lowerCaseNameOrSymbol ||
+           AtomIdentifier.getSymbol( atomicNumber ).toLowerCase() === lowerCaseNameOrSymbol ) {
+        return atomicNumber;
+      }
+    }
+    return 0;
+  }
+
+  // No constructor, not meant to be instantiated.
+  const IsotopeNotation = {
+
+    // notations
+    HYPHEN: 'hyphen',
+    NUCLIDE: 'nuclide',
+
+    /**
+     * @param {NumberAtom} numberAtom
+     * @returns {string} - e.g. 'Carbon-14'
+     * @public
+     */
+    toHyphenNotation: function( numberAtom ) {
+      return AtomIdentifier.getName( numberAtom.protonCountProperty.get() ) + '-' + numberAtom.massNumberProperty.get();
+    },
+
+    /**
+     * @param {NumberAtom} numberAtom
+     * @returns {string} - e.g. '¹⁴C²⁻', a charge of 1 is written as just the sign
+     * @public
+     */
+    toNuclideNotation: function( numberAtom ) {
+      const charge = numberAtom.chargeProperty.get();
+      let chargeText = '';
+      if ( charge !== 0 ) {
+        chargeText = ( Math.abs( charge ) === 1 ? '' : toSuperscript( Math.abs( charge ) ) ) +
+                     ( charge > 0 ? SUPERSCRIPT_PLUS : SUPERSCRIPT_MINUS );
+      }
+      return toSuperscript( numberAtom.massNumberProperty.get() ) +
+             AtomIdentifier.getSymbol( numberAtom.protonCountProperty.get() ) +
+             chargeText;
+    },
+
+    /**
+     * Read an isotope in hyphen notation.  The element can be given by its name or its symbol, in any case.
+     * @param {string} text
+     * @returns {{protonCount: number, massNumber: number}|null} - null if the text isn't a valid isotope
+     * @public
+     */
+    parseHyphenNotation: function( text ) {
+      const match = normalize( text ).match( HYPHEN_NOTATION_REGEX );
+      if ( !match ) {
+        return null;
+      }
+      const protonCount = getAtomicNumber( match[ 1 ] );
+      const massNumber = Number( match[ 2 ] );
+      return protonCount > 0 && massNumber >= protonCount ? { protonCount: protonCount, massNumber: massNumber } : null;
+    },
+
+    /**
+     * Read an isotope in nuclide notation.  The charge can be written with the number before or after the sign, and
+     * the symbol must be capitalized correctly, since e.g. Co and CO are different.
+     * @param {string} text
+     * @returns {{protonCount: number, massNumber: number, charge: number}|null} - null if the text isn't a valid isotope
+     * @public
+     */
+    parseNuclideNotation: function( text ) {
+      const match = normalize( text ).match( NUCLIDE_NOTATION_REGEX );
+      if ( !match ) {
+        return null;
+      }
+      const protonCount = _.find( _.range( 1, MAX_ATOMIC_NUMBER + 1 ), function( atomicNumber ) {
+        return AtomIdentifier.getSymbol( atomicNumber ) === match[ 2 ];
+      } ) || 0;
+      const massNumber = Number( match[ 1 ] );
+      let charge = 0;
+      if ( match[ 4 ] || match[ 5 ] ) {
+        const sign = match[ 4 ] || match[ 5 ];
+        const magnitude = match[ 4 ] ? match[ 3 ] : match[ 6 ];
+        charge = ( sign === '+' ? 1 : -1 ) * ( magnitude ? Number( magnitude ) : 1 );
+      }
+      if ( protonCount === 0 || massNumber < protonCount || charge > protonCount ) {
+        return null;
+      }
+      return { protonCount: protonCount, massNumber: massNumber, charge: charge };
+    }
+  };
+
+  buildAnAtom.register( 'IsotopeNotation', IsotopeNotation );
+
+  return IsotopeNotation;
+} );
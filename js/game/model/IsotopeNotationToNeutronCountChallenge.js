@@ -0,0 +1,37 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Challenge where the user is presented with an isotope in textbook notation, with the mass
+ * number and atomic number to the left of the element symbol, and must determine the number of neutrons.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BAAGameChallenge = require( 'BUILD_AN_ATOM/game/model/BAAGameChallenge' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const IsotopeNotationToNeutronCountChallengeView = require( 'BUILD_AN_ATOM/game/view/IsotopeNotationToNeutronCountChallengeView' );
+
+  /**
+   * @param {BAAGameModel} buildAnAtomGameModel
+   * @param {NumberAtom} answerAtom
+   * @param {string} challengeType
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function IsotopeNotationToNeutronCountChallenge( buildAnAtomGameModel, answerAtom, challengeType, tandem ) {
+    BAAGameChallenge.call( this, buildAnAtomGameModel, answerAtom, challengeType, tandem );
+  }
+
+  buildAnAtom.register( 'IsotopeNotationToNeutronCountChallenge', IsotopeNotationToNeutronCountChallenge );
+
+  // Inherit from base class and define the methods for this object.
+  return inherit( BAAGameChallenge, IsotopeNotationToNeutronCountChallenge, {
+
+    // Create the view needed to visual represent this challenge.
+    createView: function( layoutBounds, tandem ) {
+      return new IsotopeNotationToNeutronCountChallengeView( this, layoutBounds, tandem.createTandem( 'isotopeNotationToNeutronCountChallengeView' ) );
+    }
+  } );
+} );
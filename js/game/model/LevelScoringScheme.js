@@ -0,0 +1,82 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Type that defines how challenges are scored on a game level: the number of attempts allowed for each challenge, the
+ * points awarded for a correct answer on each attempt, and whether the correct answer can be shown once the attempts
+ * are used up.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BAASharedConstants = require( 'BUILD_AN_ATOM/common/BAASharedConstants' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Util = require( 'DOT/Util' );
+
+  /**
+   * @param {Object} [options]
+   * @constructor
+   */
+  function LevelScoringScheme( options ) {
+
+    options = merge( {
+
+      // {number} - number of times that the player can submit an answer to each challenge
+      maxAttempts: BAASharedConstants.MAX_CHALLENGE_ATTEMPTS,
+
+      // {number[]} - points for a correct answer on the first attempt, the second attempt, and so on, attempts past the
+      // end of the list are worth no points
+      pointsPerAttempt: [ 2, 1 ],
+
+      // {boolean} - whether the player can see the correct answer after using up their attempts
+      showAnswer: true
+    }, options );
+
+    assert && assert( Number.isInteger( options.maxAttempts ) && options.maxAttempts > 0,
+      'invalid maxAttempts: ' + options.maxAttempts );
+    assert && assert( Array.isArray( options.pointsPerAttempt ) && _.every( options.pointsPerAttempt, function( points ) {
+      return typeof points === 'number' && points >= 0;
+    } ), 'invalid pointsPerAttempt: ' + options.pointsPerAttempt );
+
+    // @public (read-only)
+    this.maxAttempts = options.maxAttempts;
+    this.pointsPerAttempt = options.pointsPerAttempt.slice();
+    this.showAnswer = options.showAnswer;
+  }
+
+  buildAnAtom.register( 'LevelScoringScheme', LevelScoringScheme );
+
+  return inherit( Object, LevelScoringScheme, {
+
+    /**
+     * @param {number} attempt - 1 for the first attempt
+     * @returns {number}
+     * @public
+     */
+    getPointsForAttempt: function( attempt ) {
+      return attempt <= this.pointsPerAttempt.length ? this.pointsPerAttempt[ attempt - 1 ] : 0;
+    },
+
+    /**
+     * @returns {number} - the most points that a single challenge can earn
+     * @public
+     */
+    getMaxPointsPerChallenge: function() {
+      return _.max( this.pointsPerAttempt.slice( 0, this.maxAttempts ).concat( 0 ) );
+    }
+  }, {
+
+    /**
+     * Round points to tenths of a point, which is the precision of partial credit.  Points and scores are rounded
+     * whenever they're calculated, so that sums of fractional points can be compared with each other and displayed.
+     * @param {number} points
+     * @returns {number}
+     * @public
+     */
+    roundPoints: function( points ) {
+      return Util.toFixedNumber( points, 1 );
+    }
+  } );
+} );
@@ -0,0 +1,44 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Challenge where the user is presented with an isotope in a text notation, either hyphen notation (e.g.
+ * Carbon-14) or nuclide notation (e.g. ¹⁴C²⁻), and must determine the number of protons, neutrons and electrons.  Hyphen
+ * notation doesn't include the charge, so the charge of ions is given separately.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BAAGameChallenge = require( 'BUILD_AN_ATOM/game/model/BAAGameChallenge' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const IsotopeNotation = require( 'BUILD_AN_ATOM/game/model/IsotopeNotation' );
+  const NotationToCountsChallengeView = require( 'BUILD_AN_ATOM/game/view/NotationToCountsChallengeView' );
+
+  /**
+   * @param {BAAGameModel} buildAnAtomGameModel
+   * @param {NumberAtom} answerAtom
+   * @param {string} challengeType
+   * @param {Tandem} tandem
+   * @param {string} notation - IsotopeNotation.HYPHEN or IsotopeNotation.NUCLIDE
+   * @constructor
+   */
+  function NotationToCountsChallenge( buildAnAtomGameModel, answerAtom, challengeType, tandem, notation ) {
+    assert && assert( notation === IsotopeNotation.HYPHEN || notation === IsotopeNotation.NUCLIDE, 'invalid notation: ' + notation );
+    BAAGameChallenge.call( this, buildAnAtomGameModel, answerAtom, challengeType, tandem );
+
+    // @public (read-only)
+    this.notation = notation;
+  }
+
+  buildAnAtom.register( 'NotationToCountsChallenge', NotationToCountsChallenge );
+
+  // Inherit from base class and define the methods for this object.
+  return inherit( BAAGameChallenge, NotationToCountsChallenge, {
+
+    // Create the view needed to visual represent this challenge.
+    createView: function( layoutBounds, tandem ) {
+      return new NotationToCountsChallengeView( this, layoutBounds, tandem.createTandem( 'notationToCountsChallengeView' ) );
+    }
+  } );
+} );
@@ -0,0 +1,126 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Type for game challenges where the user is given a neutral atom, already assembled in an interactive schematic atom,
+ * and needs to turn it into the ion described by a chemical symbol by adding or removing electrons.  The protons and
+ * neutrons must be left as they are.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BAAChallengeState = require( 'BUILD_AN_ATOM/game/model/BAAChallengeState' );
+  const BAAGameChallenge = require( 'BUILD_AN_ATOM/game/model/BAAGameChallenge' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const BuildAnAtomModel = require( 'BUILD_AN_ATOM/common/model/BuildAnAtomModel' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const NumberAtom = require( 'SHRED/model/NumberAtom' );
+  const SchematicToIonChallengeView = require( 'BUILD_AN_ATOM/game/view/SchematicToIonChallengeView' );
+
+  // strings
+  const nucleonsChangedString = require( 'string!BUILD_AN_ATOM/nucleonsChanged' );
+
+  /**
+   * @param {BAAGameModel} buildAnAtomGameModel
+   * @param {NumberAtom} answerAtom - the ion to make
+   * @param {string} challengeType
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function SchematicToIonChallenge( buildAnAtomGameModel, answerAtom, challengeType, tandem ) {
+    BAAGameChallenge.call( this, buildAnAtomGameModel, answerAtom, challengeType, tandem );
+
+    // @public (read-only) {NumberAtom} - the neutral atom that the user starts with
+    this.startingAtom = new NumberAtom( {
+      protonCount: answerAtom.protonCountProperty.get(),
+      neutronCount: answerAtom.neutronCountProperty.get(),
+      electronCount: answerAtom.protonCountProperty.get()
+    } );
+
+    // Like SymbolToSchematicChallenge, this challenge has a model of an atom with which the user can interact, which
+    // is kept out of the state.
+    this.buildAnAtomModel = new BuildAnAtomModel( tandem.createTandem( 'buildAnAtomModel' ), { phetioState: false } );
+    this.buildAnAtomModel.showElementNameProperty.set( false );
+    this.buildAnAtomModel.showNeutralOrIonProperty.set( false );
+    this.buildAnAtomModel.showStableOrUnstableProperty.set( false );
+    this.buildAnAtomModel.setAtomConfiguration( this.startingAtom );
+  }
+
+  /**
+   * @param {NumberAtom} answerAtom
+   * @param {NumberAtom} submittedAtom
+   * @returns {boolean} - whether the protons and neutrons of the submitted atom are those of the answer
+   */
+  function areNucleonsUntouched( answerAtom, submittedAtom ) {
+    return submittedAtom.protonCountProperty.get() === answerAtom.protonCountProperty.get() &&
+           submittedAtom.neutronCountProperty.get() === answerAtom.neutronCountProperty.get();
+  }
+
+  buildAnAtom.register( 'SchematicToIonChallenge', SchematicToIonChallenge );
+
+  // Inherit from base class and define the methods for this object.
+  return inherit( BAAGameChallenge, SchematicToIonChallenge, {
+
+    dispose: function() {
+
+      // The view must be disposed before the model, see SymbolToSchematicChallenge.dispose.
+      BAAGameChallenge.prototype.dispose.call( this );
+      this.buildAnAtomModel.dispose();
+      this.startingAtom.dispose();
+    },
+
+    /**
+     * The answer is only correct if the electrons were changed to make the ion and the nucleons were left untouched.
+     * @param {NumberAtom} submittedAtom
+     * @public
+     * @override
+     */
+    checkAnswer: function( submittedAtom ) {
+      assert && assert(
+        this.challengeStateProperty.get() === BAAChallengeState.PRESENTING_CHALLENGE,
+        'Unexpected challenge state: ' + this.challengeStateProperty.get()
+      );
+
+      const nucleonsUntouched = areNucleonsUntouched( this.answerAtom, submittedAtom );
+      const isCorrect = nucleonsUntouched &&
+                        submittedAtom.electronCountProperty.get() === this.answerAtom.electronCountProperty.get();
+      this.handleEvaluatedAnswer( submittedAtom, isCorrect, { nucleonsUntouched: nucleonsUntouched } );
+    },
+
+    /**
+     * @param {NumberAtom} submittedAtom
+     * @returns {string|null}
+     * @protected
+     * @override
+     */
+    getMisconception: function( submittedAtom ) {
+      return areNucleonsUntouched( this.answerAtom, submittedAtom ) ?
+             BAAGameChallenge.prototype.getMisconception.call( this, submittedAtom ) :
+             nucleonsChangedString;
+    },
+
+    /**
+     * No credit is given for the electrons if the nucleons were changed.
+     * @param {NumberAtom} submittedAtom
+     * @returns {number}
+     * @protected
+     * @override
+     */
+    getFractionCorrect: function( submittedAtom ) {
+      return areNucleonsUntouched( this.answerAtom, submittedAtom ) ?
+             BAAGameChallenge.prototype.getFractionCorrect.call( this, submittedAtom ) :
+             0;
+    },
+
+    // @public - create the view needed to visual represent this challenge
+    createView: function( layoutBounds, tandem ) {
+      return new SchematicToIonChallengeView( this, layoutBounds, tandem.createTandem( 'schematicToIonChallengeView' ) );
+    },
+
+    // @public - step the atom model and the countdown when the challenge is stepped
+    step: function( dt ) {
+      this.buildAnAtomModel.step( dt );
+      BAAGameChallenge.prototype.step.call( this, dt );
+    }
+  } );
+} );
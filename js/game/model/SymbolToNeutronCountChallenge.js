@@ -0,0 +1,37 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Challenge where the user is presented with a chemical symbol, including the atomic number,
+ * mass number and charge, and must determine the number of neutrons.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BAAGameChallenge = require( 'BUILD_AN_ATOM/game/model/BAAGameChallenge' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const SymbolToNeutronCountChallengeView = require( 'BUILD_AN_ATOM/game/view/SymbolToNeutronCountChallengeView' );
+
+  /**
+   * @param {BAAGameModel} buildAnAtomGameModel
+   * @param {NumberAtom} answerAtom
+   * @param {string} challengeType
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function SymbolToNeutronCountChallenge( buildAnAtomGameModel, answerAtom, challengeType, tandem ) {
+    BAAGameChallenge.call( this, buildAnAtomGameModel, answerAtom, challengeType, tandem );
+  }
+
+  buildAnAtom.register( 'SymbolToNeutronCountChallenge', SymbolToNeutronCountChallenge );
+
+  // Inherit from base class and define the methods for this object.
+  return inherit( BAAGameChallenge, SymbolToNeutronCountChallenge, {
+
+    // Create the view needed to visual represent this challenge.
+    createView: function( layoutBounds, tandem ) {
+      return new SymbolToNeutronCountChallengeView( this, layoutBounds, tandem.createTandem( 'symbolToNeutronCountChallengeView' ) );
+    }
+  } );
+} );
@@ -54,9 +54,10 @@ define( require => {
       return new SymbolToSchematicChallengeView( this, layoutBounds, tandem.createTandem( 'symbolToSchematicChallengeView' ) );
     },
 
-    // @public - step the atom model when the challenge is stepped
+    // @public - step the atom model and the countdown when the challenge is stepped
     step: function( dt ) {
       this.buildAnAtomModel.step( dt );
+      BAAGameChallenge.prototype.step.call( this, dt );
     }
   } );
 } );
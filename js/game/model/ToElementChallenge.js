@@ -14,8 +14,15 @@ define( require => {
   const BAAChallengeState = require( 'BUILD_AN_ATOM/game/model/BAAChallengeState' );
   const BAAGameChallenge = require( 'BUILD_AN_ATOM/game/model/BAAGameChallenge' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ChallengeHints = require( 'BUILD_AN_ATOM/game/model/ChallengeHints' );
   const inherit = require( 'PHET_CORE/inherit' );
 
+  // strings
+  const elementHighlightedHintString = require( 'string!BUILD_AN_ATOM/elementHighlightedHint' );
+  const ionIsNotNeutralAtomString = require( 'string!BUILD_AN_ATOM/ionIsNotNeutralAtom' );
+  const neutralAtomIsNotIonString = require( 'string!BUILD_AN_ATOM/neutralAtomIsNotIon' );
+  const neutralOrIonHintString = require( 'string!BUILD_AN_ATOM/neutralOrIonHint' );
+
   /**
    * @param {BAAGameModel} buildAnAtomGameModel
    * @param {NumberAtom} answerAtom
@@ -25,6 +32,9 @@ define( require => {
    */
   function ToElementChallenge( buildAnAtomGameModel, answerAtom, challengeType, tandem ) {
     BAAGameChallenge.call( this, buildAnAtomGameModel, answerAtom, challengeType, tandem );
+
+    // @private {string|null} - 'neutral' or 'ion', the most recently submitted answer to the neutral atom or ion question
+    this.submittedNeutralOrIon = null;
   }
 
   buildAnAtom.register( 'ToElementChallenge', ToElementChallenge );
@@ -44,14 +54,68 @@ define( require => {
         this.challengeStateProperty.get() === BAAChallengeState.PRESENTING_CHALLENGE,
         'Unexpected challenge state: ' + this.challengeStateProperty.get()
       );
+      this.submittedNeutralOrIon = submittedNeutralOrIon;
       const isCorrect = submittedAtom.protonCountProperty.get() === this.answerAtom.protonCountProperty.get() &&
                       submittedAtom.neutronCountProperty.get() === this.answerAtom.neutronCountProperty.get() &&
-                      ( ( submittedNeutralOrIon === 'neutral' && this.answerAtom.chargeProperty.get() === 0 ) ||
-                        ( submittedNeutralOrIon === 'ion' && this.answerAtom.chargeProperty.get() !== 0 ) );
+                      this.isNeutralOrIonCorrect();
       this.handleEvaluatedAnswer( submittedAtom, isCorrect, {
         correctCharge: this.answerAtom.chargeProperty.get() === 0 ? 'neutral' : 'ion',
         submittedCharge: submittedNeutralOrIon
       } );
+    },
+
+    /**
+     * @returns {boolean}
+     * @private
+     */
+    isNeutralOrIonCorrect: function() {
+      return ( this.submittedNeutralOrIon === 'neutral' && this.answerAtom.chargeProperty.get() === 0 ) ||
+             ( this.submittedNeutralOrIon === 'ion' && this.answerAtom.chargeProperty.get() !== 0 );
+    },
+
+    /**
+     * @param {NumberAtom} submittedAtom
+     * @returns {string|null}
+     * @protected
+     * @override
+     */
+    getMisconception: function( submittedAtom ) {
+      let misconception = BAAGameChallenge.prototype.getMisconception.call( this, submittedAtom );
+      if ( !misconception && !this.isNeutralOrIonCorrect() ) {
+        misconception = this.answerAtom.chargeProperty.get() === 0 ? neutralAtomIsNotIonString : ionIsNotNeutralAtomString;
+      }
+      return misconception;
+    },
+
+    /**
+     * The element and the neutral atom or ion question count equally.
+     * @param {NumberAtom} submittedAtom
+     * @returns {number}
+     * @protected
+     * @override
+     */
+    getFractionCorrect: function( submittedAtom ) {
+      const elementFraction = BAAGameChallenge.prototype.getFractionCorrect.call( this, submittedAtom );
+      return ( elementFraction + ( this.isNeutralOrIonCorrect() ? 1 : 0 ) ) / 2;
+    },
+
+    /**
+     * Adds hints for the neutral atom or ion question, and the last hints point out that the element is highlighted on
+     * the periodic table, see ToElementChallengeView.
+     * @param {number} hintLevel
+     * @returns {string[]}
+     * @public
+     * @override
+     */
+    getHints: function( hintLevel ) {
+      const hints = BAAGameChallenge.prototype.getHints.call( this, hintLevel );
+      if ( hintLevel === ChallengeHints.NUMBER_OF_HINT_LEVELS ) {
+        hints.push( elementHighlightedHintString, ChallengeHints.getChargeDetailHint( this.answerAtom ) );
+      }
+      else {
+        hints.push( neutralOrIonHintString );
+      }
+      return hints;
     }
   } );
 } );
@@ -0,0 +1,164 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for game challenges where the user is presented with two atoms side by side, as schematic atoms or as symbols,
+ * and chooses the answer to a question that compares them.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AquaRadioButton = require( 'SUN/AquaRadioButton' );
+  const AtomComparisonQuestion = require( 'BUILD_AN_ATOM/game/model/AtomComparisonQuestion' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ChallengeView = require( 'BUILD_AN_ATOM/game/view/ChallengeView' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const IsotopeNotationNode = require( 'BUILD_AN_ATOM/game/view/IsotopeNotationNode' );
+  const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
+  const MultiLineText = require( 'SCENERY_PHET/MultiLineText' );
+  const NonInteractiveSchematicAtomNode = require( 'BUILD_AN_ATOM/game/view/NonInteractiveSchematicAtomNode' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Property = require( 'AXON/Property' );
+  const PropertyIO = require( 'AXON/PropertyIO' );
+  const StringIO = require( 'TANDEM/types/StringIO' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const areTheseAtomsString = require( 'string!BUILD_AN_ATOM/areTheseAtoms' );
+  const differentElementsString = require( 'string!BUILD_AN_ATOM/differentElements' );
+  const firstAtomLabelString = require( 'string!BUILD_AN_ATOM/firstAtomLabel' );
+  const ionsOfSameElementString = require( 'string!BUILD_AN_ATOM/ionsOfSameElement' );
+  const isotopesString = require( 'string!BUILD_AN_ATOM/isotopes' );
+  const sameNumberOfNeutronsString = require( 'string!BUILD_AN_ATOM/sameNumberOfNeutrons' );
+  const secondAtomLabelString = require( 'string!BUILD_AN_ATOM/secondAtomLabel' );
+  const whichHasMoreNeutronsString = require( 'string!BUILD_AN_ATOM/whichHasMoreNeutrons' );
+
+  // constants
+  const LABEL_FONT = new PhetFont( { size: 30, weight: 'bold' } );
+  const CHOICE_FONT = new PhetFont( 20 );
+  const MAX_WIDTH = 250; // empirically determined for long strings
+  const SCHEMATIC_SCALE = 0.55;
+
+  /**
+   * @param {AtomComparisonChallenge} atomComparisonChallenge
+   * @param {Bounds2} layoutBounds
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function AtomComparisonChallengeView( atomComparisonChallenge, layoutBounds, tandem ) {
+    this.choiceProperty = new Property( 'noSelection', {
+      tandem: tandem.createTandem( 'choiceProperty' ),
+      phetioType: PropertyIO( StringIO )
+    } );
+    ChallengeView.call( this, atomComparisonChallenge, layoutBounds, tandem );
+    const self = this;
+
+    // The atoms, each with a label above it that the answers refer to.
+    const atomNodes = [];
+    const createAtomNode = function( numberAtom, label, centerX, atomTandem ) {
+      let atomNode;
+      if ( atomComparisonChallenge.showSchematics ) {
+        atomNode = new NonInteractiveSchematicAtomNode(
+          numberAtom,
+          ModelViewTransform2.createSinglePointScaleInvertedYMapping( Vector2.ZERO, Vector2.ZERO, SCHEMATIC_SCALE ),
+          atomTandem
+        );
+      }
+      else {
+        atomNode = new IsotopeNotationNode( numberAtom, { showCharge: true, maxWidth: layoutBounds.width * 0.22 } );
+      }
+      atomNode.centerX = centerX;
+      atomNode.centerY = layoutBounds.height * 0.5;
+      const labelText = new Text( label, { font: LABEL_FONT, centerX: centerX, bottom: layoutBounds.height * 0.25 } );
+      self.challengePresentationNode.addChild( atomNode );
+      self.challengePresentationNode.addChild( labelText );
+      atomNodes.push( atomNode );
+    };
+    createAtomNode( atomComparisonChallenge.answerAtom, firstAtomLabelString, layoutBounds.width * 0.17,
+      tandem.createTandem( 'firstAtomNode' ) );
+    createAtomNode( atomComparisonChallenge.otherAtoms[ 0 ], secondAtomLabelString, layoutBounds.width * 0.43,
+      tandem.createTandem( 'secondAtomNode' ) );
+
+    // The question and the choices that answer it
+    const isRelationshipQuestion = atomComparisonChallenge.question === AtomComparisonQuestion.RELATIONSHIP;
+    const questionPrompt = new MultiLineText( isRelationshipQuestion ? areTheseAtomsString : whichHasMoreNeutronsString, {
+      align: 'left',
+      font: new PhetFont( 24 ),
+      maxWidth: MAX_WIDTH,
+      tandem: tandem.createTandem( 'questionPrompt' )
+    } );
+    this.interactiveAnswerNode.addChild( questionPrompt );
+
+    const choices = isRelationshipQuestion ? [
+      { value: 'isotopes', label: isotopesString },
+      { value: 'ionsOfSameElement', label: ionsOfSameElementString },
+      { value: 'differentElements', label: differentElementsString }
+    ] : [
+      { value: 'first', label: firstAtomLabelString },
+      { value: 'second', label: secondAtomLabelString },
+      { value: 'same', label: sameNumberOfNeutronsString }
+    ];
+    const radioButtons = choices.map( function( choice ) {
+      return new AquaRadioButton( self.choiceProperty, choice.value, new Text( choice.label, {
+        font: CHOICE_FONT,
+        maxWidth: MAX_WIDTH
+      } ), {
+        radius: 10,
+        tandem: tandem.createTandem( choice.value + 'RadioButton' )
+      } );
+    } );
+    const radioButtonGroup = new VBox( { children: radioButtons, align: 'left', spacing: 15 } );
+    this.interactiveAnswerNode.addChild( radioButtonGroup );
+
+    // Don't enable the "check answer" button until the user has chosen an answer.
+    const updateCheckAnswerButton = function( choice ) {
+      self.checkAnswerButton.enabled = choice !== 'noSelection';
+      self.checkAnswerButton.pickable = choice !== 'noSelection';
+    };
+    this.choiceProperty.link( updateCheckAnswerButton );
+
+    // Layout
+    questionPrompt.left = layoutBounds.width * 0.63;
+    questionPrompt.bottom = layoutBounds.height * 0.4;
+    radioButtonGroup.left = questionPrompt.left;
+    radioButtonGroup.top = questionPrompt.bottom + 20;
+
+    // @private called by dispose
+    this.disposeAtomComparisonChallengeView = function() {
+      this.choiceProperty.unlink( updateCheckAnswerButton );
+      atomNodes.forEach( function( atomNode ) { atomNode.dispose(); } );
+      questionPrompt.dispose();
+      radioButtons.forEach( function( radioButton ) { radioButton.dispose(); } );
+      this.choiceProperty.dispose();
+    };
+  }
+
+  buildAnAtom.register( 'AtomComparisonChallengeView', AtomComparisonChallengeView );
+
+  // Inherit from ChallengeView.
+  return inherit( ChallengeView, AtomComparisonChallengeView, {
+
+    // @public
+    checkAnswer: function() {
+      this.challenge.checkAnswer( this.choiceProperty.value );
+    },
+
+    // @public
+    clearAnswer: function() {
+      this.choiceProperty.reset();
+    },
+
+    // @public
+    displayCorrectAnswer: function() {
+      this.choiceProperty.value = this.challenge.correctChoice;
+    },
+
+    // @public
+    dispose: function() {
+      this.disposeAtomComparisonChallengeView();
+      ChallengeView.prototype.dispose.call( this );
+    }
+  } );
+} );
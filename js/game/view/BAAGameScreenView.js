@@ -14,6 +14,7 @@ define( require => {
   const BAAQueryParameters = require( 'BUILD_AN_ATOM/common/BAAQueryParameters' );
   const BAARewardNode = require( 'BUILD_AN_ATOM/game/view/BAARewardNode' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const DerivedProperty = require( 'AXON/DerivedProperty' );
   const FiniteStatusBar = require( 'VEGAS/FiniteStatusBar' );
   const GameAudioPlayer = require( 'VEGAS/GameAudioPlayer' );
   const inherit = require( 'PHET_CORE/inherit' );
@@ -21,9 +22,19 @@ define( require => {
   const Node = require( 'SCENERY/nodes/Node' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
   const Property = require( 'AXON/Property' );
+  const ScoreAndTimeRemainingDisplay = require( 'BUILD_AN_ATOM/game/view/ScoreAndTimeRemainingDisplay' );
   const ScreenView = require( 'JOIST/ScreenView' );
+  const SessionReportButtons = require( 'BUILD_AN_ATOM/game/view/SessionReportButtons' );
   const ShredConstants = require( 'SHRED/ShredConstants' );
   const StartGameLevelNode = require( 'BUILD_AN_ATOM/game/view/StartGameLevelNode' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // strings
+  const seedPatternString = require( 'string!BUILD_AN_ATOM/seedPattern' );
+
+  // constants
+  const LEVEL_COMPLETED_SPACING = 10; // between the level completed node and the nodes below it
 
   /**
    * Constructor.
@@ -51,6 +62,18 @@ define( require => {
       tandem.createTandem( 'startGameLevelNode' )
     );
 
+    // time left to answer the current challenge, null if there is no time limit, shown in the scoreboard
+    const timeRemainingProperty = new Property( null );
+    const updateTimeRemaining = function( timeRemaining ) {
+      timeRemainingProperty.set( timeRemaining );
+    };
+
+    // the maximum score for the level being played, which is shown in the scoreboard along with the score
+    const maxScoreProperty = new DerivedProperty( [ gameModel.levelProperty ].concat( gameModel.maxPointsProperties ),
+      function() {
+        return gameModel.maxPointsProperties[ gameModel.levelProperty.get() ].get();
+      } );
+
     const scoreboard = new FiniteStatusBar(
       this.layoutBounds,
       this.visibleBoundsProperty,
@@ -66,6 +89,11 @@ define( require => {
         dynamicAlignment: false,
         levelVisible: false,
         challengeNumberVisible: false,
+        scoreDisplayConstructor: ScoreAndTimeRemainingDisplay,
+        scoreDisplayOptions: {
+          maxScoreProperty: maxScoreProperty,
+          timeRemainingProperty: timeRemainingProperty
+        },
         startOverButtonOptions: {
           font: new PhetFont( 20 ),
           textFill: 'black',
@@ -80,6 +108,12 @@ define( require => {
 
     scoreboard.centerX = this.layoutBounds.centerX;
     scoreboard.top = 0;
+
+    const sessionReportButtons = new SessionReportButtons(
+      gameModel.sessionLog,
+      tandem.createTandem( 'levelCompletedSessionReportButtons' )
+    );
+
     const gameAudioPlayer = new GameAudioPlayer( gameModel.soundEnabledProperty );
     this.rewardNode = null;
     this.levelCompletedNode = null; // @private
@@ -103,7 +137,8 @@ define( require => {
       }
       else if ( state === BAAGameState.LEVEL_COMPLETED ) {
         rootNode.removeAllChildren();
-        if ( gameModel.scoreProperty.get() === BAAGameModel.MAX_POINTS_PER_GAME_LEVEL || BAAQueryParameters.reward ) {
+        const maxPoints = gameModel.getMaxPointsForLevel( gameModel.levelProperty.get() );
+        if ( gameModel.scoreProperty.get() === maxPoints || BAAQueryParameters.reward ) {
 
           // Perfect score, add the reward node.
           self.rewardNode = new BAARewardNode( tandem.createTandem( 'rewardNode' ) );
@@ -122,7 +157,7 @@ define( require => {
           self.levelCompletedNode = new LevelCompletedNode(
             gameModel.levelProperty.get() + 1,
             gameModel.scoreProperty.get(),
-            BAAGameModel.MAX_POINTS_PER_GAME_LEVEL,
+            maxPoints,
             BAAGameModel.CHALLENGES_PER_LEVEL,
             gameModel.timerEnabledProperty.get(),
             gameModel.elapsedTimeProperty.get(),
@@ -138,6 +173,27 @@ define( require => {
           );
           rootNode.addChild( self.levelCompletedNode );
         }
+
+        // Buttons for downloading the answers given so far as a report for teachers, below the dialog if there is one.
+        sessionReportButtons.centerX = self.layoutBounds.centerX;
+        if ( self.levelCompletedNode ) {
+          sessionReportButtons.top = self.levelCompletedNode.bottom + LEVEL_COMPLETED_SPACING;
+        }
+        else {
+          sessionReportButtons.centerY = self.layoutBounds.centerY;
+        }
+        rootNode.addChild( sessionReportButtons );
+
+        // The seed that generated the challenges, below the results and the report buttons, so that the challenges can
+        // be reproduced.
+        if ( self.levelCompletedNode && gameModel.challengeSetSeed !== null ) {
+          rootNode.addChild( new Text( StringUtils.format( seedPatternString, gameModel.challengeSetSeed ), {
+            font: new PhetFont( 16 ),
+            maxWidth: self.layoutBounds.width,
+            centerX: self.layoutBounds.centerX,
+            top: sessionReportButtons.bottom + LEVEL_COMPLETED_SPACING
+          } ) );
+        }
       }
       else if ( typeof( state.createView ) === 'function' ) {
         // Since we're not in the start or game-over states, we must be
@@ -150,6 +206,11 @@ define( require => {
         } );
         rootNode.addChild( challengeView );
         rootNode.addChild( scoreboard );
+        state.timeRemainingProperty.link( updateTimeRemaining );
+        state.disposeEmitter.addListener( function disposeListener() {
+          state.timeRemainingProperty.unlink( updateTimeRemaining );
+          state.disposeEmitter.removeListener( disposeListener );
+        } );
       }
     } );
   }
@@ -17,15 +17,19 @@ define( require => {
   const GameAudioPlayer = require( 'VEGAS/GameAudioPlayer' );
   const inherit = require( 'PHET_CORE/inherit' );
   const Node = require( 'SCENERY/nodes/Node' );
+  const Panel = require( 'SUN/Panel' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
   const Text = require( 'SCENERY/nodes/Text' );
   const TextPushButton = require( 'SUN/buttons/TextPushButton' );
   const timer = require( 'AXON/timer' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
 
   // strings
   const checkString = require( 'string!VEGAS/check' );
+  const hintString = require( 'string!BUILD_AN_ATOM/hint' );
   const nextString = require( 'string!VEGAS/next' );
   const showAnswerString = require( 'string!VEGAS/showAnswer' );
+  const timeExpiredString = require( 'string!BUILD_AN_ATOM/timeExpired' );
   const tryAgainString = require( 'string!VEGAS/tryAgain' );
 
   // constants
@@ -34,6 +38,9 @@ define( require => {
   const POINT_TEXT_OPTIONS = { font: new PhetFont( { size: 20, weight: 'bold' } ) };
   const BUTTON_MAX_WIDTH = 350;
   const BUTTON_TOUCH_AREA_DILATION = 8;
+  const MISCONCEPTION_FONT = new PhetFont( 18 );
+  const HINT_FONT = new PhetFont( 16 );
+  const HINT_INSET = 10;
 
   /**
    * @param {BAAGameChallenge} challenge
@@ -67,6 +74,51 @@ define( require => {
     faceNode.addChild( pointDisplay );
     this.addChild( faceNode );
 
+    // Feedback about the likely misconception behind a wrong answer or about running out of time, shown above the face.
+    const misconceptionText = new Text( '', {
+      font: MISCONCEPTION_FONT,
+      maxWidth: layoutBounds.width * 0.8
+    } );
+    const misconceptionPanel = new Panel( misconceptionText, {
+      fill: 'rgba( 255, 255, 255, 0.85 )',
+      stroke: 'gray',
+      xMargin: 10,
+      yMargin: 6,
+      visible: false
+    } );
+    this.addChild( misconceptionPanel );
+    const showFeedbackText = function( text ) {
+      if ( text ) {
+        misconceptionText.text = text;
+        misconceptionPanel.centerX = faceNode.centerX;
+        misconceptionPanel.bottom = faceNode.top - 10;
+        misconceptionPanel.visible = true;
+      }
+    };
+
+    // Hints unlocked by wrong answers in practice mode, shown while the player tries again.
+    const hintsBox = new VBox( { align: 'left', spacing: 4 } );
+    const hintPanel = new Panel( hintsBox, {
+      fill: 'rgb( 255, 255, 210 )',
+      stroke: 'gray',
+      xMargin: 10,
+      yMargin: 6,
+      visible: false
+    } );
+    this.addChild( hintPanel );
+    const updateHints = function( hintLevel ) {
+      const hintTexts = [ new Text( hintString, { font: new PhetFont( { size: 16, weight: 'bold' } ) } ) ];
+      for ( let level = 1; level <= hintLevel; level++ ) {
+        challenge.getHints( level ).forEach( function( hint ) {
+          hintTexts.push( new Text( hint, { font: HINT_FONT, maxWidth: layoutBounds.width * 0.45 } ) );
+        } );
+      }
+      hintsBox.children = hintTexts;
+      hintPanel.left = HINT_INSET;
+      hintPanel.bottom = layoutBounds.height - HINT_INSET;
+    };
+    challenge.hintLevelProperty.lazyLink( updateHints );
+
     // Buttons.
     this.buttons = [];
     this.checkAnswerButton = new TextPushButton( checkString, {
@@ -131,6 +183,8 @@ define( require => {
         button.visible = false;
       } );
       faceNode.visible = false;
+      misconceptionPanel.visible = false;
+      hintPanel.visible = false;
     };
     hideButtonsAndFace();
 
@@ -148,6 +202,7 @@ define( require => {
       self.clearAnswer();
       setAnswerNodeInteractive( true );
       self.checkAnswerButton.visible = true;
+      hintPanel.visible = challenge.hintLevelProperty.get() > 0;
     };
     stateChangeHandlers[ BAAChallengeState.CHALLENGE_SOLVED_CORRECTLY ] = function() {
       setAnswerNodeInteractive( false );
@@ -163,14 +218,37 @@ define( require => {
       pointDisplay.text = '';
       faceNode.visible = true;
       self.tryAgainButton.visible = true;
+      showFeedbackText( challenge.misconception );
       self.gameAudioPlayer.wrongAnswer();
     };
     stateChangeHandlers[ BAAChallengeState.ATTEMPTS_EXHAUSTED ] = function() {
       setAnswerNodeInteractive( false );
-      self.displayCorrectAnswerButton.visible = true;
+      if ( challenge.scoringScheme.showAnswer ) {
+        self.displayCorrectAnswerButton.visible = true;
+      }
+      else {
+        self.nextButton.visible = true;
+      }
+      faceNode.frown();
+
+      // there may be points for partial credit
+      pointDisplay.text = challenge.pointValue > 0 ? '+' + challenge.pointValue : '';
+      faceNode.visible = true;
+      showFeedbackText( challenge.misconception );
+      self.gameAudioPlayer.wrongAnswer();
+    };
+    stateChangeHandlers[ BAAChallengeState.TIME_EXPIRED ] = function() {
+      setAnswerNodeInteractive( false );
+      if ( challenge.scoringScheme.showAnswer ) {
+        self.displayCorrectAnswerButton.visible = true;
+      }
+      else {
+        self.nextButton.visible = true;
+      }
       faceNode.frown();
       pointDisplay.text = '';
       faceNode.visible = true;
+      showFeedbackText( timeExpiredString );
       self.gameAudioPlayer.wrongAnswer();
     };
     stateChangeHandlers[ BAAChallengeState.DISPLAYING_CORRECT_ANSWER ] = function() {
@@ -191,6 +269,7 @@ define( require => {
 
     this.disposeListeners = () => {
       challenge.challengeStateProperty.unlink( handleStateChange );
+      challenge.hintLevelProperty.unlink( updateHints );
     };
 
     // Do an initial layout, but the subclasses can and should move the
@@ -0,0 +1,160 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for game challenges where the user is presented with a set of counts for protons, neutrons, and electrons, and
+ * must type the isotope in hyphen notation or nuclide notation.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BAAChallengeState = require( 'BUILD_AN_ATOM/game/model/BAAChallengeState' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ChallengeView = require( 'BUILD_AN_ATOM/game/view/ChallengeView' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const IsotopeNotation = require( 'BUILD_AN_ATOM/game/model/IsotopeNotation' );
+  const MultiLineText = require( 'SCENERY_PHET/MultiLineText' );
+  const NumberAtom = require( 'SHRED/model/NumberAtom' );
+  const ParticleCountsNode = require( 'BUILD_AN_ATOM/game/view/ParticleCountsNode' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Property = require( 'AXON/Property' );
+  const PropertyIO = require( 'AXON/PropertyIO' );
+  const StringIO = require( 'TANDEM/types/StringIO' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const TextEntryNode = require( 'BUILD_AN_ATOM/game/view/TextEntryNode' );
+
+  // strings
+  const hyphenNotationExampleString = require( 'string!BUILD_AN_ATOM/hyphenNotationExample' );
+  const nuclideNotationExampleString = require( 'string!BUILD_AN_ATOM/nuclideNotationExample' );
+  const writeInHyphenNotationString = require( 'string!BUILD_AN_ATOM/writeInHyphenNotation' );
+  const writeInNuclideNotationString = require( 'string!BUILD_AN_ATOM/writeInNuclideNotation' );
+
+  /**
+   * @param {CountsToNotationChallenge} countsToNotationChallenge
+   * @param {Bounds2} layoutBounds
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function CountsToNotationChallengeView( countsToNotationChallenge, layoutBounds, tandem ) {
+
+    // Must be defined before call to super constructor.
+    this.notationAnswerProperty = new Property( '', {
+      tandem: tandem.createTandem( 'notationAnswerProperty' ),
+      phetioType: PropertyIO( StringIO )
+    } );
+    ChallengeView.call( this, countsToNotationChallenge, layoutBounds, tandem );
+    const self = this;
+    const isHyphenNotation = countsToNotationChallenge.notation === IsotopeNotation.HYPHEN;
+
+    // Particle counts
+    const particleCountsNode = new ParticleCountsNode( countsToNotationChallenge.answerAtom );
+    this.challengePresentationNode.addChild( particleCountsNode );
+
+    const questionPrompt = new MultiLineText( isHyphenNotation ? writeInHyphenNotationString : writeInNuclideNotationString, {
+      align: 'left',
+      font: new PhetFont( 24 ),
+      maxWidth: 250,
+      tandem: tandem.createTandem( 'questionPrompt' )
+    } );
+    this.interactiveAnswerNode.addChild( questionPrompt );
+
+    // Node for typing the answer
+    const textEntryNode = new TextEntryNode( this.notationAnswerProperty, tandem.createTandem( 'textEntryNode' ), {
+      accessibleName: isHyphenNotation ? writeInHyphenNotationString : writeInNuclideNotationString
+    } );
+    this.interactiveAnswerNode.addChild( textEntryNode );
+
+    const example = new Text( isHyphenNotation ? hyphenNotationExampleString : nuclideNotationExampleString, {
+      font: new PhetFont( 16 ),
+      fill: 'gray',
+      maxWidth: 250
+    } );
+    this.interactiveAnswerNode.addChild( example );
+
+    // The text input isn't affected by making the answer node unpickable, so disable it when it shouldn't be used.
+    const updateTextEntryEnabled = function( challengeState ) {
+      textEntryNode.setEnabled( challengeState === BAAChallengeState.PRESENTING_CHALLENGE );
+    };
+    countsToNotationChallenge.challengeStateProperty.link( updateTextEntryEnabled );
+
+    // Don't enable the "check answer" button until the answer can be read.
+    const updateCheckAnswerButton = function() {
+      const isReadable = self.getSubmittedCounts() !== null;
+      self.checkAnswerButton.enabled = isReadable;
+      self.checkAnswerButton.pickable = isReadable;
+    };
+    this.notationAnswerProperty.link( updateCheckAnswerButton );
+
+    // Layout
+    particleCountsNode.centerX = layoutBounds.width * 0.3;
+    particleCountsNode.centerY = layoutBounds.height * 0.48;
+    questionPrompt.left = layoutBounds.width * 0.55;
+    questionPrompt.bottom = layoutBounds.height * 0.45;
+    textEntryNode.left = questionPrompt.left;
+    textEntryNode.top = questionPrompt.bottom + 15;
+    example.left = textEntryNode.left;
+    example.top = textEntryNode.bottom + 8;
+
+    // @private called by dispose
+    this.disposeCountsToNotationChallengeView = function() {
+      countsToNotationChallenge.challengeStateProperty.unlink( updateTextEntryEnabled );
+      this.notationAnswerProperty.unlink( updateCheckAnswerButton );
+      particleCountsNode.dispose();
+      questionPrompt.dispose();
+      textEntryNode.dispose();
+      this.notationAnswerProperty.dispose();
+    };
+  }
+
+  buildAnAtom.register( 'CountsToNotationChallengeView', CountsToNotationChallengeView );
+
+  // Inherit from ChallengeView.
+  return inherit( ChallengeView, CountsToNotationChallengeView, {
+
+    /**
+     * Get the particle counts described by the typed answer.  Hyphen notation doesn't include the charge, so the
+     * electrons are taken from the correct answer.
+     * @returns {{protonCount: number, neutronCount: number, electronCount: number}|null} - null if the answer can't be
+     * read
+     * @private
+     */
+    getSubmittedCounts: function() {
+      if ( this.challenge.notation === IsotopeNotation.HYPHEN ) {
+        const isotope = IsotopeNotation.parseHyphenNotation( this.notationAnswerProperty.value );
+        return isotope && {
+          protonCount: isotope.protonCount,
+          neutronCount: isotope.massNumber - isotope.protonCount,
+          electronCount: this.challenge.answerAtom.electronCountProperty.get()
+        };
+      }
+      else {
+        const isotope = IsotopeNotation.parseNuclideNotation( this.notationAnswerProperty.value );
+        return isotope && {
+          protonCount: isotope.protonCount,
+          neutronCount: isotope.massNumber - isotope.protonCount,
+          electronCount: isotope.protonCount - isotope.charge
+        };
+      }
+    },
+
+    // @public
+    checkAnswer: function() {
+      const submittedCounts = this.getSubmittedCounts();
+      assert && assert( submittedCounts, 'the answer can\'t be read: ' + this.notationAnswerProperty.value );
+      this.challenge.checkAnswer( new NumberAtom( submittedCounts ) );
+    },
+
+    // @public
+    displayCorrectAnswer: function() {
+      this.notationAnswerProperty.value = this.challenge.notation === IsotopeNotation.HYPHEN ?
+                                          IsotopeNotation.toHyphenNotation( this.challenge.answerAtom ) :
+                                          IsotopeNotation.toNuclideNotation( this.challenge.answerAtom );
+    },
+
+    // @public
+    dispose: function() {
+      this.disposeCountsToNotationChallengeView();
+      ChallengeView.prototype.dispose.call( this );
+    }
+  } );
+} );
@@ -0,0 +1,107 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Dialog where a teacher can paste a custom challenge set for the game.  Any problems with the challenge set, including
+ * those found when loading the file specified by the 'customChallenges' query parameter, are listed in the dialog.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const Dialog = require( 'SUN/Dialog' );
+  const DOM = require( 'SCENERY/nodes/DOM' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const customChallengesInstructionsString = require( 'string!BUILD_AN_ATOM/customChallengesInstructions' );
+  const customChallengesString = require( 'string!BUILD_AN_ATOM/customChallenges' );
+  const loadString = require( 'string!BUILD_AN_ATOM/load' );
+
+  // constants
+  const CONTENT_WIDTH = 600;
+  const TEXT_AREA_HEIGHT = 200;
+  const MAX_ERRORS_SHOWN = 8; // so that the dialog fits on the screen
+  const ERROR_FONT = new PhetFont( 14 );
+  const ERROR_FILL = 'rgb( 204, 0, 0 )';
+
+  /**
+   * @param {BAAGameModel} gameModel
+   * @param {Object} [options]
+   * @constructor
+   */
+  function CustomChallengesDialog( gameModel, options ) {
+
+    const self = this;
+
+    options = merge( {
+      title: new Text( customChallengesString, { font: new PhetFont( 24 ), maxWidth: CONTENT_WIDTH } )
+    }, options );
+
+    const instructions = new Text( customChallengesInstructionsString, {
+      font: new PhetFont( 16 ),
+      maxWidth: CONTENT_WIDTH
+    } );
+
+    // scenery doesn't have a multi-line text input, so use a DOM text area
+    const textArea = document.createElement( 'textarea' );
+    textArea.style.width = CONTENT_WIDTH + 'px';
+    textArea.style.height = TEXT_AREA_HEIGHT + 'px';
+    textArea.style.fontFamily = 'monospace';
+    textArea.spellcheck = false;
+    const textAreaNode = new DOM( textArea, { allowInput: true } );
+
+    const errorsBox = new VBox( { align: 'left', spacing: 4 } );
+
+    const loadButton = new TextPushButton( loadString, {
+      listener: function() {
+        if ( gameModel.loadCustomChallenges( textArea.value ) ) {
+          self.hide();
+        }
+      },
+      font: new PhetFont( 18 ),
+      baseColor: 'yellow',
+      maxWidth: CONTENT_WIDTH,
+      tandem: options.tandem.createTandem( 'loadButton' )
+    } );
+
+    const content = new VBox( {
+      children: [ instructions, textAreaNode, errorsBox, loadButton ],
+      align: 'left',
+      spacing: 10
+    } );
+
+    Dialog.call( this, content, options );
+
+    const updateErrors = function( errors ) {
+      errorsBox.children = errors.slice( 0, MAX_ERRORS_SHOWN ).map( function( error ) {
+        return new Text( error, { font: ERROR_FONT, fill: ERROR_FILL, maxWidth: CONTENT_WIDTH } );
+      } );
+      if ( errors.length > MAX_ERRORS_SHOWN ) {
+        errorsBox.addChild( new Text( '…', { font: ERROR_FONT, fill: ERROR_FILL } ) );
+      }
+    };
+    gameModel.customChallengeErrorsProperty.link( updateErrors );
+
+    // @private
+    this.disposeCustomChallengesDialog = function() {
+      gameModel.customChallengeErrorsProperty.unlink( updateErrors );
+    };
+  }
+
+  buildAnAtom.register( 'CustomChallengesDialog', CustomChallengesDialog );
+
+  return inherit( Dialog, CustomChallengesDialog, {
+
+    // @public
+    dispose: function() {
+      this.disposeCustomChallengesDialog();
+      Dialog.prototype.dispose.call( this );
+    }
+  } );
+} );
@@ -0,0 +1,78 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Node that shows an isotope in the notation used in textbooks, with the mass number as a superscript and the atomic
+ * number as a subscript to the left of the element symbol, e.g. carbon-14 with 14 above 6 to the left of a C.  Options
+ * allow for the compact nuclide notation, which leaves out the atomic number and shows the charge as a superscript to
+ * the right of the symbol.  Unlike InteractiveSymbolNode, there is no box and none of the numbers can be changed.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AtomIdentifier = require( 'SHRED/AtomIdentifier' );
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const ShredConstants = require( 'SHRED/ShredConstants' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // constants
+  const NUMBER_SPACING = 4; // between the numbers and the symbol, in screen coordinates
+
+  /**
+   * @param {NumberAtom} numberAtom
+   * @param {Object} [options]
+   * @constructor
+   */
+  function IsotopeNotationNode( numberAtom, options ) {
+
+    options = merge( {
+      symbolFont: new PhetFont( 110 ),
+      numberFont: new PhetFont( 44 ),
+      showAtomicNumber: true,
+      showCharge: false // the charge is shown only for ions
+    }, options );
+
+    const symbolText = new Text( AtomIdentifier.getSymbol( numberAtom.protonCountProperty.get() ), {
+      font: options.symbolFont
+    } );
+    const massNumberText = new Text( numberAtom.massNumberProperty.get(), {
+      font: options.numberFont,
+      right: symbolText.left - NUMBER_SPACING,
+      centerY: symbolText.top + symbolText.height * 0.2
+    } );
+
+    options.children = [ symbolText, massNumberText ];
+
+    // the atomic number is the number of protons, so it's shown in the color used for protons
+    if ( options.showAtomicNumber ) {
+      options.children.push( new Text( numberAtom.protonCountProperty.get(), {
+        font: options.numberFont,
+        fill: PhetColorScheme.RED_COLORBLIND,
+        right: symbolText.left - NUMBER_SPACING,
+        centerY: symbolText.bottom - symbolText.height * 0.15
+      } ) );
+    }
+
+    // the charge is written as the magnitude followed by the sign, and a magnitude of 1 is left out, e.g. 2- or +
+    const charge = numberAtom.chargeProperty.get();
+    if ( options.showCharge && charge !== 0 ) {
+      options.children.push( new Text( ( Math.abs( charge ) === 1 ? '' : Math.abs( charge ) ) + ( charge > 0 ? '+' : '−' ), {
+        font: options.numberFont,
+        fill: ShredConstants.CHARGE_TEXT_COLOR( charge ),
+        left: symbolText.right + NUMBER_SPACING,
+        centerY: massNumberText.centerY
+      } ) );
+    }
+
+    Node.call( this, _.omit( options, [ 'symbolFont', 'numberFont', 'showAtomicNumber', 'showCharge' ] ) );
+  }
+
+  buildAnAtom.register( 'IsotopeNotationNode', IsotopeNotationNode );
+
+  return inherit( Node, IsotopeNotationNode );
+} );
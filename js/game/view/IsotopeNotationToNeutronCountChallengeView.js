@@ -0,0 +1,37 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for game challenges where the user is presented with an isotope in textbook notation, i.e. the element symbol
+ * with the mass number and atomic number to its left, and must determine the number of neutrons.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const IsotopeNotationNode = require( 'BUILD_AN_ATOM/game/view/IsotopeNotationNode' );
+  const ToNeutronCountChallengeView = require( 'BUILD_AN_ATOM/game/view/ToNeutronCountChallengeView' );
+
+  /**
+   * @param {IsotopeNotationToNeutronCountChallenge} isotopeNotationToNeutronCountChallenge
+   * @param {Bounds2} layoutBounds
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function IsotopeNotationToNeutronCountChallengeView( isotopeNotationToNeutronCountChallenge, layoutBounds, tandem ) {
+    ToNeutronCountChallengeView.call( this, isotopeNotationToNeutronCountChallenge, layoutBounds, tandem );
+
+    // Isotope
+    const isotopeNotationNode = new IsotopeNotationNode( isotopeNotationToNeutronCountChallenge.answerAtom );
+    this.challengePresentationNode.addChild( isotopeNotationNode );
+
+    // Layout
+    isotopeNotationNode.centerX = layoutBounds.width * 0.3;
+    isotopeNotationNode.centerY = layoutBounds.height * 0.5;
+  }
+
+  buildAnAtom.register( 'IsotopeNotationToNeutronCountChallengeView', IsotopeNotationToNeutronCountChallengeView );
+
+  return inherit( ToNeutronCountChallengeView, IsotopeNotationToNeutronCountChallengeView );
+} );
@@ -0,0 +1,104 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for game challenges where the user is presented with an isotope in hyphen notation or nuclide notation, and
+ * must determine the number of protons, neutrons, and electrons that comprise the atom.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ChallengeView = require( 'BUILD_AN_ATOM/game/view/ChallengeView' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const InteractiveParticleCountsNode = require( 'BUILD_AN_ATOM/game/view/InteractiveParticleCountsNode' );
+  const IsotopeNotation = require( 'BUILD_AN_ATOM/game/model/IsotopeNotation' );
+  const IsotopeNotationNode = require( 'BUILD_AN_ATOM/game/view/IsotopeNotationNode' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const ionChargePatternString = require( 'string!BUILD_AN_ATOM/ionChargePattern' );
+
+  // constants
+  const MAX_PRESENTATION_WIDTH = 380;
+
+  /**
+   * @param {NotationToCountsChallenge} notationToCountsChallenge
+   * @param {Bounds2} layoutBounds
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function NotationToCountsChallengeView( notationToCountsChallenge, layoutBounds, tandem ) {
+
+    // Interactive particle count node - must be defined before call to super constructor.
+    this.interactiveParticleCountsNode = new InteractiveParticleCountsNode( tandem );
+
+    ChallengeView.call( this, notationToCountsChallenge, layoutBounds, tandem );
+
+    // Add interactive particle count.
+    this.interactiveAnswerNode.addChild( this.interactiveParticleCountsNode );
+
+    // The isotope, in nuclide notation or in hyphen notation with the charge for ions.
+    const answerAtom = notationToCountsChallenge.answerAtom;
+    let isotopeNode;
+    if ( notationToCountsChallenge.notation === IsotopeNotation.NUCLIDE ) {
+      isotopeNode = new IsotopeNotationNode( answerAtom, {
+        showAtomicNumber: false,
+        showCharge: true,
+        maxWidth: MAX_PRESENTATION_WIDTH
+      } );
+    }
+    else {
+      const charge = answerAtom.chargeProperty.get();
+      isotopeNode = new VBox( {
+        children: [ new Text( IsotopeNotation.toHyphenNotation( answerAtom ), { font: new PhetFont( 56 ) } ) ],
+        spacing: 10,
+        maxWidth: MAX_PRESENTATION_WIDTH
+      } );
+      if ( charge !== 0 ) {
+        isotopeNode.addChild( new Text( StringUtils.format( ionChargePatternString, ( charge > 0 ? '+' : '' ) + charge ), {
+          font: new PhetFont( 28 )
+        } ) );
+      }
+    }
+    this.challengePresentationNode.addChild( isotopeNode );
+
+    // Layout
+    isotopeNode.centerX = layoutBounds.width * 0.27;
+    isotopeNode.centerY = layoutBounds.height * 0.5;
+    this.interactiveParticleCountsNode.centerX = layoutBounds.width * 0.75;
+    this.interactiveParticleCountsNode.centerY = layoutBounds.height * 0.49;
+
+    // @private called by dispose
+    this.disposeNotationToCountsChallengeView = function() {
+      this.interactiveParticleCountsNode.dispose();
+    };
+  }
+
+  buildAnAtom.register( 'NotationToCountsChallengeView', NotationToCountsChallengeView );
+
+  // Inherit from ChallengeView.
+  return inherit( ChallengeView, NotationToCountsChallengeView, {
+
+    // @public
+    checkAnswer: function() {
+      this.challenge.checkAnswer( this.interactiveParticleCountsNode.numberAtom );
+    },
+
+    // @public
+    displayCorrectAnswer: function() {
+      this.interactiveParticleCountsNode.numberAtom.protonCountProperty.set( this.challenge.answerAtom.protonCountProperty.get() );
+      this.interactiveParticleCountsNode.numberAtom.neutronCountProperty.set( this.challenge.answerAtom.neutronCountProperty.get() );
+      this.interactiveParticleCountsNode.numberAtom.electronCountProperty.set( this.challenge.answerAtom.electronCountProperty.get() );
+    },
+
+    // @public
+    dispose: function() {
+      this.disposeNotationToCountsChallengeView();
+      ChallengeView.prototype.dispose.call( this );
+    }
+  } );
+} );
@@ -0,0 +1,102 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for game challenges where the user is presented with a neutral atom in an interactive schematic atom and the
+ * symbol of an ion, and needs to turn the atom into the ion by adding or removing electrons.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ChallengeView = require( 'BUILD_AN_ATOM/game/view/ChallengeView' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const InteractiveSchematicAtom = require( 'SHRED/view/InteractiveSchematicAtom' );
+  const IsotopeNotationNode = require( 'BUILD_AN_ATOM/game/view/IsotopeNotationNode' );
+  const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
+  const MultiLineText = require( 'SCENERY_PHET/MultiLineText' );
+  const NumberAtom = require( 'SHRED/model/NumberAtom' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // strings
+  const makeThisIonString = require( 'string!BUILD_AN_ATOM/makeThisIon' );
+
+  /**
+   * @param {SchematicToIonChallenge} challenge
+   * @param {Bounds2} layoutBounds
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function SchematicToIonChallengeView( challenge, layoutBounds, tandem ) {
+
+    // Create the model-view transform used by the schematic atom.
+    const modelViewTransform = ModelViewTransform2.createSinglePointScaleInvertedYMapping(
+      Vector2.ZERO,
+      new Vector2( layoutBounds.width * 0.275, layoutBounds.height * 0.45 ),
+      0.75
+    );
+
+    // Interactive schematic atom node - must be defined before call to super constructor.
+    this.interactiveSchematicAtom = new InteractiveSchematicAtom( challenge.buildAnAtomModel, modelViewTransform, {
+      tandem: tandem.createTandem( 'interactiveSchematicAtom' )
+    } );
+    this.interactiveSchematicAtom.scale( 0.95 );
+
+    ChallengeView.call( this, challenge, layoutBounds, tandem );
+
+    // Add interactive schematic atom.
+    this.interactiveAnswerNode.addChild( this.interactiveSchematicAtom );
+
+    // The ion to make
+    const questionPrompt = new MultiLineText( makeThisIonString, {
+      font: new PhetFont( 24 ),
+      maxWidth: 300,
+      tandem: tandem.createTandem( 'questionPrompt' )
+    } );
+    this.challengePresentationNode.addChild( questionPrompt );
+    const isotopeNotationNode = new IsotopeNotationNode( challenge.answerAtom, { showCharge: true } );
+    this.challengePresentationNode.addChild( isotopeNotationNode );
+
+    // Layout
+    isotopeNotationNode.centerX = layoutBounds.width * 0.27;
+    isotopeNotationNode.centerY = layoutBounds.height * 0.55;
+    questionPrompt.centerX = isotopeNotationNode.centerX;
+    questionPrompt.bottom = isotopeNotationNode.top - 20;
+    this.interactiveSchematicAtom.centerX = layoutBounds.width * 0.745;
+    this.interactiveSchematicAtom.centerY = layoutBounds.height * 0.51;
+
+    // @private called by dispose
+    this.disposeSchematicToIonChallengeView = function() {
+      questionPrompt.dispose();
+      this.interactiveSchematicAtom.dispose();
+    };
+  }
+
+  buildAnAtom.register( 'SchematicToIonChallengeView', SchematicToIonChallengeView );
+
+  // Inherit from ChallengeView.
+  return inherit( ChallengeView, SchematicToIonChallengeView, {
+
+    // @public
+    checkAnswer: function() {
+      const submittedAtom = new NumberAtom( {
+        protonCount: this.challenge.buildAnAtomModel.particleAtom.protonCountProperty.value,
+        neutronCount: this.challenge.buildAnAtomModel.particleAtom.neutronCountProperty.value,
+        electronCount: this.challenge.buildAnAtomModel.particleAtom.electronCountProperty.value
+      } );
+      this.challenge.checkAnswer( submittedAtom );
+    },
+
+    // @public
+    displayCorrectAnswer: function() {
+      this.challenge.buildAnAtomModel.setAtomConfiguration( this.challenge.answerAtom );
+    },
+
+    // @public
+    dispose: function() {
+      this.disposeSchematicToIonChallengeView();
+      ChallengeView.prototype.dispose.call( this );
+    }
+  } );
+} );
@@ -0,0 +1,96 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Score display for the game's scoreboard that shows the score out of the level's maximum score, which depends on how
+ * the level is scored, and the time left to answer the current challenge when there is a time limit.  It's used as the
+ * score display of FiniteStatusBar, so the time left is laid out by the status bar along with the score and the
+ * elapsed time.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // strings
+  const scoreOutOfMaxPatternString = require( 'string!BUILD_AN_ATOM/scoreOutOfMaxPattern' );
+  const timeRemainingPatternString = require( 'string!BUILD_AN_ATOM/timeRemainingPattern' );
+
+  // constants
+  const TIME_REMAINING_WARNING = 5; // seconds left when the time remaining is highlighted
+  const TIME_REMAINING_WARNING_FILL = 'rgb( 255, 120, 120 )';
+
+  /**
+   * @param {Property.<number>} scoreProperty
+   * @param {Object} [options]
+   * @constructor
+   */
+  function ScoreAndTimeRemainingDisplay( scoreProperty, options ) {
+
+    options = merge( {
+      maxScoreProperty: null, // {Property.<number>} the maximum score for the level being played, required
+      timeRemainingProperty: null, // {Property.<number|null>} seconds left, null if there's no time limit, required
+      font: new PhetFont( 20 ),
+      textFill: 'black',
+      spacing: 30,
+      maxWidth: 400
+    }, options );
+    assert && assert( options.maxScoreProperty, 'maxScoreProperty is required' );
+    assert && assert( options.timeRemainingProperty, 'timeRemainingProperty is required' );
+
+    const scoreText = new Text( '', { font: options.font, fill: options.textFill } );
+    const updateScoreText = function() {
+      scoreText.text = StringUtils.format( scoreOutOfMaxPatternString,
+        scoreProperty.get(),
+        options.maxScoreProperty.get()
+      );
+    };
+    scoreProperty.link( updateScoreText );
+    options.maxScoreProperty.link( updateScoreText );
+
+    const timeRemainingText = new Text( '', { font: options.font } );
+    const updateTimeRemainingText = function( timeRemaining ) {
+      timeRemainingText.visible = timeRemaining !== null;
+      if ( timeRemaining !== null ) {
+        timeRemainingText.text = StringUtils.format( timeRemainingPatternString, Math.ceil( timeRemaining ) );
+        timeRemainingText.fill = timeRemaining <= TIME_REMAINING_WARNING ?
+                                 TIME_REMAINING_WARNING_FILL :
+                                 options.textFill;
+      }
+    };
+    options.timeRemainingProperty.link( updateTimeRemainingText );
+
+    HBox.call( this, {
+      children: [ scoreText, timeRemainingText ],
+      spacing: options.spacing,
+      maxWidth: options.maxWidth
+    } );
+
+    // @private
+    this.disposeScoreAndTimeRemainingDisplay = function() {
+      scoreProperty.unlink( updateScoreText );
+      options.maxScoreProperty.unlink( updateScoreText );
+      options.timeRemainingProperty.unlink( updateTimeRemainingText );
+    };
+  }
+
+  buildAnAtom.register( 'ScoreAndTimeRemainingDisplay', ScoreAndTimeRemainingDisplay );
+
+  return inherit( HBox, ScoreAndTimeRemainingDisplay, {
+
+    /**
+     * @public
+     * @override
+     */
+    dispose: function() {
+      this.disposeScoreAndTimeRemainingDisplay();
+      HBox.prototype.dispose.call( this );
+    }
+  } );
+} );
@@ -0,0 +1,108 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Buttons that download the game's session log as a report, in CSV or JSON format, so that teachers can collect the
+ * results from the computers that their students used.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  const timer = require( 'AXON/timer' );
+
+  // strings
+  const downloadReportCsvString = require( 'string!BUILD_AN_ATOM/downloadReportCsv' );
+  const downloadReportJsonString = require( 'string!BUILD_AN_ATOM/downloadReportJson' );
+
+  // constants
+  const FILE_NAME_PREFIX = 'build-an-atom-report-';
+  const REVOKE_DELAY = 1000; // in milliseconds
+  const BUTTON_OPTIONS = {
+    font: new PhetFont( 16 ),
+    baseColor: '#e5f3ff',
+    maxWidth: 250
+  };
+
+  /**
+   * @param {GameSessionLog} sessionLog
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function SessionReportButtons( sessionLog, tandem, options ) {
+
+    options = merge( {
+      spacing: 10,
+      tandem: tandem
+    }, options );
+
+    // @private
+    this.csvButton = new TextPushButton( downloadReportCsvString, merge( {
+      listener: function() {
+        downloadFile( getFileName( 'csv' ), sessionLog.toCSVString(), 'text/csv' );
+      },
+      tandem: tandem.createTandem( 'csvButton' )
+    }, BUTTON_OPTIONS ) );
+
+    // @private
+    this.jsonButton = new TextPushButton( downloadReportJsonString, merge( {
+      listener: function() {
+        downloadFile( getFileName( 'json' ), sessionLog.toJSONString(), 'application/json' );
+      },
+      tandem: tandem.createTandem( 'jsonButton' )
+    }, BUTTON_OPTIONS ) );
+
+    options.children = [ this.csvButton, this.jsonButton ];
+    HBox.call( this, options );
+  }
+
+  /**
+   * @param {string} extension
+   * @returns {string} - a file name that includes the date and time, so that reports don't overwrite each other
+   */
+  function getFileName( extension ) {
+    return FILE_NAME_PREFIX + new Date().toISOString().replace( /[:.]/g, '-' ) + '.' + extension;
+  }
+
+  /**
+   * Have the browser save text as a file.
+   * @param {string} fileName
+   * @param {string} contents
+   * @param {string} mimeType
+   */
+  function downloadFile( fileName, contents, mimeType ) {
+    const url = window.URL.createObjectURL( new window.Blob( [ contents ], { type: mimeType } ) );
+    const link = document.createElement( 'a' );
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild( link );
+    link.click();
+    document.body.removeChild( link );
+
+    // some browsers start the download asynchronously, so wait before releasing the file's contents
+    timer.setTimeout( function() {
+      window.URL.revokeObjectURL( url );
+    }, REVOKE_DELAY );
+  }
+
+  buildAnAtom.register( 'SessionReportButtons', SessionReportButtons );
+
+  return inherit( HBox, SessionReportButtons, {
+
+    /**
+     * @public
+     * @override
+     */
+    dispose: function() {
+      this.csvButton.dispose();
+      this.jsonButton.dispose();
+      HBox.prototype.dispose.call( this );
+    }
+  } );
+} );
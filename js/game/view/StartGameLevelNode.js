@@ -12,6 +12,9 @@ define( require => {
   const BAAGameModel = require( 'BUILD_AN_ATOM/game/model/BAAGameModel' );
   const BAASharedConstants = require( 'BUILD_AN_ATOM/common/BAASharedConstants' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const Checkbox = require( 'SUN/Checkbox' );
+  const CustomChallengesDialog = require( 'BUILD_AN_ATOM/game/view/CustomChallengesDialog' );
+  const DerivedProperty = require( 'AXON/DerivedProperty' );
   const HBox = require( 'SCENERY/nodes/HBox' );
   const Image = require( 'SCENERY/nodes/Image' );
   const inherit = require( 'PHET_CORE/inherit' );
@@ -19,20 +22,26 @@ define( require => {
   const massChargeIcon = require( 'image!BUILD_AN_ATOM/mass_charge_icon.png' );
   const Node = require( 'SCENERY/nodes/Node' );
   const periodicTableIcon = require( 'image!BUILD_AN_ATOM/periodic_table_icon.png' );
+  const PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
   const questionMarkIcon = require( 'image!BUILD_AN_ATOM/question_mark_icon.png' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
   const ResetAllButton = require( 'SCENERY_PHET/buttons/ResetAllButton' );
-  const ShredConstants = require( 'SHRED/ShredConstants' );
+  const SessionReportButtons = require( 'BUILD_AN_ATOM/game/view/SessionReportButtons' );
   const symbolQuestionIcon = require( 'image!BUILD_AN_ATOM/symbol_question_icon.png' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const TextPushButton = require( 'SUN/buttons/TextPushButton' );
   const TimerToggleButton = require( 'SCENERY_PHET/buttons/TimerToggleButton' );
 
   // strings
   const chooseYourGameString = require( 'string!BUILD_AN_ATOM/chooseYourGame' );
+  const customChallengesString = require( 'string!BUILD_AN_ATOM/customChallenges' );
+  const practiceModeString = require( 'string!BUILD_AN_ATOM/practiceMode' );
 
   // constants
   const CONTROLS_INSET = 10;
   const BASE_COLOR = '#D4AAD4';
+  const EXPERT_ICON_SIZE = 200; // same as the other symbol icons
 
   /**
    * @param {BAAGameModel} gameModel
@@ -81,9 +90,22 @@ define( require => {
       'advancedSymbolGame',
       tandem
     );
+    const expertGameButton = createLevelSelectionButton(
+      gameModel,
+      createExpertGameIcon(),
+      'expert-game',
+      'expertGame',
+      tandem
+    );
     const buttonHBox = new HBox( {
-      children: [ periodicTableGameButton, massAndChargeGameButton, symbolGameButton, advancedSymbolGameButton ],
-      spacing: 30,
+      children: [
+        periodicTableGameButton,
+        massAndChargeGameButton,
+        symbolGameButton,
+        advancedSymbolGameButton,
+        expertGameButton
+      ],
+      spacing: 20,
       centerY: layoutBounds.centerY,
       centerX: layoutBounds.centerX
     } );
@@ -98,6 +120,50 @@ define( require => {
     } );
     this.addChild( timerToggleButton );
 
+    // button that opens a dialog where teachers can enter their own challenges, the dialog is created when first needed
+    let customChallengesDialog = null;
+    const showCustomChallengesDialog = function() {
+      if ( !customChallengesDialog ) {
+        customChallengesDialog = new CustomChallengesDialog( gameModel, {
+          tandem: tandem.createTandem( 'customChallengesDialog' )
+        } );
+      }
+      customChallengesDialog.show();
+    };
+    const customChallengesButton = new TextPushButton( customChallengesString, {
+      listener: showCustomChallengesDialog,
+      font: new PhetFont( 16 ),
+      baseColor: BASE_COLOR,
+      maxWidth: 200,
+      tandem: tandem.createTandem( 'customChallengesButton' ),
+      left: timerToggleButton.right + CONTROLS_INSET * 2,
+      centerY: timerToggleButton.centerY
+    } );
+    this.addChild( customChallengesButton );
+
+    // practice mode control
+    const practiceModeCheckbox = new Checkbox(
+      new Text( practiceModeString, {
+        font: new PhetFont( 16 ),
+        maxWidth: 250
+      } ),
+      gameModel.practiceModeProperty,
+      {
+        boxWidth: 16,
+        left: customChallengesButton.right + CONTROLS_INSET * 2,
+        centerY: timerToggleButton.centerY,
+        tandem: tandem.createTandem( 'practiceModeCheckbox' )
+      }
+    );
+    this.addChild( practiceModeCheckbox );
+
+    // Show the problems with a custom challenge set loaded from a file, since there is no other way to see them.
+    gameModel.customChallengeErrorsProperty.link( function( errors ) {
+      if ( errors.length > 0 ) {
+        showCustomChallengesDialog();
+      }
+    } );
+
     // reset all button
     const resetAllButton = new ResetAllButton( {
       listener: function() {
@@ -110,31 +176,86 @@ define( require => {
     } );
     this.addChild( resetAllButton );
 
+    // Buttons for downloading the answers given so far as a report for teachers.  They're also shown when a level is
+    // completed, but levels that are played in practice mode come straight back to this screen.
+    const sessionReportButtons = new SessionReportButtons(
+      gameModel.sessionLog,
+      tandem.createTandem( 'sessionReportButtons' ), {
+        right: resetAllButton.left - CONTROLS_INSET * 2,
+        centerY: resetAllButton.centerY
+      }
+    );
+    this.addChild( sessionReportButtons );
+
     // additional layout
     title.centerY = ( layoutBounds.minY + buttonHBox.top ) / 2;
   }
 
   // helper function to create level selection buttons, helps to avoid code duplication
   function createLevelSelectionButton( gameModel, icon, levelName, gameLevelTandemName, tandem ) {
+    const level = BAASharedConstants.LEVEL_NAMES.indexOf( levelName );
+
+    // The stars show the score as a proportion of the maximum score, which changes with the scoring, so the score is
+    // scaled to a perfect score of one point per star.
+    const starsProperty = new DerivedProperty(
+      [ gameModel.scores[ level ], gameModel.maxPointsProperties[ level ] ],
+      function( score, maxPoints ) {
+        return maxPoints > 0 ? BAAGameModel.CHALLENGES_PER_LEVEL * score / maxPoints : 0;
+      }
+    );
     return new LevelSelectionButton(
-      new Image( icon ),
-      gameModel.scores[ ShredConstants.MAP_LEVEL_NAME_TO_NUMBER( levelName ) ],
+      icon instanceof Node ? icon : new Image( icon ),
+      starsProperty,
       {
         listener: function() {
           gameModel.startGameLevel( levelName, tandem.createTandem( gameLevelTandemName ) );
         },
         baseColor: BASE_COLOR,
-        bestTimeProperty: gameModel.bestTimes[ ShredConstants.MAP_LEVEL_NAME_TO_NUMBER( levelName ) ],
-        bestTimeVisibleProperty: gameModel.bestTimeVisible[ ShredConstants.MAP_LEVEL_NAME_TO_NUMBER( levelName ) ],
+        bestTimeProperty: gameModel.bestTimes[ level ],
+        bestTimeVisibleProperty: gameModel.bestTimeVisible[ level ],
         tandem: tandem.createTandem( gameLevelTandemName + 'Button' ),
         scoreDisplayOptions: {
           numberOfStars: BAAGameModel.CHALLENGES_PER_LEVEL,
-          perfectScore: BAAGameModel.MAX_POINTS_PER_GAME_LEVEL
+          perfectScore: BAAGameModel.CHALLENGES_PER_LEVEL
         }
       }
     );
   }
 
+  /**
+   * Create the icon for the expert level, a symbol for iron-56 with a question mark in place of the charge, in the
+   * style of the icons for the other symbol levels, which are images.
+   * @returns {Node}
+   */
+  function createExpertGameIcon() {
+    const iconNode = new Rectangle( 0, 0, EXPERT_ICON_SIZE, EXPERT_ICON_SIZE, {
+      fill: 'white',
+      stroke: 'black',
+      lineWidth: 3
+    } );
+    iconNode.addChild( new Text( 'Fe', {
+      font: new PhetFont( 110 ),
+      center: iconNode.center
+    } ) );
+    iconNode.addChild( new Text( '56', {
+      font: new PhetFont( 40 ),
+      left: 8,
+      top: 8
+    } ) );
+    iconNode.addChild( new Text( '26', {
+      font: new PhetFont( 40 ),
+      fill: PhetColorScheme.RED_COLORBLIND,
+      left: 8,
+      bottom: EXPERT_ICON_SIZE - 8
+    } ) );
+    iconNode.addChild( new Text( '?', {
+      font: new PhetFont( 40 ),
+      right: EXPERT_ICON_SIZE - 8,
+      top: 8
+    } ) );
+    return iconNode;
+  }
+
   buildAnAtom.register( 'StartGameLevelNode', StartGameLevelNode );
 
   return inherit( Node, StartGameLevelNode );
@@ -0,0 +1,50 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for game challenges where the user is presented with a chemical symbol, including the atomic number, mass
+ * number and charge, and must determine the number of neutrons.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const InteractiveSymbolNode = require( 'BUILD_AN_ATOM/game/view/InteractiveSymbolNode' );
+  const ToNeutronCountChallengeView = require( 'BUILD_AN_ATOM/game/view/ToNeutronCountChallengeView' );
+
+  /**
+   * @param {SymbolToNeutronCountChallenge} symbolToNeutronCountChallenge
+   * @param {Bounds2} layoutBounds
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function SymbolToNeutronCountChallengeView( symbolToNeutronCountChallenge, layoutBounds, tandem ) {
+    ToNeutronCountChallengeView.call( this, symbolToNeutronCountChallenge, layoutBounds, tandem );
+
+    // Symbol
+    const symbolNode = new InteractiveSymbolNode( symbolToNeutronCountChallenge.answerAtom, tandem.createTandem( 'symbolNode' ) );
+    symbolNode.scale( 0.75 );
+    this.challengePresentationNode.addChild( symbolNode );
+
+    // Layout
+    symbolNode.centerX = layoutBounds.width * 0.3;
+    symbolNode.centerY = layoutBounds.height * 0.52;
+
+    // @private called by dispose
+    this.disposeSymbolToNeutronCountChallengeView = function() {
+      symbolNode.dispose();
+    };
+  }
+
+  buildAnAtom.register( 'SymbolToNeutronCountChallengeView', SymbolToNeutronCountChallengeView );
+
+  return inherit( ToNeutronCountChallengeView, SymbolToNeutronCountChallengeView, {
+
+    // @public
+    dispose: function() {
+      this.disposeSymbolToNeutronCountChallengeView();
+      ToNeutronCountChallengeView.prototype.dispose.call( this );
+    }
+  } );
+} );
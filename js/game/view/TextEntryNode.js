@@ -0,0 +1,88 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Node for typing a short answer in the game, such as an isotope in hyphen notation.  Scenery doesn't have a text
+ * input, so this uses a DOM text input, like the text area in CustomChallengesDialog.  The input is labeled for
+ * screen readers with the accessibleName option, and the entered text should be instrumented by the owner of
+ * textProperty.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const DOM = require( 'SCENERY/nodes/DOM' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
+
+  /**
+   * @param {Property.<string>} textProperty - the text that has been entered
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   * @constructor
+   */
+  function TextEntryNode( textProperty, tandem, options ) {
+
+    options = merge( {
+      width: 220, // in pixels
+      fontSize: 32, // in pixels
+      accessibleName: null, // {string} read by screen readers when the input has focus, required
+      allowInput: true,
+      tandem: tandem
+    }, options );
+    assert && assert( options.accessibleName, 'accessibleName is required' );
+
+    const input = document.createElement( 'input' );
+    input.type = 'text';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.style.width = options.width + 'px';
+    input.style.fontSize = options.fontSize + 'px';
+    input.style.padding = '4px';
+    input.style.border = '2px solid black';
+    input.style.borderRadius = '4px';
+    input.setAttribute( 'aria-label', options.accessibleName );
+
+    const inputListener = function() {
+      textProperty.set( input.value );
+    };
+    input.addEventListener( 'input', inputListener );
+    const textListener = function( text ) {
+      if ( input.value !== text ) {
+        input.value = text;
+      }
+    };
+    textProperty.link( textListener );
+
+    // @private
+    this.input = input;
+
+    // @private
+    this.disposeTextEntryNode = function() {
+      input.removeEventListener( 'input', inputListener );
+      textProperty.unlink( textListener );
+    };
+
+    DOM.call( this, input, _.omit( options, [ 'width', 'fontSize', 'accessibleName' ] ) );
+  }
+
+  buildAnAtom.register( 'TextEntryNode', TextEntryNode );
+
+  return inherit( DOM, TextEntryNode, {
+
+    /**
+     * Set whether text can be entered.  Making the node unpickable doesn't affect the DOM input, so use this instead.
+     * @param {boolean} enabled
+     * @public
+     */
+    setEnabled: function( enabled ) {
+      this.input.disabled = !enabled;
+    },
+
+    // @public
+    dispose: function() {
+      this.disposeTextEntryNode();
+      DOM.prototype.dispose.call( this );
+    }
+  } );
+} );
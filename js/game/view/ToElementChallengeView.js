@@ -12,7 +12,9 @@ define( require => {
 
   // modules
   const AquaRadioButton = require( 'SUN/AquaRadioButton' );
+  const Bounds2 = require( 'DOT/Bounds2' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ChallengeHints = require( 'BUILD_AN_ATOM/game/model/ChallengeHints' );
   const ChallengeView = require( 'BUILD_AN_ATOM/game/view/ChallengeView' );
   const inherit = require( 'PHET_CORE/inherit' );
   const LinearGradient = require( 'SCENERY/util/LinearGradient' );
@@ -22,6 +24,7 @@ define( require => {
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
   const Property = require( 'AXON/Property' );
   const PropertyIO = require( 'AXON/PropertyIO' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
   const StringIO = require( 'TANDEM/types/StringIO' );
   const Text = require( 'SCENERY/nodes/Text' );
 
@@ -37,6 +40,17 @@ define( require => {
   const CELL_DIMENSION = 25;
   const MAX_WIDTH = 100; // empirically determined for long strings
 
+  // The columns of the cells in each row of PeriodicTableNode, for the rows that contain the elements used in the game.
+  // PeriodicTableNode puts the cell in row i and column j at ( j * cellDimension, i * cellDimension ), and numbers the
+  // cells in order from left to right and top to bottom.
+  const POPULATED_CELLS = [
+    [ 0, 17 ],
+    [ 0, 1, 12, 13, 14, 15, 16, 17 ],
+    [ 0, 1, 12, 13, 14, 15, 16, 17 ],
+    _.range( 18 ),
+    _.range( 18 )
+  ];
+
   /**
    * @param {CountsToElementChallenge} countsToElementChallenge
    * @param {Bounds2} layoutBounds
@@ -63,6 +77,26 @@ define( require => {
     } );
     this.interactiveAnswerNode.addChild( this.periodicTable );
 
+    // Highlight for the cell of the answer's element, shown by the last practice mode hint.  It's placed above the
+    // periodic table and isn't pickable, so the player can still select the cell.
+    const cellHighlight = new Rectangle( 0, 0, CELL_DIMENSION, CELL_DIMENSION, {
+      stroke: 'rgb( 255, 85, 0 )',
+      lineWidth: 4,
+      pickable: false,
+      visible: false
+    } );
+    this.interactiveAnswerNode.addChild( cellHighlight );
+    const updateCellHighlight = function( hintLevel ) {
+      if ( hintLevel === ChallengeHints.NUMBER_OF_HINT_LEVELS ) {
+        const cellBounds = getCellBounds( countsToElementChallenge.answerAtom.protonCountProperty.get() );
+        if ( cellBounds ) {
+          cellHighlight.setRectBounds( self.periodicTable.localToParentBounds( cellBounds ) );
+          cellHighlight.visible = true;
+        }
+      }
+    };
+    countsToElementChallenge.hintLevelProperty.link( updateCellHighlight );
+
     // Challenge title
     const challengeTitle = new Text( findTheElementString, {
       font: TITLE_FONT,
@@ -119,6 +153,7 @@ define( require => {
     // @private called by dispose
     this.disposeToElementChallengeView = function() {
       this.neutralOrIonProperty.unlink( updateCheckAnswerButton );
+      countsToElementChallenge.hintLevelProperty.unlink( updateCellHighlight );
       this.periodicTableAtom.protonCountProperty.unlink( updateNeutralAtomVersusIonQuestionVisibility );
       this.periodicTableAtom.dispose();
       this.periodicTable.dispose();
@@ -143,6 +178,30 @@ define( require => {
     neutralAtomVersusIonQuestion.top = this.periodicTable.bottom + 20;
   }
 
+  /**
+   * Get the bounds of an element's cell in the coordinate frame of the periodic table, from its row and column, the
+   * same way that PeriodicTableNode lays out its cells.
+   * @param {number} protonCount
+   * @returns {Bounds2|null} - null if the element isn't in the rows that are used in the game
+   */
+  function getCellBounds( protonCount ) {
+    let firstProtonCountInRow = 1;
+    for ( let row = 0; row < POPULATED_CELLS.length; row++ ) {
+      const columns = POPULATED_CELLS[ row ];
+      if ( protonCount < firstProtonCountInRow + columns.length ) {
+        const column = columns[ protonCount - firstProtonCountInRow ];
+        return new Bounds2(
+          column * CELL_DIMENSION,
+          row * CELL_DIMENSION,
+          ( column + 1 ) * CELL_DIMENSION,
+          ( row + 1 ) * CELL_DIMENSION
+        );
+      }
+      firstProtonCountInRow += columns.length;
+    }
+    return null;
+  }
+
   buildAnAtom.register( 'ToElementChallengeView', ToElementChallengeView );
 
   // Inherit from ChallengeView.
@@ -0,0 +1,95 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Base type for views of challenges where the user is presented with the atomic number and mass number of an atom in
+ * some form and must determine the number of neutrons.  Subclasses add the presentation of the atom.
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ChallengeView = require( 'BUILD_AN_ATOM/game/view/ChallengeView' );
+  const inherit = require( 'PHET_CORE/inherit' );
+  const MultiLineText = require( 'SCENERY_PHET/MultiLineText' );
+  const NumberAtom = require( 'SHRED/model/NumberAtom' );
+  const NumberEntryNode = require( 'BUILD_AN_ATOM/game/view/NumberEntryNode' );
+  const NumberProperty = require( 'AXON/NumberProperty' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+
+  // strings
+  const howManyNeutronsString = require( 'string!BUILD_AN_ATOM/howManyNeutrons' );
+
+  /**
+   * @param {BAAGameChallenge} challenge
+   * @param {Bounds2} layoutBounds
+   * @param {Tandem} tandem
+   * @constructor
+   */
+  function ToNeutronCountChallengeView( challenge, layoutBounds, tandem ) {
+
+    // Must be defined before call to super constructor.
+    this.neutronCountAnswerProperty = new NumberProperty( 0, {
+      tandem: tandem.createTandem( 'neutronCountAnswerProperty' ),
+      numberType: 'Integer'
+    } );
+    ChallengeView.call( this, challenge, layoutBounds, tandem );
+
+    const questionPrompt = new MultiLineText( howManyNeutronsString, {
+      align: 'left',
+      font: new PhetFont( 24 ),
+      maxWidth: 200,
+      tandem: tandem.createTandem( 'questionPrompt' )
+    } );
+    this.interactiveAnswerNode.addChild( questionPrompt );
+
+    // Node for entering the answer
+    const neutronCountEntryNode = new NumberEntryNode(
+      this.neutronCountAnswerProperty,
+      tandem.createTandem( 'neutronCountEntryNode' ), {
+        minValue: 0,
+        maxValue: 99
+      } );
+    this.interactiveAnswerNode.addChild( neutronCountEntryNode );
+
+    // Layout
+    questionPrompt.centerX = layoutBounds.width * 0.65;
+    questionPrompt.centerY = layoutBounds.height * 0.5;
+    neutronCountEntryNode.left = questionPrompt.right + 10;
+    neutronCountEntryNode.centerY = questionPrompt.centerY;
+
+    // @private - called by dispose
+    this.disposeToNeutronCountChallengeView = function() {
+      questionPrompt.dispose();
+      neutronCountEntryNode.dispose();
+      this.neutronCountAnswerProperty.dispose();
+    };
+  }
+
+  buildAnAtom.register( 'ToNeutronCountChallengeView', ToNeutronCountChallengeView );
+
+  // Inherit from ChallengeView.
+  return inherit( ChallengeView, ToNeutronCountChallengeView, {
+
+    // @public
+    checkAnswer: function() {
+      const userSubmittedAnswer = new NumberAtom( {
+        protonCount: this.challenge.answerAtom.protonCountProperty.get(),
+        neutronCount: this.neutronCountAnswerProperty.value,
+        electronCount: this.challenge.answerAtom.electronCountProperty.get()
+      } );
+      this.challenge.checkAnswer( userSubmittedAnswer );
+    },
+
+    // @public
+    displayCorrectAnswer: function() {
+      this.neutronCountAnswerProperty.value = this.challenge.answerAtom.neutronCountProperty.get();
+    },
+
+    // @public
+    dispose: function() {
+      this.disposeToNeutronCountChallengeView();
+      ChallengeView.prototype.dispose.call( this );
+    }
+  } );
+} );
@@ -31,7 +31,7 @@ define( require => {
   function SymbolScreen( tandem ) {
     Screen.call(
       this,
-      function() { return new BuildAnAtomModel( tandem.createTandem( 'model' ) ); },
+      function() { return new BuildAnAtomModel( tandem.createTandem( 'model' ), BuildAnAtomModel.getQueryParameterOptions() ); },
       function( model ) { return new SymbolView( model, tandem.createTandem( 'view' ) ); },
       {
         name: symbolString,
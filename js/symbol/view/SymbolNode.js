@@ -15,6 +15,7 @@ define( require => {
   const ChargeMeter = require( 'BUILD_AN_ATOM/common/view/ChargeMeter' );
   const Image = require( 'SCENERY/nodes/Image' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const merge = require( 'PHET_CORE/merge' );
   const Node = require( 'SCENERY/nodes/Node' );
   const PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
@@ -34,10 +35,17 @@ define( require => {
    * Constructor
    * @param {NumberAtom} numberAtom
    * @param {Tandem} tandem
+   * @param {Object} [options]
    * @constructor
    */
   function SymbolNode( numberAtom, tandem, options ) {
 
+    options = merge( {
+
+      // {number} - charge at which the charge meter needle is fully deflected
+      maxCharge: 10
+    }, options );
+
     Node.call( this, { tandem: tandem, pickable: false } );
 
     // Add the bounding box, which is also the root node for everything else
@@ -120,7 +128,8 @@ define( require => {
 
     // Add the charge meter.
     const chargeMeter = new ChargeMeter( numberAtom, tandem.createTandem( 'chargeMeter' ), {
-      showNumericalReadout: false
+      showNumericalReadout: false,
+      maxCharge: options.maxCharge
     } );
     chargeMeter.scale( 1.5 );
     this.addChild( chargeMeter );
@@ -13,14 +13,21 @@ define( require => {
   const AtomView = require( 'BUILD_AN_ATOM/common/view/AtomView' );
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const buildAnAtom = require( 'BUILD_AN_ATOM/buildAnAtom' );
+  const ElectronConfigurationDisplay = require( 'BUILD_AN_ATOM/common/view/ElectronConfigurationDisplay' );
   const inherit = require( 'PHET_CORE/inherit' );
+  const Property = require( 'AXON/Property' );
   const ShredConstants = require( 'SHRED/ShredConstants' );
   const SymbolNode = require( 'BUILD_AN_ATOM/symbol/view/SymbolNode' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
 
   // strings
+  const electronConfigurationString = require( 'string!BUILD_AN_ATOM/electronConfiguration' );
   const symbolString = require( 'string!BUILD_AN_ATOM/symbol' );
 
+  // constants
+  const INTER_BOX_SPACING = 10;
+
   /**
    * @param {BuildAnAtomModel} model
    * @param {Tandem} tandem
@@ -32,9 +39,13 @@ define( require => {
     this.symbolAccordionBoxExpandedProperty = new BooleanProperty( true, {
       tandem: tandem.createTandem( 'symbolAccordionBoxExpandedProperty' )
     } );
+    this.electronConfigurationAccordionBoxExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'electronConfigurationAccordionBoxExpandedProperty' )
+    } );
 
     // Add the symbol node within an accordion box.
     const symbolNode = new SymbolNode( model.particleAtom, tandem.createTandem( 'symbolNode' ), {
+      maxCharge: model.maxCharge,
       scale: 0.43 // scale empirically determined
     } );
     const symbolAccordionBox = new AccordionBox( symbolNode, {
@@ -61,11 +72,60 @@ define( require => {
       // a11y
       labelContent: symbolString
     } );
-    this.controlPanelLayer.addChild( symbolAccordionBox );
 
-    // do the layout
-    symbolAccordionBox.top = this.periodicTableAccordionBox.top + this.periodicTableAccordionBox.height + 10;
-    symbolAccordionBox.left = this.periodicTableAccordionBox.left;
+    // Add the electron configuration within an accordion box.
+    const electronConfigurationDisplay = new ElectronConfigurationDisplay(
+      model.particleAtom,
+      tandem.createTandem( 'electronConfigurationDisplay' ),
+      {
+        pickable: false,
+        scale: 0.85 // scale empirically determined
+      }
+    );
+    const electronConfigurationAccordionBox = new AccordionBox( electronConfigurationDisplay, {
+      cornerRadius: 3,
+      titleNode: new Text( electronConfigurationString, {
+        font: ShredConstants.ACCORDION_BOX_TITLE_FONT,
+        maxWidth: ShredConstants.ACCORDION_BOX_TITLE_MAX_WIDTH,
+        tandem: tandem.createTandem( 'electronConfigurationAccordionBoxTitle' )
+      } ),
+      fill: ShredConstants.DISPLAY_PANEL_BACKGROUND_COLOR,
+      minWidth: this.periodicTableAccordionBox.width,
+      contentAlign: 'left',
+      titleAlignX: 'left',
+      buttonAlign: 'right',
+      expandedProperty: this.electronConfigurationAccordionBoxExpandedProperty,
+      expandCollapseButtonOptions: {
+        touchAreaXDilation: 12,
+        touchAreaYDilation: 12
+      },
+
+      // phet-io
+      tandem: tandem.createTandem( 'electronConfigurationAccordionBox' ),
+
+      // a11y
+      labelContent: electronConfigurationString
+    } );
+
+    // Stack the accordion boxes below the periodic table, scaled down when the expanded boxes don't fit above the
+    // controls at the bottom of the screen.
+    const accordionBoxStack = new VBox( {
+      children: [ symbolAccordionBox, electronConfigurationAccordionBox ],
+      align: 'left',
+      spacing: INTER_BOX_SPACING,
+      maxHeight: this.controlPanelsMaxY - this.periodicTableAccordionBox.bottom - INTER_BOX_SPACING
+    } );
+    this.controlPanelLayer.addChild( accordionBoxStack );
+
+    // do the layout, again whenever the stack is resized
+    const periodicTableAccordionBox = this.periodicTableAccordionBox;
+    Property.multilink( [
+      this.symbolAccordionBoxExpandedProperty,
+      this.electronConfigurationAccordionBoxExpandedProperty
+    ], function() {
+      accordionBoxStack.left = periodicTableAccordionBox.left;
+      accordionBoxStack.top = periodicTableAccordionBox.bottom + INTER_BOX_SPACING;
+    } );
   }
 
   buildAnAtom.register( 'SymbolView', SymbolView );
@@ -78,6 +138,7 @@ define( require => {
     reset: function() {
       AtomView.prototype.reset.call( this );
       this.symbolAccordionBoxExpandedProperty.reset();
+      this.electronConfigurationAccordionBoxExpandedProperty.reset();
     }
   } );
 } );